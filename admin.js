@@ -0,0 +1,423 @@
+/**
+ * Admin API - runtime management of Factory API keys, client keys, models, model redirects and proxies,
+ * and current usage against the rate limits.
+ * Enabled only when ADMIN_TOKEN is set; requests authenticate with
+ * "Authorization: Bearer <ADMIN_TOKEN>" or "X-Admin-Token: <ADMIN_TOKEN>".
+ * Changes apply immediately; add ?persist=true to also write them to config.json (or keys_file for keys).
+ * A change whose write fails is rolled back and reported with a 500.
+ * Client key changes are always saved to client_auth.keys_file.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { getConfig, saveConfig, getModelById, getKeyPoolConfig } from './config.js';
+import { logInfo, logError } from './logger.js';
+import { getKeyPoolStatus, addFactoryKey, setFactoryKeyDisabled, removeFactoryKey, applyFactoryKeyChange } from './auth.js';
+import { listClients, createClient, updateClient, deleteClient, validateClientSettings, isClientAuthEnabled } from './client-auth.js';
+import { getUsageSnapshot } from './rate-limiter.js';
+
+const router = express.Router();
+
+const MODEL_TYPES = ['anthropic', 'openai', 'common'];
+
+function tokensMatch(provided, expected) {
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+router.use('/admin', (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.'
+    });
+  }
+
+  const authorization = req.headers.authorization || '';
+  const provided = req.headers['x-admin-token'] || (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+  if (!provided || !tokensMatch(provided, adminToken)) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid admin token' });
+  }
+  next();
+});
+
+function shouldPersist(req) {
+  return req.query.persist === 'true' || req.query.persist === '1';
+}
+
+/**
+ * Apply a change to one top-level config field; with ?persist=true also save config.json.
+ * If saving fails the field is restored, so memory and disk agree with the error response.
+ * @returns {boolean} false if saving failed (a 500 has been sent)
+ */
+function changeConfig(req, res, field, change) {
+  const config = getConfig();
+  const hadField = Object.prototype.hasOwnProperty.call(config, field);
+  const previous = structuredClone(config[field]);
+  change(config);
+  if (!shouldPersist(req)) {
+    return true;
+  }
+
+  try {
+    saveConfig();
+    return true;
+  } catch (error) {
+    if (hadField) {
+      config[field] = previous;
+    } else {
+      delete config[field];
+    }
+    logError('Failed to save config.json, change rolled back', error);
+    res.status(500).json({
+      error: 'Failed to persist configuration',
+      message: `${error.message}. The change was not applied.`
+    });
+    return false;
+  }
+}
+
+/**
+ * Apply a key pool change, persisted to keys_file with ?persist=true (rolled back if that fails).
+ * @returns {{result: *}|null} null if persisting failed (a 500 has been sent)
+ */
+function changeKeys(req, res, change) {
+  try {
+    return { result: applyFactoryKeyChange(change, shouldPersist(req)) };
+  } catch (error) {
+    logError('Failed to persist Factory API keys, change rolled back', error);
+    res.status(500).json({
+      error: 'Failed to persist keys',
+      message: `${error.message}. The change was not applied.`
+    });
+    return null;
+  }
+}
+
+// ---------- Factory API keys ----------
+
+router.get('/admin/keys', (req, res) => {
+  res.json({
+    strategy: getKeyPoolConfig().strategy,
+    keys: getKeyPoolStatus() || []
+  });
+});
+
+router.post('/admin/keys', (req, res) => {
+  const { key, label, weight, proxy } = req.body || {};
+  if (typeof key !== 'string' || key.trim() === '') {
+    return res.status(400).json({ error: 'Invalid key', message: 'key must be a non-empty string' });
+  }
+  if (weight !== undefined && (typeof weight !== 'number' || weight <= 0)) {
+    return res.status(400).json({ error: 'Invalid weight', message: 'weight must be a positive number' });
+  }
+  if (proxy !== undefined && typeof proxy !== 'string') {
+    return res.status(400).json({ error: 'Invalid proxy', message: 'proxy must be a URL string' });
+  }
+
+  const change = changeKeys(req, res, () => addFactoryKey({ key: key.trim(), label, weight, proxy }));
+  if (!change) {
+    return;
+  }
+  if (!change.result) {
+    return res.status(409).json({ error: 'Key already exists' });
+  }
+  logInfo(`Admin: added Factory API key ${change.result.label}`);
+  res.status(201).json(change.result);
+});
+
+function handleSetKeyDisabled(disabled) {
+  return (req, res) => {
+    const change = changeKeys(req, res, () => setFactoryKeyDisabled(req.params.id, disabled));
+    if (!change) {
+      return;
+    }
+    if (!change.result) {
+      return res.status(404).json({ error: `Key ${req.params.id} not found` });
+    }
+    res.json(getKeyPoolStatus().find(status => status.id === req.params.id));
+  };
+}
+
+router.post('/admin/keys/:id/disable', handleSetKeyDisabled(true));
+router.post('/admin/keys/:id/enable', handleSetKeyDisabled(false));
+
+router.delete('/admin/keys/:id', (req, res) => {
+  const change = changeKeys(req, res, () => removeFactoryKey(req.params.id));
+  if (!change) {
+    return;
+  }
+  if (!change.result) {
+    return res.status(404).json({ error: `Key ${req.params.id} not found` });
+  }
+  logInfo(`Admin: removed Factory API key ${req.params.id}`);
+  res.json({ id: req.params.id, deleted: true });
+});
+
+// ---------- Client keys (always saved to client_auth.keys_file) ----------
+
+function pickClientSettings(body) {
+  const settings = {};
+  for (const field of ['label', 'models', 'system_prompt', 'disabled', 'limits']) {
+    if (body?.[field] !== undefined) {
+      settings[field] = body[field];
+    }
+  }
+  return settings;
+}
+
+router.get('/admin/clients', (req, res) => {
+  res.json({ enabled: isClientAuthEnabled(), clients: listClients() });
+});
+
+// The response contains the new key; it cannot be retrieved again
+router.post('/admin/clients', (req, res) => {
+  const settings = pickClientSettings(req.body);
+  const validationError = validateClientSettings(settings);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid client', message: validationError });
+  }
+  try {
+    const client = createClient(settings);
+    logInfo(`Admin: issued client key ${client.label} (${client.id})`);
+    res.status(201).json(client);
+  } catch (error) {
+    logError('Failed to issue client key', error);
+    res.status(500).json({ error: 'Failed to issue client key', message: error.message });
+  }
+});
+
+router.patch('/admin/clients/:id', (req, res) => {
+  const changes = pickClientSettings(req.body);
+  const validationError = validateClientSettings(changes);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid client', message: validationError });
+  }
+  try {
+    const client = updateClient(req.params.id, changes);
+    if (!client) {
+      return res.status(404).json({ error: `Client ${req.params.id} not found` });
+    }
+    logInfo(`Admin: updated client ${client.label} (${client.id})`);
+    res.json(client);
+  } catch (error) {
+    logError('Failed to update client', error);
+    res.status(500).json({ error: 'Failed to update client', message: error.message });
+  }
+});
+
+router.delete('/admin/clients/:id', (req, res) => {
+  try {
+    if (!deleteClient(req.params.id)) {
+      return res.status(404).json({ error: `Client ${req.params.id} not found` });
+    }
+    logInfo(`Admin: revoked client ${req.params.id}`);
+    res.json({ id: req.params.id, deleted: true });
+  } catch (error) {
+    logError('Failed to revoke client', error);
+    res.status(500).json({ error: 'Failed to revoke client', message: error.message });
+  }
+});
+
+// ---------- Usage (rate limits and token budgets) ----------
+
+// Keyed by "global" and client id
+router.get('/admin/usage', (req, res) => {
+  res.json({ usage: getUsageSnapshot() });
+});
+
+// ---------- Models ----------
+
+function validateModel(model) {
+  if (model.type !== undefined && !MODEL_TYPES.includes(model.type)) {
+    return `type must be one of ${MODEL_TYPES.join(', ')}`;
+  }
+  for (const field of ['name', 'reasoning', 'provider']) {
+    if (model[field] !== undefined && model[field] !== null && typeof model[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  return null;
+}
+
+router.get('/admin/models', (req, res) => {
+  res.json({ models: getConfig().models });
+});
+
+router.post('/admin/models', (req, res) => {
+  const model = req.body || {};
+  if (typeof model.id !== 'string' || model.id.trim() === '') {
+    return res.status(400).json({ error: 'Invalid model', message: 'id is required' });
+  }
+  if (!model.type) {
+    return res.status(400).json({ error: 'Invalid model', message: 'type is required' });
+  }
+  const validationError = validateModel(model);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid model', message: validationError });
+  }
+  if (getModelById(model.id)) {
+    return res.status(409).json({ error: `Model ${model.id} already exists` });
+  }
+
+  if (!changeConfig(req, res, 'models', config => config.models.push({ name: model.id, ...model }))) {
+    return;
+  }
+  logInfo(`Admin: added model ${model.id}`);
+  res.status(201).json(getModelById(model.id));
+});
+
+// Fields set to null are removed from the model
+router.patch('/admin/models/:id', (req, res) => {
+  const model = getModelById(req.params.id);
+  if (!model) {
+    return res.status(404).json({ error: `Model ${req.params.id} not found` });
+  }
+  const changes = { ...(req.body || {}) };
+  delete changes.id;
+  const validationError = validateModel(changes);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid model', message: validationError });
+  }
+
+  const applied = changeConfig(req, res, 'models', () => {
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete model[field];
+      } else {
+        model[field] = value;
+      }
+    }
+  });
+  if (!applied) {
+    return;
+  }
+  logInfo(`Admin: updated model ${model.id}`);
+  res.json(model);
+});
+
+router.delete('/admin/models/:id', (req, res) => {
+  const config = getConfig();
+  const index = config.models.findIndex(model => model.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: `Model ${req.params.id} not found` });
+  }
+  if (!changeConfig(req, res, 'models', () => config.models.splice(index, 1))) {
+    return;
+  }
+  logInfo(`Admin: removed model ${req.params.id}`);
+  res.json({ id: req.params.id, deleted: true });
+});
+
+// ---------- Model redirects ----------
+
+router.get('/admin/model-redirects', (req, res) => {
+  res.json({ model_redirects: getConfig().model_redirects || {} });
+});
+
+router.put('/admin/model-redirects/:from', (req, res) => {
+  const target = req.body?.to;
+  if (typeof target !== 'string' || !getModelById(target)) {
+    return res.status(400).json({ error: 'Invalid redirect', message: 'to must be the id of a configured model' });
+  }
+  const applied = changeConfig(req, res, 'model_redirects', config => {
+    config.model_redirects = { ...(config.model_redirects || {}), [req.params.from]: target };
+  });
+  if (!applied) {
+    return;
+  }
+  logInfo(`Admin: redirect ${req.params.from} -> ${target}`);
+  res.json({ model_redirects: getConfig().model_redirects });
+});
+
+router.delete('/admin/model-redirects/:from', (req, res) => {
+  const config = getConfig();
+  if (!config.model_redirects || !(req.params.from in config.model_redirects)) {
+    return res.status(404).json({ error: `Redirect ${req.params.from} not found` });
+  }
+  if (!changeConfig(req, res, 'model_redirects', () => delete config.model_redirects[req.params.from])) {
+    return;
+  }
+  logInfo(`Admin: removed redirect ${req.params.from}`);
+  res.json({ model_redirects: config.model_redirects });
+});
+
+// ---------- Proxies ----------
+
+function validateProxy(proxy) {
+  if (!proxy || typeof proxy.url !== 'string') {
+    return 'url is required';
+  }
+  try {
+    new URL(proxy.url);
+  } catch (error) {
+    return `Invalid url: ${proxy.url}`;
+  }
+  if (proxy.name !== undefined && typeof proxy.name !== 'string') {
+    return 'name must be a string';
+  }
+  return null;
+}
+
+router.get('/admin/proxies', (req, res) => {
+  res.json({ proxies: getConfig().proxies || [] });
+});
+
+router.post('/admin/proxies', (req, res) => {
+  const validationError = validateProxy(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid proxy', message: validationError });
+  }
+  const proxy = { name: req.body.name, url: req.body.url };
+  const applied = changeConfig(req, res, 'proxies', config => {
+    config.proxies = [...(config.proxies || []), proxy];
+  });
+  if (!applied) {
+    return;
+  }
+  const { proxies } = getConfig();
+  logInfo(`Admin: added proxy ${proxy.name || proxies.length}`);
+  res.status(201).json({ proxies });
+});
+
+// Replace the whole proxy list (an empty array means direct connections)
+router.put('/admin/proxies', (req, res) => {
+  const proxies = req.body;
+  if (!Array.isArray(proxies)) {
+    return res.status(400).json({ error: 'Invalid proxies', message: 'Body must be an array of {name, url}' });
+  }
+  for (const proxy of proxies) {
+    const validationError = validateProxy(proxy);
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid proxy', message: validationError });
+    }
+  }
+  const applied = changeConfig(req, res, 'proxies', config => {
+    config.proxies = proxies.map(proxy => ({ name: proxy.name, url: proxy.url }));
+  });
+  if (!applied) {
+    return;
+  }
+  logInfo(`Admin: replaced proxies (${proxies.length})`);
+  res.json({ proxies: getConfig().proxies });
+});
+
+router.delete('/admin/proxies/:index', (req, res) => {
+  const config = getConfig();
+  const index = Number(req.params.index);
+  if (!Number.isInteger(index) || index < 0 || index >= (config.proxies || []).length) {
+    return res.status(404).json({ error: `Proxy ${req.params.index} not found` });
+  }
+  const applied = changeConfig(req, res, 'proxies', () => {
+    config.proxies = config.proxies.filter((proxy, i) => i !== index);
+  });
+  if (!applied) {
+    return;
+  }
+  logInfo(`Admin: removed proxy ${index}`);
+  res.json({ proxies: config.proxies });
+});
+
+export default router;
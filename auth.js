@@ -1,9 +1,15 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
 import { logDebug, logError, logInfo } from './logger.js';
 import { getNextProxyAgent } from './proxy-manager.js';
+import { FactoryKeyPool, parseKeyList, parseKeysFile, getKeyId } from './key-pool.js';
+import { getKeysFilePath } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 // State management for API key and refresh
 let currentApiKey = null;
@@ -12,14 +18,16 @@ let lastRefreshTime = null;
 let clientId = null;
 let authSource = null; // 'env' or 'file' or 'factory_key' or 'client'
 let authFilePath = null;
-let factoryApiKeys = []; // Array of Factory API keys for fallback support
-let currentKeyIndex = 0; // Track which key is currently active
-let startingKeyIndex = 0; // Track where we started in current rotation cycle
-let hasCompletedFullCycle = false; // Track if we've tried all keys in current cycle
-let rotationOccurredInCycle = false; // Track if rotation happened in current request
-let lastKey1AttemptTime = Date.now(); // Track when we last tried key #1
+const factoryKeyPool = new FactoryKeyPool(); // Factory API keys; empty when none are configured
+let watchedKeysFile = null;
+// Admin API changes, applied on top of the environment and keys_file on every reload
+const keyOverrides = {
+  added: new Map(), // key -> definition
+  removed: new Set(), // keys
+  disabled: new Map() // key -> boolean
+};
 
-const KEY1_RETRY_INTERVAL_MS = 30 * 60 * 1000; // Try key #1 every 30 minutes
+const KEYS_FILE_POLL_INTERVAL_MS = 2000;
 
 const REFRESH_URL = 'https://api.workos.com/user_management/authenticate';
 const REFRESH_INTERVAL_HOURS = 6; // Refresh every 6 hours
@@ -66,12 +74,10 @@ function generateClientId() {
 }
 
 /**
- * Load auth configuration with priority system
- * Priority: FACTORY_API_KEY > refresh token mechanism > client authorization
+ * Factory API keys from the environment: FACTORY_API_KEY through FACTORY_API_KEY_7,
+ * then FACTORY_API_KEYS (comma or newline separated)
  */
-function loadAuthConfig() {
-  // 1. Check FACTORY_API_KEY environment variables (highest priority)
-  // Support FACTORY_API_KEY through FACTORY_API_KEY_7 for fallback (up to 7 keys)
+function getEnvKeyDefinitions() {
   const keyEnvNames = [
     'FACTORY_API_KEY',
     'FACTORY_API_KEY_2',
@@ -82,19 +88,224 @@ function loadAuthConfig() {
     'FACTORY_API_KEY_7'
   ];
 
+  const definitions = [];
   for (const envName of keyEnvNames) {
     const keyValue = process.env[envName];
     if (keyValue && keyValue.trim() !== '') {
-      factoryApiKeys.push(keyValue.trim());
+      definitions.push({ key: keyValue.trim() });
+    }
+  }
+  definitions.push(...parseKeyList(process.env.FACTORY_API_KEYS));
+  return definitions.map(definition => ({ ...definition, source: 'env' }));
+}
+
+/**
+ * Read key definitions from keys_file (relative paths are resolved against the project directory).
+ * A missing file yields no keys; it is picked up once created.
+ */
+function readKeysFile(keysFilePath) {
+  if (!fs.existsSync(keysFilePath)) {
+    logInfo(`Keys file ${keysFilePath} does not exist yet`);
+    return [];
+  }
+  return parseKeysFile(fs.readFileSync(keysFilePath, 'utf-8')).map(definition => ({ ...definition, source: 'file' }));
+}
+
+function resolveKeysFilePath() {
+  const keysFile = getKeysFilePath();
+  return keysFile ? path.resolve(__dirname, keysFile) : null;
+}
+
+/**
+ * Re-read the environment keys and keys_file into the key pool.
+ * Keys that stay keep their health state and in-flight requests are not affected.
+ * An unreadable keys file keeps the current keys.
+ */
+export function reloadFactoryKeys() {
+  const keysFilePath = resolveKeysFilePath();
+  let fileDefinitions = [];
+  if (keysFilePath) {
+    try {
+      fileDefinitions = readKeysFile(keysFilePath);
+    } catch (error) {
+      logError(`Failed to read keys file ${keysFilePath}, keeping current Factory API keys`, error);
+      return false;
+    }
+  }
+
+  const definitions = [...getEnvKeyDefinitions(), ...fileDefinitions, ...keyOverrides.added.values()]
+    .filter(definition => !keyOverrides.removed.has(definition.key))
+    .map(definition => ({ ...definition, disabled: keyOverrides.disabled.get(definition.key) ?? definition.disabled }));
+
+  const { added, removed } = factoryKeyPool.setKeys(definitions);
+  logInfo(`Loaded ${factoryKeyPool.size} Factory API keys (${added} added, ${removed} removed)`);
+  return true;
+}
+
+/**
+ * Add a Factory API key at runtime (admin API)
+ * @returns {object|null} Key status, or null if the key already exists
+ */
+export function addFactoryKey({ key, label, weight, proxy }) {
+  const id = getKeyId(key);
+  if (factoryKeyPool.findById(id)) {
+    return null;
+  }
+  keyOverrides.removed.delete(key);
+  keyOverrides.added.set(key, { key, label, weight, proxy, source: 'admin' });
+  reloadFactoryKeys();
+  return getKeyPoolStatus().find(status => status.id === id);
+}
+
+/**
+ * Enable or disable a Factory API key by id; disabled keys are never selected
+ * @returns {boolean} false if the key does not exist
+ */
+export function setFactoryKeyDisabled(id, disabled) {
+  const entry = factoryKeyPool.findById(id);
+  if (!entry) {
+    return false;
+  }
+  keyOverrides.disabled.set(entry.key, disabled);
+  entry.disabled = disabled;
+  logInfo(`Factory API key ${entry.label} ${disabled ? 'disabled' : 'enabled'}`);
+  return true;
+}
+
+/**
+ * Remove a Factory API key by id. Requests already using it finish normally.
+ * @returns {boolean} false if the key does not exist
+ */
+export function removeFactoryKey(id) {
+  const entry = factoryKeyPool.findById(id);
+  if (!entry) {
+    return false;
+  }
+  keyOverrides.added.delete(entry.key);
+  keyOverrides.disabled.delete(entry.key);
+  keyOverrides.removed.add(entry.key);
+  reloadFactoryKeys();
+  return true;
+}
+
+/**
+ * Run an admin change (add / disable / remove) and, with persist, write keys_file.
+ * If writing fails the change is rolled back and the error rethrown, so the pool never keeps
+ * a change that was reported as failed.
+ * @param {function(): *} change - Returns a falsy value when there was nothing to change
+ * @returns {*} Result of change
+ */
+export function applyFactoryKeyChange(change, persist = false) {
+  const snapshot = {
+    added: new Map(keyOverrides.added),
+    removed: new Set(keyOverrides.removed),
+    disabled: new Map(keyOverrides.disabled)
+  };
+  const result = change();
+  if (!result || !persist) {
+    return result;
+  }
+
+  try {
+    persistFactoryKeys();
+  } catch (error) {
+    keyOverrides.added = snapshot.added;
+    keyOverrides.removed = snapshot.removed;
+    keyOverrides.disabled = snapshot.disabled;
+    reloadFactoryKeys();
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Write the file and admin keys (with labels, weights, proxies and disabled flags) to keys_file
+ * atomically. Keys from environment variables are not written; removing or disabling them
+ * only lasts until restart.
+ */
+export function persistFactoryKeys() {
+  const keysFilePath = resolveKeysFilePath();
+  if (!keysFilePath) {
+    throw new Error('keys_file is not configured');
+  }
+
+  const keys = factoryKeyPool.entries
+    .filter(entry => entry.source !== 'env')
+    .map(entry => {
+      const item = { key: entry.key };
+      if (entry.label && !/^#\d+$/.test(entry.label)) {
+        item.label = entry.label;
+      }
+      if (entry.weight !== 1) {
+        item.weight = entry.weight;
+      }
+      if (entry.proxy) {
+        item.proxy = entry.proxy;
+      }
+      if (entry.disabled) {
+        item.disabled = true;
+      }
+      return item;
+    });
+
+  fs.mkdirSync(path.dirname(keysFilePath), { recursive: true });
+  const tmpPath = `${keysFilePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(keys, null, 2) + '\n', 'utf-8');
+  fs.renameSync(tmpPath, keysFilePath);
+
+  // The file now holds these changes; only overrides of environment keys remain
+  const envKeys = new Set(getEnvKeyDefinitions().map(definition => definition.key));
+  keyOverrides.added.clear();
+  for (const key of [...keyOverrides.disabled.keys()]) {
+    if (!envKeys.has(key)) {
+      keyOverrides.disabled.delete(key);
+    }
+  }
+  for (const key of [...keyOverrides.removed]) {
+    if (!envKeys.has(key)) {
+      keyOverrides.removed.delete(key);
     }
   }
+  reloadFactoryKeys();
+  logInfo(`Saved ${keys.length} Factory API keys to ${keysFilePath}`);
+}
+
+/**
+ * Poll keys_file for changes (polling also survives editors that replace the file)
+ */
+function watchKeysFile() {
+  const keysFilePath = resolveKeysFilePath();
+  if (!keysFilePath || watchedKeysFile === keysFilePath) {
+    return;
+  }
+  if (watchedKeysFile) {
+    fs.unwatchFile(watchedKeysFile);
+  }
+  watchedKeysFile = keysFilePath;
 
-  if (factoryApiKeys.length > 0) {
+  fs.watchFile(keysFilePath, { interval: KEYS_FILE_POLL_INTERVAL_MS, persistent: false }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+      logInfo(`Keys file ${keysFilePath} changed, reloading Factory API keys`);
+      reloadFactoryKeys();
+    }
+  });
+  logInfo(`Watching keys file ${keysFilePath}`);
+}
+
+/**
+ * Load auth configuration with priority system
+ * Priority: FACTORY_API_KEY(S) / keys_file > refresh token mechanism > client authorization
+ */
+function loadAuthConfig() {
+  // 1. Factory API keys from the environment and keys_file (highest priority)
+  reloadFactoryKeys();
+  watchKeysFile();
+
+  if (factoryKeyPool.size > 0) {
     // Minimal startup log
-    console.log(`[AUTH] Loaded ${factoryApiKeys.length} Factory API keys`);
+    console.log(`[AUTH] Loaded ${factoryKeyPool.size} Factory API keys`);
     authSource = 'factory_key';
-    currentKeyIndex = 0;
-    return { type: 'factory_key', value: factoryApiKeys };
+    return { type: 'factory_key', value: factoryKeyPool.size };
   }
 
   // 2. Check refresh token mechanism (DROID_REFRESH_KEY)
@@ -292,11 +503,12 @@ export async function initializeAuth() {
  * @param {string} clientAuthorization - Authorization header from client request (optional)
  */
 export async function getApiKey(clientAuthorization = null) {
-  // Priority 1: FACTORY_API_KEY environment variable(s)
-  if (authSource === 'factory_key' && factoryApiKeys.length > 0) {
-    const currentKey = factoryApiKeys[currentKeyIndex];
-    logDebug(`Using Factory API key #${currentKeyIndex + 1} (${currentKey.substring(0, 10)}...)`);
-    return `Bearer ${currentKey}`;
+  // Priority 1: Factory API keys (environment, keys_file or admin API, which may change at runtime)
+  // fetchWithFallback picks the key per attempt; this is the key it will most likely start with
+  if (factoryKeyPool.enabledCount > 0) {
+    const entry = factoryKeyPool.peek();
+    logDebug(`Using Factory API key ${entry.label} (${entry.key.substring(0, 10)}...)`);
+    return `Bearer ${entry.key}`;
   }
 
   // Priority 2: Refresh token mechanism
@@ -325,83 +537,19 @@ export async function getApiKey(clientAuthorization = null) {
 }
 
 /**
- * Rotate to next available Factory API key
- * Returns true if rotation was successful, false if no more keys available
- */
-export function rotateFactoryApiKey() {
-  if (authSource !== 'factory_key' || factoryApiKeys.length <= 1) {
-    return false;
-  }
-
-  const oldIndex = currentKeyIndex;
-  const nextIndex = (currentKeyIndex + 1) % factoryApiKeys.length;
-
-  // Check if we've completed a full cycle (back to starting key)
-  if (nextIndex === startingKeyIndex) {
-    hasCompletedFullCycle = true;
-    logInfo('Completed full cycle through all Factory API keys');
-    return false;
-  }
-
-  currentKeyIndex = nextIndex;
-  rotationOccurredInCycle = true;
-  logDebug(`Key rotation: #${oldIndex + 1} -> #${currentKeyIndex + 1}`);
-  return true;
-}
-
-/**
- * Check if we have more Factory API keys available for fallback
- */
-export function hasMoreFactoryKeys() {
-  if (authSource !== 'factory_key' || factoryApiKeys.length <= 1) {
-    return false;
-  }
-  // Return false if we've already tried all keys in this cycle
-  return !hasCompletedFullCycle;
-}
-
-/**
- * Start a new rotation cycle (call this at the beginning of each request)
- * Periodically resets to key #1 to check if earlier keys have recovered
+ * Start the key attempts of one upstream request.
+ * Returns null when Factory API keys are not in use (refresh token or client authorization).
  */
-export function startNewRotationCycle() {
-  // Check if we should try key #1 again (periodic reset)
-  if (currentKeyIndex > 0 && factoryApiKeys.length > 1) {
-    const timeSinceKey1 = Date.now() - lastKey1AttemptTime;
-    if (timeSinceKey1 >= KEY1_RETRY_INTERVAL_MS) {
-      currentKeyIndex = 0;
-      lastKey1AttemptTime = Date.now();
-      logDebug('Periodic reset to key #1');
-    }
+export function createKeyAttempt() {
+  if (factoryKeyPool.enabledCount === 0) {
+    return null;
   }
-  
-  // If we're on key #1, update the last attempt time
-  if (currentKeyIndex === 0) {
-    lastKey1AttemptTime = Date.now();
-  }
-  
-  startingKeyIndex = currentKeyIndex;
-  hasCompletedFullCycle = false;
-  rotationOccurredInCycle = false;
+  return factoryKeyPool.createAttempt();
 }
 
 /**
- * Check if rotation occurred in the current request cycle
+ * Per-key Factory API key state for status output, or null when keys are not in use
  */
-export function didRotationOccur() {
-  return rotationOccurredInCycle;
-}
-
-/**
- * Get current Factory API key info for logging
- */
-export function getCurrentKeyInfo() {
-  if (authSource === 'factory_key' && factoryApiKeys.length > 0) {
-    return {
-      index: currentKeyIndex + 1,
-      total: factoryApiKeys.length,
-      preview: factoryApiKeys[currentKeyIndex].substring(0, 10) + '...'
-    };
-  }
-  return null;
+export function getKeyPoolStatus() {
+  return factoryKeyPool.size > 0 ? factoryKeyPool.getStatus() : null;
 }
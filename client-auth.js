@@ -0,0 +1,384 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { getConfig, getClientAuthConfig } from './config.js';
+import { logInfo, logError } from './logger.js';
+import { runWithClient } from './request-context.js';
+import { stripModelTag } from './transformers/request-from-ollama.js';
+import { validateLimits } from './rate-limiter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Inbound client authentication with keys issued by this proxy.
+ *
+ * Clients are stored in client_auth.keys_file as JSON (an array, or {"clients": [...]}):
+ *   {"label": "alice", "key": "sk-..." | "key_hash": "<sha256 hex>",
+ *    "models": ["claude-*", "gpt-5-2025-08-07"], "system_prompt": false, "disabled": false,
+ *    "limits": {"requests_per_minute": 60, "daily_tokens": 2000000}}
+ * Keys issued through the admin API are stored only as hashes. The file is reloaded when it changes.
+ */
+
+const CLIENT_KEYS_FILE_POLL_INTERVAL_MS = 2000;
+const CLIENT_KEY_PREFIX = 'sk-d2a-';
+
+let clients = [];
+let clientsByHash = new Map();
+let clientKeysFileExists = false;
+let watchedClientKeysFile = null;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function resolveClientKeysFilePath() {
+  const { keys_file: keysFile } = getClientAuthConfig();
+  return typeof keysFile === 'string' && keysFile.trim() !== '' ? path.resolve(__dirname, keysFile.trim()) : null;
+}
+
+/**
+ * Validate the per-client settings accepted from the keys file and the admin API
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateClientSettings(settings) {
+  if (settings.label !== undefined && (typeof settings.label !== 'string' || settings.label.trim() === '')) {
+    return 'label must be a non-empty string';
+  }
+  if (settings.models !== undefined && settings.models !== null
+    && (!Array.isArray(settings.models) || settings.models.some(model => typeof model !== 'string'))) {
+    return 'models must be an array of model ids (* matches any characters) or null for all models';
+  }
+  if (settings.system_prompt !== undefined && settings.system_prompt !== null
+    && settings.system_prompt !== false && typeof settings.system_prompt !== 'string') {
+    return 'system_prompt must be a string, false (no system prompt) or null (configured default)';
+  }
+  if (settings.disabled !== undefined && typeof settings.disabled !== 'boolean') {
+    return 'disabled must be a boolean';
+  }
+  return validateLimits(settings.limits);
+}
+
+function createClientRecord(item, index) {
+  const keyHash = typeof item.key === 'string' && item.key.trim() !== ''
+    ? hashKey(item.key.trim())
+    : (typeof item.key_hash === 'string' ? item.key_hash.toLowerCase() : null);
+  if (!keyHash || !/^[0-9a-f]{64}$/.test(keyHash)) {
+    throw new Error(`Client #${index + 1} needs a "key" or a sha256 "key_hash"`);
+  }
+  const validationError = validateClientSettings(item);
+  if (validationError) {
+    throw new Error(`Client #${index + 1}: ${validationError}`);
+  }
+
+  return {
+    id: keyHash.slice(0, 12),
+    keyHash,
+    key: typeof item.key === 'string' ? item.key.trim() : null, // only kept for hand-written entries
+    label: item.label || `client-${keyHash.slice(0, 6)}`,
+    models: item.models || null, // null: all models
+    systemPrompt: item.system_prompt ?? null, // null: configured system_prompt
+    disabled: item.disabled === true,
+    limits: item.limits || null, // null: rate_limits.client_default
+    createdAt: item.created_at || null,
+    lastUsedAt: 0,
+    requestCount: 0
+  };
+}
+
+function setClients(records) {
+  const previous = new Map(clients.map(client => [client.keyHash, client]));
+  for (const record of records) {
+    const existing = previous.get(record.keyHash);
+    if (existing) {
+      record.lastUsedAt = existing.lastUsedAt;
+      record.requestCount = existing.requestCount;
+    }
+  }
+  clients = records;
+  clientsByHash = new Map(records.map(client => [client.keyHash, client]));
+}
+
+/**
+ * Re-read client_auth.keys_file. A missing file means no clients; an invalid file keeps the current ones.
+ */
+export function reloadClientKeys() {
+  const filePath = resolveClientKeysFilePath();
+  clientKeysFileExists = filePath !== null && fs.existsSync(filePath);
+  if (!clientKeysFileExists) {
+    setClients([]);
+    return true;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const items = Array.isArray(data) ? data : data.clients;
+    if (!Array.isArray(items)) {
+      throw new Error('Client keys file must be an array or an object with a "clients" array');
+    }
+    setClients(items.map(createClientRecord));
+  } catch (error) {
+    logError(`Failed to read client keys file ${filePath}, keeping current clients`, error);
+    return false;
+  }
+  logInfo(`Loaded ${clients.length} client keys`);
+  return true;
+}
+
+/**
+ * Write clients to client_auth.keys_file atomically
+ */
+function saveClientKeys(records) {
+  const filePath = resolveClientKeysFilePath();
+  if (!filePath) {
+    throw new Error('client_auth.keys_file is not configured');
+  }
+
+  const items = records.map(client => {
+    const item = client.key ? { key: client.key } : { key_hash: client.keyHash };
+    item.label = client.label;
+    if (client.models) {
+      item.models = client.models;
+    }
+    if (client.systemPrompt !== null) {
+      item.system_prompt = client.systemPrompt;
+    }
+    if (client.disabled) {
+      item.disabled = true;
+    }
+    if (client.limits) {
+      item.limits = client.limits;
+    }
+    if (client.createdAt) {
+      item.created_at = client.createdAt;
+    }
+    return item;
+  });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ clients: items }, null, 2) + '\n', 'utf-8');
+  fs.renameSync(tmpPath, filePath);
+  clientKeysFileExists = true;
+  logInfo(`Saved ${items.length} client keys to ${filePath}`);
+}
+
+function watchClientKeysFile() {
+  const filePath = resolveClientKeysFilePath();
+  if (!filePath || watchedClientKeysFile === filePath) {
+    return;
+  }
+  if (watchedClientKeysFile) {
+    fs.unwatchFile(watchedClientKeysFile);
+  }
+  watchedClientKeysFile = filePath;
+
+  fs.watchFile(filePath, { interval: CLIENT_KEYS_FILE_POLL_INTERVAL_MS, persistent: false }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+      logInfo(`Client keys file ${filePath} changed, reloading clients`);
+      reloadClientKeys();
+    }
+  });
+}
+
+/**
+ * Whether API requests need a client key: client_auth.enabled true or false decides explicitly;
+ * when it is not set, keys are required as soon as the keys file exists (fails closed even if
+ * the file holds no keys yet).
+ */
+export function isClientAuthEnabled() {
+  const { enabled } = getClientAuthConfig();
+  if (typeof enabled === 'boolean') {
+    return enabled;
+  }
+  return clientKeysFileExists;
+}
+
+/**
+ * Load client keys and watch the keys file. Keys are loaded even while client_auth is disabled
+ * so that admin API changes never overwrite clients already in the file.
+ */
+export function initializeClientAuth() {
+  reloadClientKeys();
+  watchClientKeysFile();
+  if (getClientAuthConfig().enabled === false) {
+    logError('WARNING: client_auth.enabled is false - anyone who can reach this proxy can use its Factory keys. '
+      + 'Only run it like this behind another authentication layer.');
+    return;
+  }
+  if (!isClientAuthEnabled()) {
+    logInfo(`Client authentication off until ${resolveClientKeysFilePath() || 'client_auth.keys_file'} is created (issue a key via POST /admin/clients)`);
+    return;
+  }
+  logInfo(`Client authentication enabled (${clients.length} client keys)`);
+  if (clients.length === 0) {
+    logInfo('No client keys yet - all API requests will be rejected until one is issued via POST /admin/clients');
+  }
+}
+
+function toClientView(client) {
+  return {
+    id: client.id,
+    label: client.label,
+    models: client.models,
+    system_prompt: client.systemPrompt,
+    disabled: client.disabled,
+    limits: client.limits,
+    created_at: client.createdAt,
+    last_used_at: client.lastUsedAt ? new Date(client.lastUsedAt).toISOString() : null,
+    request_count: client.requestCount
+  };
+}
+
+export function listClients() {
+  return clients.map(toClientView);
+}
+
+/**
+ * Issue a new client key and save it. The key is returned only here; the file keeps its hash.
+ * @returns {object} Client view with the new key
+ */
+export function createClient(settings) {
+  const key = CLIENT_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const keyHash = hashKey(key);
+  const client = createClientRecord({
+    key_hash: keyHash,
+    label: settings.label,
+    models: settings.models,
+    system_prompt: settings.system_prompt,
+    disabled: settings.disabled,
+    limits: settings.limits,
+    created_at: new Date().toISOString()
+  }, clients.length);
+
+  const records = [...clients, client];
+  saveClientKeys(records);
+  setClients(records);
+  return { ...toClientView(client), key };
+}
+
+/**
+ * Change a client's label, models, system_prompt, disabled flag or limits and save
+ * @returns {object|null} Client view, or null if the client does not exist
+ */
+export function updateClient(id, changes) {
+  const client = clients.find(candidate => candidate.id === id);
+  if (!client) {
+    return null;
+  }
+  const updated = { ...client };
+  if (changes.label !== undefined) updated.label = changes.label;
+  if (changes.models !== undefined) updated.models = changes.models;
+  if (changes.system_prompt !== undefined) updated.systemPrompt = changes.system_prompt;
+  if (changes.disabled !== undefined) updated.disabled = changes.disabled;
+  if (changes.limits !== undefined) updated.limits = changes.limits;
+
+  const records = clients.map(candidate => (candidate === client ? updated : candidate));
+  saveClientKeys(records);
+  setClients(records);
+  return toClientView(updated);
+}
+
+/**
+ * Revoke a client key and save
+ * @returns {boolean} false if the client does not exist
+ */
+export function deleteClient(id) {
+  const remaining = clients.filter(client => client.id !== id);
+  if (remaining.length === clients.length) {
+    return false;
+  }
+  saveClientKeys(remaining);
+  setClients(remaining);
+  return true;
+}
+
+function matchesModelPattern(pattern, modelId) {
+  if (!pattern.includes('*')) {
+    return pattern === modelId;
+  }
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(modelId);
+}
+
+/**
+ * Whether a client may use a model. The model is allowed when the requested id or the id
+ * it redirects to matches one of the client's patterns.
+ */
+export function isModelAllowed(client, modelId) {
+  if (!client || !client.models) {
+    return true;
+  }
+  const redirectedId = getConfig().model_redirects?.[modelId];
+  return client.models.some(pattern =>
+    matchesModelPattern(pattern, modelId) || (redirectedId && matchesModelPattern(pattern, redirectedId)));
+}
+
+function getClientKey(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || req.headers['x-goog-api-key'] || req.query?.key || null;
+}
+
+/**
+ * Model named by a request: body.model (body.name for Ollama /api/show) or the Gemini path
+ */
+function getRequestedModel(req) {
+  const geminiMatch = req.originalUrl.match(/^\/v1beta\/models\/([^:/?]+)/);
+  if (geminiMatch) {
+    return decodeURIComponent(geminiMatch[1]); // URIError for malformed escapes
+  }
+  const model = req.body?.model || req.body?.name;
+  return typeof model === 'string' ? stripModelTag(model) : null;
+}
+
+/**
+ * Express middleware for the API routes: requires a valid client key (Authorization: Bearer,
+ * x-api-key, x-goog-api-key or ?key=), checks the client's allowed models and runs the rest
+ * of the request with the client as request context.
+ */
+export function clientAuthMiddleware(req, res, next) {
+  if (!isClientAuthEnabled()) {
+    return next();
+  }
+
+  const requestPath = req.originalUrl.split('?')[0];
+  const key = getClientKey(req);
+  const client = key ? clientsByHash.get(hashKey(key)) : null;
+  if (!client || client.disabled) {
+    logInfo(`Rejected ${req.method} ${requestPath}: ${key ? 'invalid or disabled' : 'missing'} client key`);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: key ? 'Invalid API key' : 'API key required (Authorization: Bearer <key> or x-api-key)'
+    });
+  }
+
+  // The client key is only valid for this proxy and must never be forwarded upstream
+  delete req.headers.authorization;
+  delete req.headers['x-api-key'];
+  delete req.headers['x-goog-api-key'];
+  if (req.query?.key) {
+    delete req.query.key;
+  }
+
+  let requestedModel;
+  try {
+    requestedModel = getRequestedModel(req);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid model', message: `Malformed model name in path: ${error.message}` });
+  }
+  if (requestedModel && !isModelAllowed(client, requestedModel)) {
+    logInfo(`Client ${client.label} is not allowed to use model ${requestedModel}`);
+    return res.status(403).json({
+      error: 'Model not allowed',
+      message: `This API key is not allowed to use model ${requestedModel}`
+    });
+  }
+
+  client.lastUsedAt = Date.now();
+  client.requestCount++;
+  runWithClient(client, next);
+}
@@ -3,6 +3,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { logInfo } from './logger.js';
 import { getCurrentUserAgent } from './user-agent-updater.js';
+import { getCurrentClient } from './request-context.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,6 +21,17 @@ export function loadConfig() {
   }
 }
 
+/**
+ * Write the in-memory configuration (including runtime changes) back to config.json atomically
+ */
+export function saveConfig() {
+  const configPath = path.join(__dirname, 'config.json');
+  const tmpPath = `${configPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(getConfig(), null, 2) + '\n', 'utf-8');
+  fs.renameSync(tmpPath, configPath);
+  logInfo('Configuration saved to config.json');
+}
+
 export function getConfig() {
   if (!config) {
     loadConfig();
@@ -55,7 +67,15 @@ export function getPort() {
   return configPort;
 }
 
+/**
+ * System prompt injected into upstream requests. A client key with its own system_prompt
+ * overrides the configured one for its requests (false or "" disables it).
+ */
 export function getSystemPrompt() {
+  const client = getCurrentClient();
+  if (client && client.systemPrompt !== null) {
+    return client.systemPrompt || '';
+  }
   const cfg = getConfig();
   return cfg.system_prompt || '';
 }
@@ -72,11 +92,109 @@ export function getModelReasoning(modelId) {
   return null;
 }
 
+const DEFAULT_TOKEN_POLICY = {
+  context_window: 200000,
+  max_output_tokens: 32000,
+  default_max_tokens: 4096,
+  thinking_budgets: { low: 4096, medium: 12288, high: 24576 }
+};
+
+/**
+ * Token limits of a model ("token_policy" on its config entry) merged over the defaults:
+ * context_window, max_output_tokens, default_max_tokens and per-level thinking_budgets
+ */
+export function getModelTokenPolicy(modelId) {
+  const model = getModelById(modelId);
+  const policy = model?.token_policy || {};
+  return {
+    ...DEFAULT_TOKEN_POLICY,
+    ...policy,
+    thinking_budgets: { ...DEFAULT_TOKEN_POLICY.thinking_budgets, ...(policy.thinking_budgets || {}) }
+  };
+}
+
+/**
+ * Thinking budget for an OpenAI-style reasoning effort, from the model's thinking_budgets.
+ * 'none' and 'minimal' mean no thinking and return null.
+ */
+export function effortToThinkingBudget(modelId, effort) {
+  const budgets = getModelTokenPolicy(modelId).thinking_budgets;
+  return budgets[effort] || null;
+}
+
+/**
+ * Reasoning effort for a thinking budget: the lowest level whose configured budget covers it
+ */
+export function thinkingBudgetToEffort(modelId, budgetTokens) {
+  const budgets = getModelTokenPolicy(modelId).thinking_budgets;
+  if (!budgetTokens || budgetTokens <= budgets.low) {
+    return 'low';
+  }
+  if (budgetTokens <= budgets.medium) {
+    return 'medium';
+  }
+  return 'high';
+}
+
+/**
+ * Reasoning summary requested from the Responses API ("reasoning_summary" on a model):
+ * 'auto' (default), 'concise', 'detailed' or 'none' to request no summary
+ */
+export function getModelReasoningSummary(modelId) {
+  const model = getModelById(modelId);
+  const summary = typeof model?.reasoning_summary === 'string' ? model.reasoning_summary.toLowerCase() : '';
+  if (['auto', 'concise', 'detailed', 'none'].includes(summary)) {
+    return summary;
+  }
+  return 'auto';
+}
+
+/**
+ * GPT-5 text.verbosity ("text_verbosity" on a model: low/medium/high), or null for the upstream default
+ */
+export function getModelTextVerbosity(modelId) {
+  const model = getModelById(modelId);
+  const verbosity = typeof model?.text_verbosity === 'string' ? model.text_verbosity.toLowerCase() : '';
+  if (['low', 'medium', 'high'].includes(verbosity)) {
+    return verbosity;
+  }
+  return null;
+}
+
 export function getModelProvider(modelId) {
   const model = getModelById(modelId);
   return model?.provider || null;
 }
 
+/**
+ * How reasoning/thinking is surfaced on /v1/chat/completions:
+ * 'reasoning_content' (default), 'think_tags' (inlined in content) or 'none'
+ */
+export function getReasoningOutputMode() {
+  const cfg = getConfig();
+  const mode = typeof cfg.reasoning_output === 'string' ? cfg.reasoning_output.toLowerCase() : '';
+  if (['reasoning_content', 'think_tags', 'none'].includes(mode)) {
+    return mode;
+  }
+  return 'reasoning_content';
+}
+
+export function isToolArgumentStreamingEnabled() {
+  const cfg = getConfig();
+  return cfg.stream_tool_arguments === true;
+}
+
+const DEFAULT_MAX_CHOICES = 8;
+
+/**
+ * Upper bound for the upstream requests one client request may fan out to
+ * (n on chat completions, prompts x n on legacy completions)
+ */
+export function getMaxChoices() {
+  const cfg = getConfig();
+  return Number.isInteger(cfg.max_choices) && cfg.max_choices > 0 ? cfg.max_choices : DEFAULT_MAX_CHOICES;
+}
+
 export function getUserAgent() {
   return getCurrentUserAgent();
 }
@@ -89,6 +207,90 @@ export function getProxyConfigs() {
   return cfg.proxies.filter(proxy => proxy && typeof proxy === 'object');
 }
 
+const DEFAULT_IMAGE_INLINE_CONFIG = {
+  enabled: false,
+  max_bytes: 5 * 1024 * 1024, // Anthropic per-image limit
+  timeout_ms: 15000,
+  allow_private_hosts: false, // true lets clients make the proxy fetch internal addresses (SSRF)
+  allowed_mime_types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+};
+
+export function getImageInlineConfig() {
+  const cfg = getConfig();
+  return { ...DEFAULT_IMAGE_INLINE_CONFIG, ...(cfg.image_inline || {}) };
+}
+
+// In memory only by default: persist_path writes full client prompts and outputs to disk in plain text
+const DEFAULT_RESPONSE_STORE_CONFIG = {
+  enabled: true,
+  ttl_seconds: 86400,
+  max_entries: 1000,
+  persist_path: null
+};
+
+export function getResponseStoreConfig() {
+  const cfg = getConfig();
+  return { ...DEFAULT_RESPONSE_STORE_CONFIG, ...(cfg.response_store || {}) };
+}
+
+/**
+ * Path of the Factory API keys file ("keys_file"), or null when not configured
+ */
+export function getKeysFilePath() {
+  const cfg = getConfig();
+  return typeof cfg.keys_file === 'string' && cfg.keys_file.trim() !== '' ? cfg.keys_file.trim() : null;
+}
+
+const DEFAULT_CLIENT_AUTH_CONFIG = {
+  enabled: null, // null: required once keys_file exists
+  keys_file: 'data/clients.json'
+};
+
+/**
+ * Inbound client authentication: when enabled, /v1, /v1beta and /api routes require a
+ * client key from keys_file
+ */
+export function getClientAuthConfig() {
+  const cfg = getConfig();
+  return { ...DEFAULT_CLIENT_AUTH_CONFIG, ...(cfg.client_auth || {}) };
+}
+
+const DEFAULT_RATE_LIMIT_CONFIG = {
+  global: {},
+  client_default: {},
+  usage_file: null
+};
+
+/**
+ * Request and token limits: "global" applies to all requests together, "client_default" to each
+ * client key without its own "limits". usage_file keeps daily/monthly token totals across restarts.
+ */
+export function getRateLimitConfig() {
+  const cfg = getConfig();
+  return { ...DEFAULT_RATE_LIMIT_CONFIG, ...(cfg.rate_limits || {}) };
+}
+
+const KEY_POOL_STRATEGIES = ['priority', 'round_robin', 'least_recently_used'];
+
+const DEFAULT_KEY_POOL_CONFIG = {
+  strategy: 'priority',
+  rate_limit_cooldown_seconds: 60,
+  quota_cooldown_seconds: 1800,
+  invalid_cooldown_seconds: 21600
+};
+
+/**
+ * Factory API key pool settings: selection strategy and default cooldowns per failure state
+ */
+export function getKeyPoolConfig() {
+  const cfg = getConfig();
+  const keyPool = { ...DEFAULT_KEY_POOL_CONFIG, ...(cfg.key_pool || {}) };
+  if (!KEY_POOL_STRATEGIES.includes(keyPool.strategy)) {
+    keyPool.strategy = DEFAULT_KEY_POOL_CONFIG.strategy;
+  }
+  return keyPool;
+}
+
 export function getRedirectedModelId(modelId) {
   const cfg = getConfig();
   if (cfg.model_redirects && cfg.model_redirects[modelId]) {
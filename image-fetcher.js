@@ -0,0 +1,191 @@
+import fetch from 'node-fetch';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { getImageInlineConfig } from './config.js';
+import { logInfo, logError } from './logger.js';
+import { getNextProxyAgent } from './proxy-manager.js';
+
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, CGNAT, benchmarking, unique-local and NAT64 ranges:
+// never fetched on a client's behalf
+const BLOCKED_ADDRESSES = new BlockList();
+BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('198.18.0.0', 15, 'ipv4');
+BLOCKED_ADDRESSES.addAddress('::', 'ipv6');
+BLOCKED_ADDRESSES.addAddress('::1', 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('64:ff9b::', 96, 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+export function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return BLOCKED_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Reject URLs whose host is or resolves to an internal address (SSRF protection).
+ * Skipped when image_inline.allow_private_hosts is set.
+ */
+async function assertPublicUrl(url, inlineConfig) {
+  const parsed = new URL(url);
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Image URL protocol not allowed: ${parsed.protocol}`);
+  }
+  if (inlineConfig.allow_private_hosts) {
+    return;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw new Error(`Image host ${parsed.hostname} resolves to internal address ${blocked.address}`);
+  }
+}
+
+/**
+ * dns.lookup for the download sockets that fails on internal addresses. assertPublicUrl alone
+ * is not enough: the name is resolved again when connecting and may then point elsewhere
+ * (DNS rebinding), so the address actually connected to is checked here.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Image host ${hostname} resolves to internal address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Download a remote image through the configured proxy and return it as a data URL.
+ * Enforces the configured size and MIME type limits. Hosts resolving to internal addresses are
+ * rejected, and redirects are followed manually so every hop goes through the same check.
+ * @param {string} url - http(s) image URL
+ * @param {object} inlineConfig - Result of getImageInlineConfig()
+ * @returns {Promise<string>} - data:<mime>;base64,<data>
+ */
+export async function fetchImageAsDataUrl(url, inlineConfig = getImageInlineConfig()) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), inlineConfig.timeout_ms);
+
+  try {
+    let currentUrl = url;
+    let response;
+    for (let hop = 0; ; hop++) {
+      await assertPublicUrl(currentUrl, inlineConfig);
+
+      const fetchOptions = {
+        method: 'GET',
+        signal: controller.signal,
+        redirect: 'manual',
+        size: inlineConfig.max_bytes // node-fetch aborts bodies larger than this
+      };
+
+      // Through a proxy the proxy resolves the host; only the check above applies
+      const proxyAgentInfo = getNextProxyAgent(currentUrl);
+      if (proxyAgentInfo?.agent) {
+        fetchOptions.agent = proxyAgentInfo.agent;
+      } else if (!inlineConfig.allow_private_hosts) {
+        fetchOptions.agent = currentUrl.startsWith('https:') ? publicHttpsAgent : publicHttpAgent;
+      }
+
+      response = await fetch(currentUrl, fetchOptions);
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) {
+        break;
+      }
+      if (hop >= MAX_REDIRECTS) {
+        throw new Error(`Image download failed: more than ${MAX_REDIRECTS} redirects`);
+      }
+      currentUrl = new URL(location, currentUrl).href;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Image download failed: ${response.status}`);
+    }
+
+    const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!inlineConfig.allowed_mime_types.includes(mimeType)) {
+      throw new Error(`Image MIME type not allowed: ${mimeType || 'unknown'}`);
+    }
+
+    const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
+    if (contentLength > inlineConfig.max_bytes) {
+      throw new Error(`Image too large: ${contentLength} bytes (max ${inlineConfig.max_bytes})`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    logInfo(`Inlined remote image ${url} (${mimeType}, ${buffer.length} bytes)`);
+    return `data:${mimeType};base64,${buffer.toString('base64')}`;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Replace http(s) image_url parts in chat completions messages with inlined data URLs.
+ * Does nothing unless image_inline.enabled is set in config.json.
+ * Images that fail to download are left as URLs so the upstream can try them itself.
+ * @param {object} openaiRequest - Chat completions request body
+ * @returns {Promise<object>} - Request with inlined images (original is not mutated)
+ */
+export async function inlineRemoteImages(openaiRequest) {
+  const inlineConfig = getImageInlineConfig();
+  if (!inlineConfig.enabled || !Array.isArray(openaiRequest.messages)) {
+    return openaiRequest;
+  }
+
+  const messages = await Promise.all(openaiRequest.messages.map(async (msg) => {
+    if (!Array.isArray(msg.content)) {
+      return msg;
+    }
+
+    const content = await Promise.all(msg.content.map(async (part) => {
+      if (part.type !== 'image_url') {
+        return part;
+      }
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      if (!url || !/^https?:\/\//i.test(url)) {
+        return part;
+      }
+
+      try {
+        const dataUrl = await fetchImageAsDataUrl(url, inlineConfig);
+        const imageUrl = typeof part.image_url === 'object'
+          ? { ...part.image_url, url: dataUrl }
+          : { url: dataUrl };
+        return { ...part, image_url: imageUrl };
+      } catch (error) {
+        logError(`Failed to inline image ${url}, passing URL through`, error);
+        return part;
+      }
+    }));
+
+    return { ...msg, content };
+  }));
+
+  return { ...openaiRequest, messages };
+}
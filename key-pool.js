@@ -0,0 +1,305 @@
+import crypto from 'crypto';
+import { getKeyPoolConfig } from './config.js';
+import { logInfo, logDebug } from './logger.js';
+
+// Status code -> key state after a failed request
+const FAILURE_STATES = {
+  401: 'invalid',
+  403: 'invalid',
+  402: 'quota_exhausted',
+  429: 'rate_limited'
+};
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Split a key list (comma or newline separated, # starts a comment line) into key definitions
+ */
+export function parseKeyList(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .filter(line => !line.trim().startsWith('#'))
+    .flatMap(line => line.split(','))
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map(key => ({ key }));
+}
+
+/**
+ * Parse a keys file: plain text (see parseKeyList), or JSON as an array (or {"keys": [...]})
+ * of key strings and {key, label, weight, proxy, disabled} objects
+ */
+export function parseKeysFile(content) {
+  const trimmed = content.trim();
+  if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+    return parseKeyList(trimmed);
+  }
+
+  const data = JSON.parse(trimmed);
+  const items = Array.isArray(data) ? data : data.keys;
+  if (!Array.isArray(items)) {
+    throw new Error('Keys file JSON must be an array or an object with a "keys" array');
+  }
+  return items
+    .map(item => (typeof item === 'string' ? { key: item } : item))
+    .filter(item => item && typeof item.key === 'string' && item.key.trim() !== '')
+    .map(item => ({
+      key: item.key.trim(),
+      label: typeof item.label === 'string' ? item.label : undefined,
+      weight: typeof item.weight === 'number' ? item.weight : undefined,
+      proxy: typeof item.proxy === 'string' ? item.proxy : undefined,
+      disabled: item.disabled === true
+    }));
+}
+
+/**
+ * Stable public id of a key (the key itself is never exposed)
+ */
+export function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+function createEntry(key) {
+  return {
+    id: getKeyId(key),
+    key,
+    label: null,
+    source: null, // 'env', 'file' or 'admin'
+    disabled: false,
+    weight: 1,
+    proxy: null, // proxy URL used for this key instead of the shared proxies
+    status: 'healthy',
+    until: 0, // cooldown end (ms), 0 while healthy
+    lastUsedAt: 0,
+    lastStatus: null,
+    successCount: 0,
+    failureCount: 0,
+    currentWeight: 0 // smooth weighted round-robin counter
+  };
+}
+
+/**
+ * Pool of Factory API keys with per-key health.
+ * Every key is 'healthy', 'rate_limited', 'quota_exhausted' or 'invalid'; unhealthy keys are
+ * skipped until their cooldown ends. Each request takes its own KeyAttempt, so concurrent
+ * requests never share rotation state.
+ */
+export class FactoryKeyPool {
+  constructor(definitions = []) {
+    this.entries = [];
+    this.setKeys(definitions);
+  }
+
+  /**
+   * Replace the key list. Keys that stay keep their state; removed keys are only dropped from
+   * selection, so requests already using them finish normally.
+   * @param {Array<{key: string, label?: string, weight?: number, proxy?: string, disabled?: boolean, source?: string}>} definitions
+   * @returns {{added: number, removed: number}}
+   */
+  setKeys(definitions) {
+    const existing = new Map(this.entries.map(entry => [entry.key, entry]));
+    const seen = new Set();
+    let added = 0;
+
+    this.entries = [];
+    for (const definition of definitions) {
+      if (seen.has(definition.key)) {
+        continue;
+      }
+      seen.add(definition.key);
+
+      let entry = existing.get(definition.key);
+      if (!entry) {
+        entry = createEntry(definition.key);
+        added++;
+      }
+      entry.label = definition.label || `#${this.entries.length + 1}`;
+      entry.weight = definition.weight > 0 ? definition.weight : 1;
+      entry.proxy = definition.proxy || null;
+      entry.disabled = definition.disabled === true;
+      entry.source = definition.source || null;
+      this.entries.push(entry);
+    }
+
+    return { added, removed: [...existing.keys()].filter(key => !seen.has(key)).length };
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // Keys that can be selected (not disabled)
+  get enabledCount() {
+    return this.entries.filter(entry => !entry.disabled).length;
+  }
+
+  findById(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  isAvailable(entry, now = Date.now()) {
+    if (entry.status !== 'healthy' && entry.until <= now) {
+      logInfo(`Factory API key ${entry.label} cooldown ended (was ${entry.status})`);
+      entry.status = 'healthy';
+      entry.until = 0;
+    }
+    return entry.status === 'healthy';
+  }
+
+  /**
+   * Pick the next key not in `exclude` according to the configured strategy:
+   * priority (highest weight, then list order), round_robin (smooth weighted) or least_recently_used.
+   * When every remaining key is cooling down, the one that recovers first is returned as a probe.
+   */
+  select(exclude = new Set()) {
+    const now = Date.now();
+    const candidates = this.entries.filter(entry => !entry.disabled && !exclude.has(entry));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const available = candidates.filter(entry => this.isAvailable(entry, now));
+    let entry;
+    if (available.length === 0) {
+      entry = candidates.reduce((soonest, candidate) => (candidate.until < soonest.until ? candidate : soonest));
+      logInfo(`All remaining Factory API keys are cooling down, probing ${entry.label} (${entry.status})`);
+    } else {
+      const { strategy } = getKeyPoolConfig();
+      if (strategy === 'round_robin') {
+        // Smooth weighted round-robin: counters are shared, so concurrent requests spread over the keys
+        const totalWeight = available.reduce((sum, candidate) => sum + candidate.weight, 0);
+        for (const candidate of available) {
+          candidate.currentWeight += candidate.weight;
+          if (!entry || candidate.currentWeight > entry.currentWeight) {
+            entry = candidate;
+          }
+        }
+        entry.currentWeight -= totalWeight;
+      } else if (strategy === 'least_recently_used') {
+        entry = available.reduce((oldest, candidate) => (candidate.lastUsedAt < oldest.lastUsedAt ? candidate : oldest));
+      } else {
+        entry = available.reduce((best, candidate) => (candidate.weight > best.weight ? candidate : best));
+      }
+    }
+
+    entry.lastUsedAt = now;
+    return entry;
+  }
+
+  /**
+   * Key preview for callers that only need an initial Authorization header
+   */
+  peek() {
+    const now = Date.now();
+    const enabled = this.entries.filter(entry => !entry.disabled);
+    return enabled.find(entry => this.isAvailable(entry, now)) || enabled[0] || null;
+  }
+
+  reportSuccess(entry) {
+    entry.successCount++;
+    entry.lastStatus = 200;
+    if (entry.status !== 'healthy') {
+      logInfo(`Factory API key ${entry.label} recovered`);
+      entry.status = 'healthy';
+      entry.until = 0;
+    }
+  }
+
+  /**
+   * Record a quota/auth failure and put the key into cooldown.
+   * Retry-After, when present, sets the cooldown; otherwise the configured default for the state is used.
+   */
+  reportFailure(entry, statusCode, retryAfter = null) {
+    const config = getKeyPoolConfig();
+    const status = FAILURE_STATES[statusCode] || 'rate_limited';
+    const defaultCooldownSeconds = {
+      rate_limited: config.rate_limit_cooldown_seconds,
+      quota_exhausted: config.quota_cooldown_seconds,
+      invalid: config.invalid_cooldown_seconds
+    }[status];
+    const cooldownMs = parseRetryAfter(retryAfter) ?? defaultCooldownSeconds * 1000;
+
+    entry.failureCount++;
+    entry.lastStatus = statusCode;
+    entry.status = status;
+    entry.until = Date.now() + cooldownMs;
+    logInfo(`Factory API key ${entry.label} marked ${status} for ${Math.round(cooldownMs / 1000)}s (HTTP ${statusCode})`);
+  }
+
+  /**
+   * Start the key attempts of one request
+   */
+  createAttempt() {
+    return new KeyAttempt(this);
+  }
+
+  /**
+   * Per-key state for status output (keys are shortened)
+   */
+  getStatus() {
+    const now = Date.now();
+    return this.entries.map(entry => {
+      this.isAvailable(entry, now);
+      return {
+        id: entry.id,
+        label: entry.label,
+        source: entry.source,
+        disabled: entry.disabled,
+        preview: entry.key.substring(0, 10) + '...',
+        weight: entry.weight,
+        proxy: entry.proxy ? 'configured' : null,
+        status: entry.status,
+        cooldown_until: entry.until ? new Date(entry.until).toISOString() : null,
+        last_used_at: entry.lastUsedAt ? new Date(entry.lastUsedAt).toISOString() : null,
+        last_status: entry.lastStatus,
+        success_count: entry.successCount,
+        failure_count: entry.failureCount
+      };
+    });
+  }
+}
+
+/**
+ * The keys tried by a single request. next() never returns a key twice.
+ */
+export class KeyAttempt {
+  constructor(pool) {
+    this.pool = pool;
+    this.tried = new Set();
+    this.current = null;
+  }
+
+  next() {
+    this.current = this.pool.select(this.tried);
+    if (this.current) {
+      this.tried.add(this.current);
+      logDebug(`Using Factory API key ${this.current.label} (attempt ${this.tried.size}/${this.pool.size})`);
+    }
+    return this.current;
+  }
+
+  reportSuccess() {
+    if (this.current) {
+      this.pool.reportSuccess(this.current);
+    }
+  }
+
+  reportFailure(statusCode, retryAfter) {
+    if (this.current) {
+      this.pool.reportFailure(this.current, statusCode, retryAfter);
+    }
+  }
+}
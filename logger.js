@@ -1,7 +1,14 @@
 import { isDevMode } from './config.js';
+import { getCurrentClient } from './request-context.js';
+
+// Label of the client key the current request authenticated with, e.g. "[alice] "
+function clientPrefix() {
+  const client = getCurrentClient();
+  return client ? `[${client.label}] ` : '';
+}
 
 export function logInfo(message, data = null) {
-  console.log(`[INFO] ${message}`);
+  console.log(`[INFO] ${clientPrefix()}${message}`);
   if (data && isDevMode()) {
     console.log(JSON.stringify(data, null, 2));
   }
@@ -9,7 +16,7 @@ export function logInfo(message, data = null) {
 
 export function logDebug(message, data = null) {
   if (isDevMode()) {
-    console.log(`[DEBUG] ${message}`);
+    console.log(`[DEBUG] ${clientPrefix()}${message}`);
     if (data) {
       console.log(JSON.stringify(data, null, 2));
     }
@@ -17,7 +24,7 @@ export function logDebug(message, data = null) {
 }
 
 export function logError(message, error = null) {
-  console.error(`[ERROR] ${message}`);
+  console.error(`[ERROR] ${clientPrefix()}${message}`);
   if (error) {
     if (isDevMode()) {
       console.error(error);
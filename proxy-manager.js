@@ -14,6 +14,20 @@ function snapshotConfigs(configs) {
   }
 }
 
+/**
+ * Proxy agent for a specific proxy URL (e.g. one bound to a Factory API key)
+ */
+export function getProxyAgentForUrl(proxyUrl, targetUrl) {
+  try {
+    const agent = new HttpsProxyAgent(proxyUrl);
+    logInfo(`Using key proxy for request to ${targetUrl}`);
+    return { agent, proxy: { url: proxyUrl } };
+  } catch (error) {
+    logError('Failed to create proxy agent for key proxy', error);
+    return null;
+  }
+}
+
 export function getNextProxyAgent(targetUrl) {
   const proxies = getProxyConfigs();
 
@@ -0,0 +1,486 @@
+import fs from 'fs';
+import path from 'path';
+import { Transform, pipeline } from 'stream';
+import { fileURLToPath } from 'url';
+import { Response } from 'node-fetch';
+import { getRateLimitConfig, getMaxChoices } from './config.js';
+import { getCurrentClient } from './request-context.js';
+import { getCompletionPrompts } from './transformers/request-from-completions.js';
+import { logInfo, logDebug, logError } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Request and token limits, globally and per client key.
+ *
+ * Limits are checked when a request arrives (before any upstream call); tokens are counted from
+ * the usage upstreams report, once the response or stream ends. A request is therefore admitted
+ * while the tokens already used in the window are below the limit, and its own tokens count
+ * toward the next requests. Requests and concurrency count upstream calls, so a request that fans
+ * out (n > 1, several legacy completions prompts) uses one slot per call.
+ */
+
+export const LIMIT_FIELDS = [
+  'requests_per_minute',
+  'concurrent_requests',
+  'input_tokens_per_minute',
+  'output_tokens_per_minute',
+  'daily_tokens',
+  'monthly_tokens'
+];
+
+const WINDOW_MS = 60 * 1000;
+const USAGE_SAVE_DELAY_MS = 5000;
+
+// Token counting and count_tokens / model info endpoints do not spend upstream quota
+const UNLIMITED_PATHS = [/\/count_tokens$/, /:countTokens$/, /^\/api\/show$/];
+
+const scopes = new Map(); // 'global' or client id -> usage scope
+let usageSaveTimer = null;
+
+function getDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function getMonth(time) {
+  return new Date(time).toISOString().slice(0, 7);
+}
+
+function createScope(label) {
+  return {
+    label,
+    requests: [], // request start times in the current window
+    tokens: [], // {time, input, output} in the current window
+    active: 0,
+    day: null,
+    dailyTokens: 0,
+    month: null,
+    monthlyTokens: 0
+  };
+}
+
+function getScope(id, label) {
+  if (!scopes.has(id)) {
+    scopes.set(id, createScope(label));
+  }
+  const scope = scopes.get(id);
+  scope.label = label;
+  return scope;
+}
+
+/**
+ * Drop window entries older than a minute and reset the daily/monthly totals on a new UTC day/month
+ */
+function refreshScope(scope, now) {
+  const windowStart = now - WINDOW_MS;
+  while (scope.requests.length > 0 && scope.requests[0] <= windowStart) {
+    scope.requests.shift();
+  }
+  while (scope.tokens.length > 0 && scope.tokens[0].time <= windowStart) {
+    scope.tokens.shift();
+  }
+  if (scope.day !== getDay(now)) {
+    scope.day = getDay(now);
+    scope.dailyTokens = 0;
+  }
+  if (scope.month !== getMonth(now)) {
+    scope.month = getMonth(now);
+    scope.monthlyTokens = 0;
+  }
+}
+
+function isLimited(value) {
+  return typeof value === 'number' && value > 0;
+}
+
+/**
+ * Validate a limits object from config, the client keys file or the admin API
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateLimits(limits) {
+  if (limits === null || limits === undefined) {
+    return null;
+  }
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    return 'limits must be an object';
+  }
+  for (const [field, value] of Object.entries(limits)) {
+    if (!LIMIT_FIELDS.includes(field)) {
+      return `Unknown limit ${field} (expected ${LIMIT_FIELDS.join(', ')})`;
+    }
+    if (value !== null && (typeof value !== 'number' || value < 0)) {
+      return `${field} must be a non-negative number or null (unlimited)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Limits of a client: its own limits over client_default (null in the client's limits removes a default)
+ */
+function getClientLimits(client) {
+  return { ...(getRateLimitConfig().client_default || {}), ...(client.limits || {}) };
+}
+
+function getScopes(client) {
+  const config = getRateLimitConfig();
+  const result = [{ scope: getScope('global', 'global'), limits: config.global || {}, name: 'global' }];
+  if (client) {
+    result.push({ scope: getScope(client.id, client.label), limits: getClientLimits(client), name: `client ${client.label}` });
+  }
+  return result;
+}
+
+/**
+ * Milliseconds until the summed window entries drop below the limit
+ */
+function windowRetryAfterMs(entries, limit, valueOf, now) {
+  let used = entries.reduce((sum, entry) => sum + valueOf(entry), 0);
+  for (const entry of entries) {
+    used -= valueOf(entry);
+    if (used < limit) {
+      return entry.time + WINDOW_MS - now;
+    }
+  }
+  return WINDOW_MS;
+}
+
+/**
+ * Upstream calls a request will make: n for chat completions, prompts x n for legacy completions.
+ * Values the route rejects with 400 count as a single call.
+ */
+function countUpstreamCalls(requestPath, body) {
+  const n = body?.n ?? 1;
+  if (!Number.isInteger(n) || n < 1) {
+    return 1;
+  }
+  let calls = n;
+  if (requestPath === '/v1/completions') {
+    try {
+      calls = getCompletionPrompts(body.prompt).length * n;
+    } catch (error) {
+      return 1;
+    }
+  } else if (requestPath !== '/v1/chat/completions') {
+    return 1;
+  }
+  return calls <= getMaxChoices() ? calls : 1;
+}
+
+/**
+ * First exceeded limit of a scope for a request making the given number of upstream calls, or null
+ * @returns {{limit: string, quota: boolean, message: string, retryAfterMs: number}|null}
+ */
+export function checkScope(scope, limits, now, calls = 1) {
+  if (isLimited(limits.concurrent_requests) && scope.active + calls > limits.concurrent_requests) {
+    return { limit: 'concurrent_requests', quota: false, message: `${limits.concurrent_requests} concurrent requests`, retryAfterMs: 1000 };
+  }
+  if (isLimited(limits.requests_per_minute) && scope.requests.length + calls > limits.requests_per_minute) {
+    // Wait until enough of the oldest requests leave the window (a full window if calls alone exceed the limit)
+    const freed = scope.requests.length + calls - limits.requests_per_minute;
+    const oldest = freed <= scope.requests.length ? scope.requests[freed - 1] : now;
+    return { limit: 'requests_per_minute', quota: false, message: `${limits.requests_per_minute} requests per minute`, retryAfterMs: oldest + WINDOW_MS - now };
+  }
+  for (const [field, key] of [['input_tokens_per_minute', 'input'], ['output_tokens_per_minute', 'output']]) {
+    if (!isLimited(limits[field])) {
+      continue;
+    }
+    const used = scope.tokens.reduce((sum, entry) => sum + entry[key], 0);
+    if (used >= limits[field]) {
+      return {
+        limit: field,
+        quota: false,
+        message: `${limits[field]} ${key} tokens per minute`,
+        retryAfterMs: windowRetryAfterMs(scope.tokens, limits[field], entry => entry[key], now)
+      };
+    }
+  }
+  if (isLimited(limits.daily_tokens) && scope.dailyTokens >= limits.daily_tokens) {
+    const nextDay = new Date(now);
+    nextDay.setUTCHours(24, 0, 0, 0);
+    return { limit: 'daily_tokens', quota: true, message: `daily budget of ${limits.daily_tokens} tokens`, retryAfterMs: nextDay.getTime() - now };
+  }
+  if (isLimited(limits.monthly_tokens) && scope.monthlyTokens >= limits.monthly_tokens) {
+    const nextMonth = new Date(now);
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1, 1);
+    nextMonth.setUTCHours(0, 0, 0, 0);
+    return { limit: 'monthly_tokens', quota: true, message: `monthly budget of ${limits.monthly_tokens} tokens`, retryAfterMs: nextMonth.getTime() - now };
+  }
+  return null;
+}
+
+/**
+ * 429 body in the format of the API the client called
+ */
+function createLimitErrorBody(requestPath, message, quota) {
+  if (requestPath.startsWith('/v1/messages')) {
+    return { type: 'error', error: { type: 'rate_limit_error', message } };
+  }
+  if (requestPath.startsWith('/v1beta/')) {
+    return { error: { code: 429, message, status: 'RESOURCE_EXHAUSTED' } };
+  }
+  if (requestPath.startsWith('/api/')) {
+    return { error: message };
+  }
+  return {
+    error: {
+      message,
+      type: quota ? 'insufficient_quota' : 'rate_limit_exceeded',
+      param: null,
+      code: quota ? 'insufficient_quota' : 'rate_limit_exceeded'
+    }
+  };
+}
+
+/**
+ * Express middleware for the API routes (after client authentication): rejects requests over a
+ * global or client limit with 429 and Retry-After, otherwise counts the request's upstream calls
+ * and holds that many concurrency slots until the response is closed.
+ */
+export function rateLimitMiddleware(req, res, next) {
+  const requestPath = req.originalUrl.split('?')[0];
+  if (req.method !== 'POST' || UNLIMITED_PATHS.some(pattern => pattern.test(requestPath))) {
+    return next();
+  }
+
+  const now = Date.now();
+  const client = getCurrentClient();
+  const checked = getScopes(client);
+  const calls = countUpstreamCalls(requestPath, req.body);
+  for (const { scope, limits, name } of checked) {
+    refreshScope(scope, now);
+    const exceeded = checkScope(scope, limits, now, calls);
+    if (exceeded) {
+      const retryAfterSeconds = Math.max(1, Math.ceil(exceeded.retryAfterMs / 1000));
+      const fanOut = calls > 1 && !exceeded.quota ? ` (this request makes ${calls} upstream calls)` : '';
+      const message = `${exceeded.quota ? 'Token budget exceeded' : 'Rate limit reached'} for ${name}: ${exceeded.message}${fanOut}. Retry after ${retryAfterSeconds}s.`;
+      logInfo(`Rejected ${req.method} ${requestPath} (${calls} upstream call(s)): ${exceeded.limit} limit reached for ${name}`);
+      res.setHeader('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json(createLimitErrorBody(requestPath, message, exceeded.quota));
+    }
+  }
+
+  for (const { scope } of checked) {
+    for (let i = 0; i < calls; i++) {
+      scope.requests.push(now);
+    }
+    scope.active += calls;
+  }
+  res.once('close', () => {
+    for (const { scope } of checked) {
+      scope.active -= calls;
+    }
+  });
+  next();
+}
+
+/**
+ * Count tokens reported by an upstream against the global scope and the client's scope
+ */
+export function recordUsage(client, inputTokens, outputTokens) {
+  if (!inputTokens && !outputTokens) {
+    return;
+  }
+  const now = Date.now();
+  for (const { scope } of getScopes(client)) {
+    refreshScope(scope, now);
+    scope.tokens.push({ time: now, input: inputTokens, output: outputTokens });
+    scope.dailyTokens += inputTokens + outputTokens;
+    scope.monthlyTokens += inputTokens + outputTokens;
+  }
+  logDebug(`Recorded usage: ${inputTokens} input, ${outputTokens} output tokens`);
+  scheduleUsageSave();
+}
+
+/**
+ * Input/output tokens of an Anthropic, Responses or chat completions usage object.
+ * Fields the object does not carry are undefined (Anthropic message_delta only reports output).
+ */
+function readUsage(usage) {
+  const input = usage.input_tokens ?? usage.prompt_tokens;
+  return {
+    input: input === undefined ? undefined
+      : input + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+    output: usage.output_tokens ?? usage.completion_tokens
+  };
+}
+
+/**
+ * Pass-through stream that reads the usage of an upstream response (JSON body or SSE events,
+ * where the latest reported totals win) and records it when the body ends or is abandoned.
+ */
+class UsageTap extends Transform {
+  constructor(client, isStream) {
+    super();
+    this.client = client;
+    this.isStream = isStream;
+    this.buffer = '';
+    this.input = 0;
+    this.output = 0;
+    this.recorded = false;
+  }
+
+  readEvent(data) {
+    if (!data.includes('"usage"')) {
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+    const usage = parsed.usage || parsed.message?.usage || parsed.response?.usage;
+    if (!usage) {
+      return;
+    }
+    const { input, output } = readUsage(usage);
+    if (input !== undefined) this.input = input;
+    if (output !== undefined) this.output = output;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffer += chunk.toString();
+    if (this.isStream) {
+      const lines = this.buffer.split('\n');
+      this.buffer = lines.pop() || '';
+      for (const line of lines) {
+        if (line.startsWith('data:')) {
+          this.readEvent(line.slice(5).trim());
+        }
+      }
+    }
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    this.readEvent(this.isStream ? this.buffer.replace(/^data:/, '').trim() : this.buffer);
+    this.record();
+    callback();
+  }
+
+  _destroy(error, callback) {
+    this.record();
+    callback(error);
+  }
+
+  record() {
+    if (!this.recorded) {
+      this.recorded = true;
+      recordUsage(this.client, this.input, this.output);
+    }
+  }
+}
+
+/**
+ * Wrap a successful upstream response so the tokens it reports are counted for the current client
+ */
+export function trackUsage(response) {
+  if (!response.ok || !response.body) {
+    return response;
+  }
+  const isStream = (response.headers.get('content-type') || '').includes('text/event-stream');
+  const tap = new UsageTap(getCurrentClient(), isStream);
+  pipeline(response.body, tap, () => {});
+  return new Response(tap, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+function resolveUsageFilePath() {
+  const { usage_file: usageFile } = getRateLimitConfig();
+  return typeof usageFile === 'string' && usageFile.trim() !== '' ? path.resolve(__dirname, usageFile.trim()) : null;
+}
+
+function scheduleUsageSave() {
+  if (usageSaveTimer || !resolveUsageFilePath()) {
+    return;
+  }
+  usageSaveTimer = setTimeout(() => {
+    usageSaveTimer = null;
+    saveUsage();
+  }, USAGE_SAVE_DELAY_MS);
+  usageSaveTimer.unref();
+}
+
+/**
+ * Write the daily/monthly totals to usage_file (per-minute windows are not kept)
+ */
+function saveUsage() {
+  const filePath = resolveUsageFilePath();
+  const data = {};
+  for (const [id, scope] of scopes) {
+    data[id] = {
+      label: scope.label,
+      day: scope.day,
+      daily_tokens: scope.dailyTokens,
+      month: scope.month,
+      monthly_tokens: scope.monthlyTokens
+    };
+  }
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    logError(`Failed to save usage to ${filePath}`, error);
+  }
+}
+
+/**
+ * Restore daily/monthly totals from usage_file (saved a few seconds after each change)
+ */
+export function initializeRateLimits() {
+  const filePath = resolveUsageFilePath();
+  if (!filePath) {
+    return;
+  }
+  // Save totals not yet written when the process exits normally
+  process.once('exit', () => {
+    if (usageSaveTimer) {
+      clearTimeout(usageSaveTimer);
+      saveUsage();
+    }
+  });
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    for (const [id, saved] of Object.entries(data)) {
+      const scope = getScope(id, saved.label || id);
+      scope.day = saved.day || null;
+      scope.dailyTokens = saved.daily_tokens || 0;
+      scope.month = saved.month || null;
+      scope.monthlyTokens = saved.monthly_tokens || 0;
+    }
+    logInfo(`Loaded token usage for ${scopes.size} scopes from ${filePath}`);
+  } catch (error) {
+    logError(`Failed to read usage file ${filePath}`, error);
+  }
+}
+
+/**
+ * Current usage of every scope for the admin API
+ */
+export function getUsageSnapshot() {
+  const now = Date.now();
+  const result = {};
+  for (const [id, scope] of scopes) {
+    refreshScope(scope, now);
+    result[id] = {
+      label: scope.label,
+      active_requests: scope.active,
+      requests_last_minute: scope.requests.length,
+      input_tokens_last_minute: scope.tokens.reduce((sum, entry) => sum + entry.input, 0),
+      output_tokens_last_minute: scope.tokens.reduce((sum, entry) => sum + entry.output, 0),
+      daily_tokens: scope.dailyTokens,
+      monthly_tokens: scope.monthlyTokens
+    };
+  }
+  return result;
+}
@@ -0,0 +1,21 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per-request context (the authenticated client), available to everything the request
+ * calls into - transformers, logging, streams - without passing it through every function.
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run fn (usually express's next) with the given client as the current client
+ */
+export function runWithClient(client, fn) {
+  return requestContext.run({ client }, fn);
+}
+
+/**
+ * Client of the request being handled, or null (client auth disabled or outside a request)
+ */
+export function getCurrentClient() {
+  return requestContext.getStore()?.client || null;
+}
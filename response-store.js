@@ -0,0 +1,276 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getResponseStoreConfig } from './config.js';
+import { logInfo, logError, logDebug } from './logger.js';
+import { getCurrentClient } from './request-context.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Local conversation store for /v1/responses.
+ * Upstreams are called with store: false, so the proxy keeps each response together with
+ * the input items the client sent for it and a pointer to the previous response; the full
+ * history is rebuilt by walking that chain when previous_response_id is expanded.
+ */
+class ResponseStore {
+  constructor() {
+    this.entries = new Map(); // response id -> {response, input, previous_response_id, client_id, expires_at}
+    this.loaded = false;
+    this.saveTimer = null;
+  }
+
+  getPersistPath() {
+    const { persist_path: persistPath } = getResponseStoreConfig();
+    return persistPath ? path.resolve(__dirname, persistPath) : null;
+  }
+
+  load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    const persistPath = this.getPersistPath();
+    if (!persistPath || !fs.existsSync(persistPath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(persistPath, 'utf-8'));
+      for (const entry of data.entries || []) {
+        if (entry?.response?.id) {
+          this.entries.set(entry.response.id, entry);
+        }
+      }
+      this.prune();
+      logInfo(`Loaded ${this.entries.size} stored responses from ${persistPath}`);
+    } catch (error) {
+      logError('Failed to load response store', error);
+    }
+  }
+
+  // Drop expired entries, then the oldest ones beyond max_entries
+  prune() {
+    const { max_entries: maxEntries } = getResponseStoreConfig();
+    const now = Date.now();
+    let changed = false;
+
+    for (const [id, entry] of this.entries) {
+      if (entry.expires_at && entry.expires_at <= now) {
+        this.entries.delete(id);
+        changed = true;
+      }
+    }
+
+    // Map preserves insertion order, so the first keys are the oldest
+    while (maxEntries > 0 && this.entries.size > maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  get(id) {
+    this.load();
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expires_at && entry.expires_at <= Date.now()) {
+      this.entries.delete(id);
+      this.scheduleSave();
+      return null;
+    }
+    return entry;
+  }
+
+  set(response, input, previousResponseId = null, clientId = null) {
+    this.load();
+    const { ttl_seconds: ttlSeconds } = getResponseStoreConfig();
+    const expiresAt = ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : null;
+
+    // A new response keeps its ancestors alive: refresh their expiry and move them to the
+    // newest end so TTL and max_entries never evict part of a chain that is still in use
+    for (const ancestor of this.getChain(previousResponseId)) {
+      this.entries.delete(ancestor.response.id);
+      this.entries.set(ancestor.response.id, { ...ancestor, expires_at: expiresAt });
+    }
+
+    this.entries.delete(response.id);
+    this.entries.set(response.id, {
+      response,
+      input,
+      previous_response_id: previousResponseId,
+      client_id: clientId,
+      expires_at: expiresAt
+    });
+    this.prune();
+    this.scheduleSave();
+  }
+
+  /**
+   * Entries from the root of the conversation up to id, oldest first.
+   * Stops at the first missing (expired) ancestor, so callers compare the root with what they expect.
+   */
+  getChain(id) {
+    const chain = [];
+    const seen = new Set();
+    while (id && !seen.has(id)) {
+      seen.add(id);
+      const entry = this.get(id);
+      if (!entry) {
+        break;
+      }
+      chain.unshift(entry);
+      id = entry.previous_response_id;
+    }
+    return chain;
+  }
+
+  delete(id) {
+    this.load();
+    const deleted = this.entries.delete(id);
+    if (deleted) {
+      this.scheduleSave();
+    }
+    return deleted;
+  }
+
+  scheduleSave() {
+    if (!this.getPersistPath() || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    const persistPath = this.getPersistPath();
+    if (!persistPath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(persistPath), { recursive: true });
+      // Write to a temp file and rename so a crash never leaves a truncated store
+      const tmpPath = `${persistPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ entries: [...this.entries.values()] }));
+      fs.renameSync(tmpPath, persistPath);
+      logDebug(`Saved ${this.entries.size} stored responses`);
+    } catch (error) {
+      logError('Failed to save response store', error);
+    }
+  }
+}
+
+const store = new ResponseStore();
+
+// Responses belong to the client key that created them; other clients see them as missing
+function getOwnedEntry(id) {
+  const entry = store.get(id);
+  const clientId = getCurrentClient()?.id || null;
+  return entry && (entry.client_id || null) === clientId ? entry : null;
+}
+
+function normalizeInput(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+  return Array.isArray(input) ? input : [];
+}
+
+export function isResponseStoreEnabled() {
+  return getResponseStoreConfig().enabled === true;
+}
+
+/**
+ * Replace previous_response_id with the stored conversation history.
+ * Returns the request unchanged when the store is disabled or no previous_response_id is set.
+ * @throws {Error} if previous_response_id is unknown or expired
+ */
+export function expandPreviousResponse(responsesRequest) {
+  if (!isResponseStoreEnabled() || !responsesRequest.previous_response_id) {
+    return responsesRequest;
+  }
+
+  const previousId = responsesRequest.previous_response_id;
+  const chain = getOwnedEntry(previousId) ? store.getChain(previousId) : [];
+  if (chain.length === 0) {
+    throw new Error(`Previous response with id '${previousId}' not found`);
+  }
+  if (chain[0].previous_response_id) {
+    throw new Error(`Conversation history of '${previousId}' is incomplete: earlier response '${chain[0].previous_response_id}' not found`);
+  }
+
+  const { previous_response_id: _, ...expanded } = responsesRequest;
+  expanded.input = [
+    ...chain.flatMap(entry => [...entry.input, ...(entry.response.output || [])]),
+    ...normalizeInput(responsesRequest.input)
+  ];
+  logDebug(`Expanded previous_response_id ${previousId} to ${expanded.input.length} input items`);
+  return expanded;
+}
+
+/**
+ * Store a completed response unless the store is disabled or the client sent store: false.
+ * Only the request's own input is kept; earlier turns are reached through previous_response_id.
+ * @param {object} responsesRequest - Request as sent by the client (before expandPreviousResponse)
+ * @param {object} response - Response object returned to the client
+ */
+export function saveResponse(responsesRequest, response) {
+  if (!isResponseStoreEnabled() || responsesRequest.store === false || !response?.id) {
+    return;
+  }
+  store.set(
+    response,
+    normalizeInput(responsesRequest.input),
+    responsesRequest.previous_response_id || null,
+    getCurrentClient()?.id || null
+  );
+}
+
+export function getStoredResponse(id) {
+  return getOwnedEntry(id)?.response || null;
+}
+
+export function deleteStoredResponse(id) {
+  return getOwnedEntry(id) ? store.delete(id) : false;
+}
+
+/**
+ * Watches a /v1/responses SSE stream passing through the proxy and keeps the final
+ * response object from response.completed / response.incomplete.
+ */
+export class ResponseStreamRecorder {
+  constructor() {
+    this.buffer = '';
+    this.response = null;
+  }
+
+  feed(chunk) {
+    this.buffer += chunk.toString();
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+
+      try {
+        const data = JSON.parse(line.slice(5).trim());
+        if (['response.completed', 'response.incomplete'].includes(data.type) && data.response) {
+          this.response = data.response;
+        }
+      } catch (e) {
+        // Not JSON (e.g. [DONE]); nothing to record
+      }
+    }
+  }
+}
@@ -1,14 +1,30 @@
 import express from 'express';
 import fetch from 'node-fetch';
-import { getConfig, getModelById, getEndpointByType, getSystemPrompt, getModelReasoning, getRedirectedModelId, getModelProvider } from './config.js';
+import { getConfig, getModelById, getEndpointByType, getSystemPrompt, getModelReasoning, getModelTokenPolicy, getModelTextVerbosity, getRedirectedModelId, getModelProvider, getReasoningOutputMode, isToolArgumentStreamingEnabled, getMaxChoices } from './config.js';
 import { logInfo, logDebug, logError, logRequest, logResponse } from './logger.js';
-import { transformToAnthropic, getAnthropicHeaders } from './transformers/request-anthropic.js';
-import { transformToOpenAI, getOpenAIHeaders } from './transformers/request-openai.js';
+import { transformToAnthropic, getAnthropicHeaders, usesStructuredOutputTool, applyTokenPolicy, STRUCTURED_OUTPUT_TOOL_NAME } from './transformers/request-anthropic.js';
+import { transformToOpenAI, getOpenAIHeaders, createReasoningConfig } from './transformers/request-openai.js';
 import { transformToCommon, getCommonHeaders } from './transformers/request-common.js';
-import { AnthropicResponseTransformer } from './transformers/response-anthropic.js';
-import { OpenAIResponseTransformer } from './transformers/response-openai.js';
-import { getApiKey, rotateFactoryApiKey, hasMoreFactoryKeys, startNewRotationCycle } from './auth.js';
-import { getNextProxyAgent } from './proxy-manager.js';
+import { AnthropicResponseTransformer, mapAnthropicStopReason, mapAnthropicUsage, toReasoningDetails } from './transformers/response-anthropic.js';
+import { OpenAIResponseTransformer, mapResponsesUsage } from './transformers/response-openai.js';
+import { getApiKey, createKeyAttempt } from './auth.js';
+import { isModelAllowed } from './client-auth.js';
+import { getCurrentClient } from './request-context.js';
+import { trackUsage } from './rate-limiter.js';
+import { transformFromAnthropic } from './transformers/request-from-anthropic.js';
+import { AnthropicStreamTransformer, convertChatCompletionToAnthropic, createAnthropicError } from './transformers/response-to-anthropic.js';
+import { transformFromResponses } from './transformers/request-from-responses.js';
+import { ResponsesStreamTransformer, convertChatCompletionToResponse } from './transformers/response-to-responses.js';
+import { transformFromCompletions, getCompletionPrompts, getStopSequences } from './transformers/request-from-completions.js';
+import { TextCompletionStreamTransformer, convertChatCompletionToTextChoice, createTextCompletion, sumUsage } from './transformers/response-to-completions.js';
+import { transformFromGemini } from './transformers/request-from-gemini.js';
+import { GeminiStreamTransformer, convertChatCompletionToGemini, createGeminiError } from './transformers/response-to-gemini.js';
+import { transformFromOllamaChat, transformFromOllamaGenerate, stripModelTag } from './transformers/request-from-ollama.js';
+import { OllamaStreamTransformer, convertChatCompletionToOllama } from './transformers/response-to-ollama.js';
+import { countChatTokens } from './token-counter.js';
+import { getNextProxyAgent, getProxyAgentForUrl } from './proxy-manager.js';
+import { inlineRemoteImages } from './image-fetcher.js';
+import { isResponseStoreEnabled, expandPreviousResponse, saveResponse, getStoredResponse, deleteStoredResponse, ResponseStreamRecorder } from './response-store.js';
 
 const router = express.Router();
 
@@ -21,75 +37,131 @@ function isQuotaOrAuthError(statusCode) {
 }
 
 /**
- * Make a fetch request with automatic Factory API key fallback on quota/auth errors
+ * Make a fetch request with automatic Factory API key fallback on quota/auth errors.
+ * Each call takes its own attempt from the key pool: a failing key is put into cooldown
+ * (per Retry-After or the configured default) and the next available key is tried.
  * @param {string} url - The endpoint URL
  * @param {object} fetchOptions - Fetch options (method, headers, body)
  * @param {string} endpointName - Name for logging (e.g., "chat completions")
  * @returns {Promise<Response>} - The fetch response
  */
 async function fetchWithFallback(url, fetchOptions, endpointName) {
-  let lastError = null;
-  let attempt = 1;
-  const maxAttempts = 10; // Allow trying all keys (up to 7) plus retries
+  // Tokens reported by the upstream count toward the rate limits and budgets
+  return trackUsage(await fetchWithKeyFallback(url, fetchOptions, endpointName));
+}
 
-  // Start a new rotation cycle for this request
-  startNewRotationCycle();
+async function fetchWithKeyFallback(url, fetchOptions, endpointName) {
+  const keyAttempt = createKeyAttempt();
+  if (!keyAttempt) {
+    // Refresh token or client authorization: a single key, nothing to fall back to
+    return await fetch(url, fetchOptions);
+  }
 
-  while (attempt <= maxAttempts) {
-    try {
-      const response = await fetch(url, fetchOptions);
-
-      // Check if we got a quota or auth error
-      if (isQuotaOrAuthError(response.status)) {
-        // Clone response before reading body so original can still be returned
-        const responseClone = response.clone();
-        const errorText = await responseClone.text();
-        logError(`API key failed: ${response.status} - ${errorText.substring(0, 100)}`);
-
-        // Try to rotate to next key if available
-        if (hasMoreFactoryKeys()) {
-          const rotated = rotateFactoryApiKey();
-          if (rotated) {
-            // Update the Authorization header with new key
-            const newAuthHeader = await getApiKey();
-            fetchOptions.headers.authorization = newAuthHeader;
-            attempt++;
-            continue; // Retry with new key
-          }
-        }
+  let entry = keyAttempt.next();
+  while (entry) {
+    fetchOptions.headers.authorization = `Bearer ${entry.key}`;
+    // A key with its own proxy always goes through it
+    const keyProxyAgent = entry.proxy ? getProxyAgentForUrl(entry.proxy, url)?.agent : null;
+    const attemptOptions = keyProxyAgent ? { ...fetchOptions, agent: keyProxyAgent } : fetchOptions;
 
-        // No more keys to try, return the original response (body not consumed)
-        logError(`All Factory API keys exhausted for ${endpointName}`, new Error('No more fallback keys available - tried all keys in cycle'));
-        return response;
-      }
+    // Network errors are not the key's fault: no retry, no key state change
+    const response = await fetch(url, attemptOptions);
 
+    if (!isQuotaOrAuthError(response.status)) {
+      keyAttempt.reportSuccess();
       return response;
+    }
 
-    } catch (error) {
-      lastError = error;
-      logError(`Network error on attempt ${attempt}/${maxAttempts}`, error);
+    // Clone response before reading body so original can still be returned
+    const errorText = await response.clone().text();
+    logError(`API key ${entry.label} failed: ${response.status} - ${errorText.substring(0, 100)}`);
+    keyAttempt.reportFailure(response.status, response.headers.get('retry-after'));
 
-      // Don't retry on network errors, just throw
-      throw error;
+    entry = keyAttempt.next();
+    if (!entry) {
+      // No more keys to try, return the original response (body not consumed)
+      logError(`All Factory API keys exhausted for ${endpointName}`, new Error('No more fallback keys available - tried all keys'));
+      return response;
     }
   }
+}
 
-  // Should not reach here, but just in case
-  throw lastError || new Error('Request failed after all attempts');
+/**
+ * Attach reasoning to a non-streaming chat completion message according to reasoning_output:
+ * message.reasoning_content, a <think> block prepended to content, or nothing.
+ */
+function applyReasoningToMessage(message, reasoning, mode = getReasoningOutputMode()) {
+  if (!reasoning) {
+    return message;
+  }
+
+  if (mode === 'think_tags') {
+    message.content = `<think>\n${reasoning}\n</think>\n\n${message.content || ''}`;
+  } else if (mode === 'reasoning_content') {
+    message.reasoning_content = reasoning;
+  }
+  return message;
 }
 
 /**
  * Convert a /v1/responses API result to a /v1/chat/completions-compatible format.
  * Works for non-streaming responses.
+ * @param {object} resp - Responses API result
+ * @param {string} reasoningOutput - reasoning_output mode override (defaults to config)
  */
-function convertResponseToChatCompletion(resp) {
+function convertResponseToChatCompletion(resp, reasoningOutput = getReasoningOutputMode()) {
   if (!resp || typeof resp !== 'object') {
     throw new Error('Invalid response object');
   }
 
-  const outputMsg = (resp.output || []).find(o => o.type === 'message');
-  const textBlocks = outputMsg?.content?.filter(c => c.type === 'output_text') || [];
+  const output = resp.output || [];
+  const outputMsgs = output.filter(o => o.type === 'message');
+  const textBlocks = outputMsgs.flatMap(o => o.content || []).filter(c => c.type === 'output_text');
   const content = textBlocks.map(c => c.text).join('');
+  const refusal = outputMsgs.flatMap(o => o.content || [])
+    .filter(c => c.type === 'refusal')
+    .map(c => c.refusal)
+    .join('');
+
+  // Convert fc_xxx back to call_xxx (transformToOpenAI maps call_ -> fc_ on the way in)
+  const toolCalls = output
+    .filter(o => o.type === 'function_call')
+    .map(o => ({
+      id: (o.call_id || o.id || `call_${Date.now()}`).replace(/^fc_/, 'call_'),
+      type: 'function',
+      function: {
+        name: o.name || '',
+        arguments: o.arguments || '{}'
+      }
+    }));
+
+  // Reasoning items carry summaries (and raw reasoning_text for some models)
+  const reasoning = output
+    .filter(o => o.type === 'reasoning')
+    .flatMap(o => [...(o.summary || []), ...(o.content || [])])
+    .filter(part => part.type === 'summary_text' || part.type === 'reasoning_text')
+    .map(part => part.text)
+    .join('\n\n');
+
+  const message = {
+    role: 'assistant',
+    // OpenAI returns null content when the assistant only calls tools
+    content: content || (toolCalls.length > 0 ? null : '')
+  };
+  if (refusal) {
+    message.refusal = refusal;
+  }
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+  applyReasoningToMessage(message, reasoning, reasoningOutput);
+
+  let finishReason = 'stop';
+  if (resp.status === 'incomplete') {
+    finishReason = resp.incomplete_details?.reason === 'content_filter' ? 'content_filter' : 'length';
+  } else if (toolCalls.length > 0) {
+    finishReason = 'tool_calls';
+  }
 
   const chatCompletion = {
     id: resp.id ? resp.id.replace(/^resp_/, 'chatcmpl-') : `chatcmpl-${Date.now()}`,
@@ -99,18 +171,89 @@ function convertResponseToChatCompletion(resp) {
     choices: [
       {
         index: 0,
-        message: {
-          role: outputMsg?.role || 'assistant',
-          content: content || ''
-        },
-        finish_reason: resp.status === 'completed' ? 'stop' : 'unknown'
+        message,
+        finish_reason: finishReason
       }
     ],
-    usage: {
-      prompt_tokens: resp.usage?.input_tokens ?? 0,
-      completion_tokens: resp.usage?.output_tokens ?? 0,
-      total_tokens: resp.usage?.total_tokens ?? 0
+    usage: mapResponsesUsage(resp.usage)
+  };
+
+  return chatCompletion;
+}
+
+/**
+ * Convert a /v1/messages (Anthropic) API result to a /v1/chat/completions-compatible format.
+ * Works for non-streaming responses.
+ * @param {object} resp - Anthropic message
+ * @param {string|null} structuredOutputTool - Name of the synthetic response_format tool, if any
+ * @param {string} reasoningOutput - How thinking is surfaced (see getReasoningOutputMode)
+ */
+function convertAnthropicToChatCompletion(resp, structuredOutputTool = null, reasoningOutput = getReasoningOutputMode()) {
+  if (!resp || typeof resp !== 'object' || !Array.isArray(resp.content)) {
+    throw new Error('Invalid response object');
+  }
+
+  const isStructuredOutput = block => block.type === 'tool_use' && structuredOutputTool && block.name === structuredOutputTool;
+  const structuredBlock = resp.content.find(isStructuredOutput);
+
+  const content = structuredBlock
+    ? JSON.stringify(structuredBlock.input ?? {})
+    : resp.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+  const reasoning = resp.content
+    .filter(block => block.type === 'thinking')
+    .map(block => block.thinking)
+    .join('\n\n');
+
+  const toolCalls = resp.content
+    .filter(block => block.type === 'tool_use' && !isStructuredOutput(block))
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: {
+        name: block.name,
+        arguments: JSON.stringify(block.input ?? {})
+      }
+    }));
+
+  const message = {
+    role: 'assistant',
+    // OpenAI returns null content when the assistant only calls tools
+    content: content || (toolCalls.length > 0 ? null : '')
+  };
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+  applyReasoningToMessage(message, reasoning, reasoningOutput);
+
+  // Signed thinking blocks, echoed back by clients to continue tool use with thinking enabled
+  const reasoningDetails = toReasoningDetails(resp.content);
+  if (reasoningDetails.length > 0) {
+    const signedThinking = reasoningDetails.filter(detail => detail.type === 'reasoning.text' && detail.signature);
+    if (signedThinking.length > 0) {
+      message.reasoning_signature = signedThinking[signedThinking.length - 1].signature;
     }
+    message.reasoning_details = reasoningDetails;
+  }
+
+  const chatCompletion = {
+    id: resp.id ? resp.id.replace(/^msg_/, 'chatcmpl-') : `chatcmpl-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: resp.model || 'unknown-model',
+    choices: [
+      {
+        index: 0,
+        message,
+        finish_reason: structuredBlock && toolCalls.length === 0
+          ? 'stop'
+          : mapAnthropicStopReason(resp.stop_reason)
+      }
+    ],
+    usage: mapAnthropicUsage(resp.usage)
   };
 
   return chatCompletion;
@@ -121,7 +264,8 @@ router.get('/v1/models', (req, res) => {
   
   try {
     const config = getConfig();
-    const models = config.models.map(model => ({
+    const client = getCurrentClient();
+    const models = config.models.filter(model => isModelAllowed(client, model.id)).map(model => ({
       id: model.id,
       object: 'model',
       created: Date.now(),
@@ -180,6 +324,18 @@ async function handleChatCompletions(req, res) {
       });
     }
 
+    // n > 1：并行发出 n 个上游请求，合并为 choices[0..n-1]
+    if (openaiRequest.n !== undefined && openaiRequest.n !== 1) {
+      const maxChoices = getMaxChoices();
+      if (!Number.isInteger(openaiRequest.n) || openaiRequest.n < 1 || openaiRequest.n > maxChoices) {
+        return res.status(400).json({
+          error: 'Invalid n',
+          message: `n must be an integer between 1 and ${maxChoices}`
+        });
+      }
+      return await handleMultipleChoices(req, res, modelId, model, authHeader);
+    }
+
     let transformedRequest;
     let headers;
     const clientHeaders = req.headers;
@@ -193,7 +349,8 @@ async function handleChatCompletions(req, res) {
     });
 
     // Update request body with redirected model ID before transformation
-    const requestWithRedirectedModel = { ...openaiRequest, model: modelId };
+    // Remote images are downloaded and inlined first when image_inline is enabled
+    const requestWithRedirectedModel = await inlineRemoteImages({ ...openaiRequest, model: modelId });
 
     // Get provider from model config
     const provider = getModelProvider(modelId);
@@ -208,6 +365,10 @@ async function handleChatCompletions(req, res) {
         headers = getOpenAIHeaders(authHeader, clientHeaders, provider);
       } else if (model.type === 'common') {
         transformedRequest = transformToCommon(requestWithRedirectedModel);
+        if (transformedRequest.stream === true) {
+          // Always ask for usage so the stream counts toward the token limits
+          transformedRequest.stream_options = { ...transformedRequest.stream_options, include_usage: true };
+        }
         headers = getCommonHeaders(authHeader, clientHeaders, provider);
       } else {
         return res.status(500).json({ error: `Unknown endpoint type: ${model.type}` });
@@ -252,6 +413,11 @@ async function handleChatCompletions(req, res) {
 
     const isStreaming = transformedRequest.stream === true;
 
+    // response_format emulated through a synthetic tool (anthropic only)
+    const structuredOutputTool = model.type === 'anthropic' && usesStructuredOutputTool(transformedRequest)
+      ? STRUCTURED_OUTPUT_TOOL_NAME
+      : null;
+
     if (isStreaming) {
       res.setHeader('Content-Type', 'text/event-stream');
       res.setHeader('Cache-Control', 'no-cache');
@@ -259,8 +425,9 @@ async function handleChatCompletions(req, res) {
 
       // common 类型直接转发，不使用 transformer
       if (model.type === 'common') {
+        const includeUsage = openaiRequest.stream_options?.include_usage === true;
         try {
-          for await (const chunk of response.body) {
+          for await (const chunk of (includeUsage ? response.body : withoutUsageChunks(response.body))) {
             res.write(chunk);
           }
           res.end();
@@ -271,60 +438,759 @@ async function handleChatCompletions(req, res) {
         }
       } else {
         // anthropic 和 openai 类型使用 transformer
+        const includeUsage = openaiRequest.stream_options?.include_usage === true;
         let transformer;
         if (model.type === 'anthropic') {
-          transformer = new AnthropicResponseTransformer(modelId, `chatcmpl-${Date.now()}`);
+          transformer = new AnthropicResponseTransformer(modelId, `chatcmpl-${Date.now()}`, {
+            structuredOutputTool,
+            reasoningOutput: getReasoningOutputMode(),
+            includeUsage
+          });
         } else if (model.type === 'openai') {
-          transformer = new OpenAIResponseTransformer(modelId, `chatcmpl-${Date.now()}`);
+          transformer = new OpenAIResponseTransformer(modelId, `chatcmpl-${Date.now()}`, {
+            reasoningOutput: getReasoningOutputMode(),
+            includeUsage,
+            streamToolArguments: isToolArgumentStreamingEnabled()
+          });
+        }
+
+        try {
+          for await (const chunk of transformer.transformStream(response.body)) {
+            res.write(chunk);
+          }
+          res.end();
+          logInfo('Stream completed');
+        } catch (streamError) {
+          logError('Stream transformation error', streamError);
+          // Send error as SSE event so client can see it
+          const errorEvent = `data: ${JSON.stringify({
+            error: true,
+            message: streamError.message,
+            phase: 'response_stream_transform',
+            errorType: streamError.constructor.name
+          })}\n\n`;
+          res.write(errorEvent);
+          res.end();
+        }
+      }
+    } else {
+      const data = await response.json();
+      if (model.type === 'openai') {
+        try {
+          const converted = convertResponseToChatCompletion(data);
+          logResponse(200, null, converted);
+          res.json(converted);
+        } catch (e) {
+          // 如果转换失败，回退为原始数据
+          logResponse(200, null, data);
+          res.json(data);
+        }
+      } else if (model.type === 'anthropic') {
+        try {
+          const converted = convertAnthropicToChatCompletion(data, structuredOutputTool);
+          logResponse(200, null, converted);
+          res.json(converted);
+        } catch (e) {
+          // 如果转换失败，回退为原始数据
+          logError('Failed to convert Anthropic response', e);
+          logResponse(200, null, data);
+          res.json(data);
         }
+      } else {
+        // common: 已是 chat completions 格式，直接转发
+        logResponse(200, null, data);
+        res.json(data);
+      }
+    }
+
+  } catch (error) {
+    logError('Error in /v1/chat/completions', error);
+    const debugInfo = `[${error.constructor.name}] ${error.message} | Stack: ${error.stack?.split('\n').slice(1, 3).join(' -> ')}`;
+    res.status(500).json({ 
+      error: {
+        message: debugInfo,
+        type: 'proxy_error',
+        code: 'internal_error'
+      }
+    });
+  }
+}
+
+/**
+ * Serve /v1/chat/completions with n > 1 by fanning out n upstream requests.
+ * Each request goes through fetchWithFallback and its own proxy selection; non-streaming
+ * results are merged into one choices array, streaming chunks are interleaved by choice index.
+ * A failed request, a relay error or the client going away aborts all the others.
+ */
+async function handleMultipleChoices(req, res, modelId, model, authHeader) {
+  const openaiRequest = req.body;
+  const n = openaiRequest.n;
+  const isStreaming = openaiRequest.stream === true;
+  const reasoningOutput = getReasoningOutputMode();
+  const completionId = `chatcmpl-${Date.now()}`;
+
+  logInfo(`Fanning out ${n} upstream requests for n=${n}`);
+
+  // Remote images are inlined once and shared by all n requests
+  const chatRequest = await inlineRemoteImages({ ...openaiRequest, model: modelId });
+  delete chatRequest.n;
+  delete chatRequest.stream_options;
+
+  const { results, error, controller } = await sendFanOut(Array.from({ length: n }), (_, signal) =>
+    sendChatRequest(chatRequest, model, modelId, authHeader, req.headers, 'chat completions', signal));
+
+  if (error) {
+    return res.status(error.status).json({
+      error: `Endpoint returned ${error.status}`,
+      details: error.details
+    });
+  }
+
+  if (!isStreaming) {
+    const completions = await Promise.all(results.map(async ({ response, structuredOutputTool }) =>
+      toChatCompletion(await response.json(), model, structuredOutputTool, reasoningOutput)));
+
+    const merged = {
+      ...completions[0],
+      id: completionId,
+      choices: completions.map((completion, index) => ({ ...completion.choices[0], index })),
+      usage: sumUsage(completions.map(completion => completion.usage))
+    };
+    logResponse(200, null, merged);
+    return res.json(merged);
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.on('close', () => controller.abort());
+
+  const usages = [];
+  const relayChoice = async ({ response, structuredOutputTool }, index) => {
+    const chatStream = toChatCompletionStream(response, model, modelId, {
+      structuredOutputTool,
+      reasoningOutput,
+      streamToolArguments: isToolArgumentStreamingEnabled()
+    });
+
+    let buffer = '';
+    for await (const chunk of chatStream) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+
+        const dataStr = line.slice(5).trim();
+        if (dataStr === '[DONE]') continue;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(dataStr);
+        } catch (e) {
+          continue;
+        }
+
+        // Per-request usage chunks are summed into a single one at the end
+        if (parsed.usage) {
+          usages.push(parsed.usage);
+        }
+        if (!Array.isArray(parsed.choices) || parsed.choices.length === 0) {
+          continue;
+        }
+        delete parsed.usage;
+        parsed.id = completionId;
+        parsed.choices = parsed.choices.map(choice => ({ ...choice, index }));
+        res.write(`data: ${JSON.stringify(parsed)}\n\n`);
+      }
+    }
+  };
+
+  try {
+    await Promise.all(results.map(relayChoice));
+    if (openaiRequest.stream_options?.include_usage === true) {
+      res.write(`data: ${JSON.stringify({
+        id: completionId,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: modelId,
+        choices: [],
+        usage: sumUsage(usages)
+      })}\n\n`);
+    }
+    res.write('data: [DONE]\n\n');
+    res.end();
+    logInfo(`Stream completed (n=${n})`);
+  } catch (streamError) {
+    // Stop the choices that are still streaming
+    controller.abort();
+    logError('Stream transformation error', streamError);
+    res.write(`data: ${JSON.stringify({
+      error: true,
+      message: streamError.message,
+      phase: 'response_stream_transform',
+      errorType: streamError.constructor.name
+    })}\n\n`);
+    res.end();
+  }
+}
+
+/**
+ * Send a chat completions request to the model's upstream, whatever its endpoint type.
+ * Used by the facades that accept every model type (legacy completions etc.).
+ * @param {AbortSignal} signal - Optional; aborts the upstream request and its body
+ * @returns {Promise<{response: Response, structuredOutputTool: string|null}>}
+ */
+async function sendChatRequest(chatRequest, model, modelId, authHeader, clientHeaders, endpointName, signal = null) {
+  const endpoint = getEndpointByType(model.type);
+  if (!endpoint) {
+    throw new Error(`Endpoint type ${model.type} not found`);
+  }
+
+  const isStreaming = chatRequest.stream === true;
+  const provider = getModelProvider(modelId);
+  const requestWithModel = await inlineRemoteImages({ ...chatRequest, model: modelId });
+
+  let transformedRequest;
+  let headers;
+  if (model.type === 'anthropic') {
+    transformedRequest = transformToAnthropic(requestWithModel);
+    headers = getAnthropicHeaders(authHeader, clientHeaders, isStreaming, modelId, provider);
+  } else if (model.type === 'openai') {
+    transformedRequest = transformToOpenAI(requestWithModel);
+    headers = getOpenAIHeaders(authHeader, clientHeaders, provider);
+  } else if (model.type === 'common') {
+    if (isStreaming) {
+      // Ask the chat completions upstream for usage so it can be reported back
+      requestWithModel.stream_options = { include_usage: true };
+    }
+    transformedRequest = transformToCommon(requestWithModel);
+    headers = getCommonHeaders(authHeader, clientHeaders, provider);
+  } else {
+    throw new Error(`Unknown endpoint type: ${model.type}`);
+  }
+
+  logRequest('POST', endpoint.base_url, headers, transformedRequest);
+
+  const proxyAgentInfo = getNextProxyAgent(endpoint.base_url);
+  const fetchOptions = {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(transformedRequest)
+  };
+
+  if (proxyAgentInfo?.agent) {
+    fetchOptions.agent = proxyAgentInfo.agent;
+  }
+  if (signal) {
+    fetchOptions.signal = signal;
+  }
+
+  const response = await fetchWithFallback(endpoint.base_url, fetchOptions, endpointName);
+  logInfo(`Response status: ${response.status}`);
+
+  const structuredOutputTool = model.type === 'anthropic' && usesStructuredOutputTool(transformedRequest)
+    ? STRUCTURED_OUTPUT_TOOL_NAME
+    : null;
+
+  return { response, structuredOutputTool };
+}
+
+/**
+ * Send the upstream requests of a fan-out (n > 1, several prompts) in parallel.
+ * The first failed response has its error body read, then every other request is aborted,
+ * so one failure does not leave the rest generating (and billing) in the background.
+ * The returned controller aborts whatever is still streaming, e.g. after a relay error.
+ * @param {Array} specs - One item per upstream request
+ * @param {function(*, AbortSignal): Promise<{response: Response}>} send
+ * @returns {Promise<{results: Array, error: {status: number, details: string}|null, controller: AbortController}>}
+ */
+async function sendFanOut(specs, send) {
+  const controller = new AbortController();
+  let error = null;
+  let exception = null;
+
+  const settled = await Promise.allSettled(specs.map(async (spec) => {
+    try {
+      const result = await send(spec, controller.signal);
+      if (!result.response.ok && !error) {
+        error = { status: result.response.status, details: '' };
+        error.details = await result.response.text();
+        logError(`Endpoint error: ${error.status}`, new Error(error.details));
+        controller.abort();
+      }
+      return result;
+    } catch (sendError) {
+      // Requests aborted because of an earlier failure reject too; keep the original cause
+      if (!error && !exception) {
+        exception = sendError;
+      }
+      controller.abort();
+      throw sendError;
+    }
+  }));
+
+  if (!error && exception) {
+    throw exception;
+  }
+  return { results: settled.map(result => result.value), error, controller };
+}
+
+/**
+ * Forward a chat completions SSE stream without the final usage-only chunk
+ * (for clients that did not ask for stream_options.include_usage)
+ */
+async function* withoutUsageChunks(stream) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+    const end = buffer.lastIndexOf('\n') + 1;
+    if (end === 0) {
+      continue;
+    }
+    const lines = buffer.slice(0, end).split('\n');
+    buffer = buffer.slice(end);
+
+    const kept = lines.slice(0, -1).filter(line => {
+      if (!line.startsWith('data:') || !line.includes('"usage"')) {
+        return true;
+      }
+      try {
+        const parsed = JSON.parse(line.slice(5).trim());
+        return !(parsed.usage && Array.isArray(parsed.choices) && parsed.choices.length === 0);
+      } catch (e) {
+        return true;
+      }
+    });
+    yield kept.map(line => line + '\n').join('');
+  }
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+/**
+ * Turn an upstream streaming response into a /v1/chat/completions SSE stream (usage chunk included)
+ * @param {object} options - {structuredOutputTool, reasoningOutput, streamToolArguments}
+ */
+function toChatCompletionStream(response, model, modelId, options = {}) {
+  const {
+    structuredOutputTool = null,
+    reasoningOutput = 'reasoning_content',
+    streamToolArguments = true
+  } = options;
+
+  if (model.type === 'anthropic') {
+    return new AnthropicResponseTransformer(modelId, `chatcmpl-${Date.now()}`, {
+      structuredOutputTool,
+      reasoningOutput,
+      includeUsage: true
+    }).transformStream(response.body);
+  }
+  if (model.type === 'openai') {
+    return new OpenAIResponseTransformer(modelId, `chatcmpl-${Date.now()}`, {
+      reasoningOutput,
+      includeUsage: true,
+      streamToolArguments
+    }).transformStream(response.body);
+  }
+  // common 类型本身就是 chat completions 流
+  return response.body;
+}
+
+/**
+ * Turn an upstream non-streaming result into a /v1/chat/completions object
+ */
+function toChatCompletion(data, model, structuredOutputTool, reasoningOutput = 'reasoning_content') {
+  if (model.type === 'anthropic') {
+    return convertAnthropicToChatCompletion(data, structuredOutputTool, reasoningOutput);
+  }
+  if (model.type === 'openai') {
+    return convertResponseToChatCompletion(data, reasoningOutput);
+  }
+  return data;
+}
+
+// 旧版 /v1/completions：每个 prompt（以及 n 个候选）转换为一次 chat 请求
+async function handleCompletions(req, res) {
+  logInfo('POST /v1/completions');
+
+  try {
+    const completionsRequest = req.body;
+    const modelId = getRedirectedModelId(completionsRequest.model);
+
+    if (!modelId) {
+      return res.status(400).json({ error: 'model is required' });
+    }
+
+    const model = getModelById(modelId);
+    if (!model) {
+      return res.status(404).json({ error: `Model ${modelId} not found` });
+    }
+
+    let prompts;
+    try {
+      prompts = getCompletionPrompts(completionsRequest.prompt);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid prompt', message: error.message });
+    }
+
+    const n = completionsRequest.n ?? 1;
+    const maxChoices = getMaxChoices();
+    if (!Number.isInteger(n) || n < 1 || n > maxChoices) {
+      return res.status(400).json({
+        error: 'Invalid n',
+        message: `n must be an integer between 1 and ${maxChoices}`
+      });
+    }
+    // Every prompt x candidate is a separate upstream request
+    if (prompts.length * n > maxChoices) {
+      return res.status(400).json({
+        error: 'Too many choices',
+        message: `${prompts.length} prompt(s) x n=${n} exceeds the limit of ${maxChoices} choices per request`
+      });
+    }
+    if (n > 1) {
+      logInfo(`Legacy completions: ${prompts.length} prompt(s) x n=${n}`);
+    }
+
+    let authHeader;
+    try {
+      authHeader = await getApiKey(req.headers.authorization);
+    } catch (error) {
+      logError('Failed to get API key', error);
+      return res.status(500).json({
+        error: 'API key not available',
+        message: 'Failed to get or refresh API key. Please check server logs.'
+      });
+    }
+
+    // choice index = prompt index * n + candidate index
+    const choiceSpecs = prompts.flatMap((prompt, promptIndex) =>
+      Array.from({ length: n }, (_, candidate) => ({ prompt, index: promptIndex * n + candidate })));
+    const stop = getStopSequences(completionsRequest.stop);
+    const echo = completionsRequest.echo === true;
+    const isStreaming = completionsRequest.stream === true;
+    const completionId = `cmpl-${Date.now()}`;
+
+    const { results, error, controller } = await sendFanOut(choiceSpecs, (spec, signal) =>
+      sendChatRequest(transformFromCompletions({ ...completionsRequest, model: modelId }, spec.prompt),
+        model, modelId, authHeader, req.headers, 'completions', signal));
+    if (error) {
+      return res.status(error.status).json({
+        error: `Endpoint returned ${error.status}`,
+        details: error.details
+      });
+    }
+
+    if (isStreaming) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.on('close', () => controller.abort());
+
+      // Choices are relayed as they arrive; each chunk carries its choice index
+      const usages = [];
+      const relayChoice = async ({ response, structuredOutputTool }, i) => {
+        const transformer = new TextCompletionStreamTransformer(completionId, modelId, {
+          index: choiceSpecs[i].index,
+          prompt: choiceSpecs[i].prompt,
+          echo,
+          stop
+        });
+        const chatStream = toChatCompletionStream(response, model, modelId, { structuredOutputTool, reasoningOutput: 'none' });
+        for await (const chunk of transformer.transformStream(chatStream)) {
+          res.write(chunk);
+        }
+        usages.push(transformer.usage);
+      };
+
+      try {
+        await Promise.all(results.map(relayChoice));
+      } catch (streamError) {
+        // Stop the choices that are still streaming
+        controller.abort();
+        logError('Stream transformation error', streamError);
+        res.write(`data: ${JSON.stringify({ error: { message: streamError.message } })}\n\n`);
+        res.end();
+        return;
+      }
+
+      if (completionsRequest.stream_options?.include_usage === true) {
+        res.write(`data: ${JSON.stringify(createTextCompletion(completionId, modelId, [], sumUsage(usages)))}\n\n`);
+      }
+      res.write('data: [DONE]\n\n');
+      res.end();
+      logInfo('Stream completed (legacy completions)');
+    } else {
+      const choices = [];
+      const usages = [];
+      for (let i = 0; i < results.length; i++) {
+        const { response, structuredOutputTool } = results[i];
+        const chatCompletion = toChatCompletion(await response.json(), model, structuredOutputTool, 'none');
+        choices.push(convertChatCompletionToTextChoice(chatCompletion, choiceSpecs[i].index, {
+          prompt: choiceSpecs[i].prompt,
+          echo,
+          stop
+        }));
+        usages.push(chatCompletion.usage);
+      }
+
+      const completion = createTextCompletion(completionId, modelId, choices, sumUsage(usages));
+      logResponse(200, null, completion);
+      res.json(completion);
+    }
+
+  } catch (error) {
+    logError('Error in /v1/completions', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+// Gemini 原生接口：/v1beta/models/{model}:generateContent | :streamGenerateContent | :countTokens
+async function handleGeminiModelAction(req, res) {
+  const separator = req.params.modelAction.lastIndexOf(':');
+  const requestedModel = separator === -1 ? req.params.modelAction : req.params.modelAction.slice(0, separator);
+  const action = separator === -1 ? '' : req.params.modelAction.slice(separator + 1);
+  logInfo(`POST /v1beta/models/${requestedModel}:${action}`);
+
+  if (!['generateContent', 'streamGenerateContent', 'countTokens'].includes(action)) {
+    return res.status(404).json(createGeminiError(404, `Unsupported Gemini method: ${action || '(none)'}`));
+  }
+
+  try {
+    const modelId = getRedirectedModelId(requestedModel);
+    const model = getModelById(modelId);
+    if (!model) {
+      return res.status(404).json(createGeminiError(404, `Model ${modelId} not found`));
+    }
+
+    // Gemini SDK 使用 x-goog-api-key 请求头或 ?key= 参数传递密钥
+    let authHeader;
+    try {
+      const clientKey = req.headers['x-goog-api-key'] || req.query.key;
+      authHeader = await getApiKey(req.headers.authorization || (clientKey ? `Bearer ${clientKey}` : null));
+    } catch (error) {
+      logError('Failed to get API key', error);
+      return res.status(500).json(createGeminiError(500, 'Failed to get or refresh API key. Please check server logs.'));
+    }
+
+    const isStreaming = action === 'streamGenerateContent';
+    // countTokens wraps the request in generateContentRequest, or sends contents directly
+    const geminiRequest = action === 'countTokens' && req.body.generateContentRequest
+      ? req.body.generateContentRequest
+      : req.body;
+    const chatRequest = transformFromGemini(geminiRequest, modelId, isStreaming);
+
+    if (action === 'countTokens') {
+      return await handleGeminiCountTokens(req, res, chatRequest, modelId, model, authHeader);
+    }
+
+    const { response, structuredOutputTool } = await sendChatRequest(
+      chatRequest, model, modelId, authHeader, req.headers, 'gemini generate content'
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logError(`Endpoint error: ${response.status}`, new Error(errorText));
+      return res.status(response.status).json(createGeminiError(response.status, getUpstreamErrorMessage(response.status, errorText)));
+    }
+
+    if (isStreaming) {
+      const useSse = req.query.alt === 'sse';
+      res.setHeader('Content-Type', useSse ? 'text/event-stream' : 'application/json');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      const transformer = new GeminiStreamTransformer(modelId, `gemini-${Date.now()}`, { sse: useSse });
+      try {
+        const chatStream = toChatCompletionStream(response, model, modelId, { structuredOutputTool });
+        for await (const chunk of transformer.transformStream(chatStream)) {
+          res.write(chunk);
+        }
+        res.end();
+        logInfo('Stream completed (gemini)');
+      } catch (streamError) {
+        logError('Stream transformation error', streamError);
+        res.end();
+      }
+    } else {
+      const chatCompletion = toChatCompletion(await response.json(), model, structuredOutputTool);
+      const converted = convertChatCompletionToGemini(chatCompletion, modelId);
+      logResponse(200, null, converted);
+      res.json(converted);
+    }
+
+  } catch (error) {
+    logError(`Error in /v1beta/models/${requestedModel}:${action}`, error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json(createGeminiError(500, error.message));
+  }
+}
+
+// Gemini countTokens：anthropic 类型使用上游 count_tokens，其他类型本地计算
+async function handleGeminiCountTokens(req, res, chatRequest, modelId, model, authHeader) {
+  const totalTokens = await countRequestTokens(chatRequest, modelId, model, authHeader, req.headers);
+  res.json({ totalTokens });
+}
+
+function getOllamaModelDetails(model) {
+  return {
+    parent_model: '',
+    format: 'api',
+    family: model.type,
+    families: [model.type],
+    parameter_size: '',
+    quantization_level: ''
+  };
+}
+
+// Ollama 兼容接口：列出 config.json 中的模型
+function handleOllamaTags(req, res) {
+  logInfo('GET /api/tags');
+
+  try {
+    const config = getConfig();
+    const client = getCurrentClient();
+    const models = config.models.filter(model => isModelAllowed(client, model.id)).map(model => ({
+      name: `${model.id}:latest`,
+      model: `${model.id}:latest`,
+      modified_at: new Date().toISOString(),
+      size: 0,
+      digest: '',
+      details: getOllamaModelDetails(model)
+    }));
+
+    const response = { models };
+    logResponse(200, null, response);
+    res.json(response);
+  } catch (error) {
+    logError('Error in GET /api/tags', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Ollama 兼容接口：模型详情（IDE 插件据此判断工具调用、思考等能力）
+function handleOllamaShow(req, res) {
+  logInfo('POST /api/show');
+
+  const modelId = getRedirectedModelId(stripModelTag(req.body.model || req.body.name));
+  const model = getModelById(modelId);
+  if (!model) {
+    return res.status(404).json({ error: `Model ${modelId} not found` });
+  }
+
+  const capabilities = ['completion', 'tools'];
+  const reasoningLevel = getModelReasoning(modelId);
+  if (reasoningLevel) {
+    capabilities.push('thinking');
+  }
+  if (model.type === 'anthropic' || model.type === 'openai') {
+    capabilities.push('vision');
+  }
+
+  res.json({
+    modelfile: '',
+    parameters: '',
+    template: '',
+    details: getOllamaModelDetails(model),
+    model_info: {
+      'general.architecture': model.type,
+      [`${model.type}.context_length`]: getModelTokenPolicy(modelId).context_window
+    },
+    capabilities,
+    modified_at: new Date().toISOString()
+  });
+}
+
+// Ollama 兼容接口：/api/chat（mode = 'chat'）与 /api/generate（mode = 'generate'）
+async function handleOllamaRequest(req, res, mode) {
+  logInfo(`POST /api/${mode}`);
+
+  try {
+    const ollamaRequest = req.body;
+    const modelId = getRedirectedModelId(stripModelTag(ollamaRequest.model));
+
+    if (!modelId) {
+      return res.status(400).json({ error: 'model is required' });
+    }
+
+    const model = getModelById(modelId);
+    if (!model) {
+      return res.status(404).json({ error: `Model ${modelId} not found` });
+    }
+
+    let authHeader;
+    try {
+      authHeader = await getApiKey(req.headers.authorization);
+    } catch (error) {
+      logError('Failed to get API key', error);
+      return res.status(500).json({
+        error: 'API key not available',
+        message: 'Failed to get or refresh API key. Please check server logs.'
+      });
+    }
+
+    const startTime = Date.now();
+    const chatRequest = mode === 'chat'
+      ? transformFromOllamaChat(ollamaRequest, modelId)
+      : transformFromOllamaGenerate(ollamaRequest, modelId);
+
+    const { response, structuredOutputTool } = await sendChatRequest(
+      chatRequest, model, modelId, authHeader, req.headers, `ollama ${mode}`
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logError(`Endpoint error: ${response.status}`, new Error(errorText));
+      return res.status(response.status).json({
+        error: `Endpoint returned ${response.status}`,
+        details: errorText
+      });
+    }
 
-        try {
-          for await (const chunk of transformer.transformStream(response.body)) {
-            res.write(chunk);
-          }
-          res.end();
-          logInfo('Stream completed');
-        } catch (streamError) {
-          logError('Stream transformation error', streamError);
-          // Send error as SSE event so client can see it
-          const errorEvent = `data: ${JSON.stringify({
-            error: true,
-            message: streamError.message,
-            phase: 'response_stream_transform',
-            errorType: streamError.constructor.name
-          })}\n\n`;
-          res.write(errorEvent);
-          res.end();
+    if (chatRequest.stream) {
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      const transformer = new OllamaStreamTransformer(modelId, mode, startTime);
+      try {
+        const chatStream = toChatCompletionStream(response, model, modelId, { structuredOutputTool });
+        for await (const chunk of transformer.transformStream(chatStream)) {
+          res.write(chunk);
         }
+        res.end();
+        logInfo(`Stream completed (ollama ${mode})`);
+      } catch (streamError) {
+        logError('Stream transformation error', streamError);
+        res.write(JSON.stringify({ error: streamError.message }) + '\n');
+        res.end();
       }
     } else {
-      const data = await response.json();
-      if (model.type === 'openai') {
-        try {
-          const converted = convertResponseToChatCompletion(data);
-          logResponse(200, null, converted);
-          res.json(converted);
-        } catch (e) {
-          // 如果转换失败，回退为原始数据
-          logResponse(200, null, data);
-          res.json(data);
-        }
-      } else {
-        // anthropic/common: 保持现有逻辑，直接转发
-        logResponse(200, null, data);
-        res.json(data);
-      }
+      const chatCompletion = toChatCompletion(await response.json(), model, structuredOutputTool);
+      const converted = convertChatCompletionToOllama(chatCompletion, modelId, mode, startTime);
+      logResponse(200, null, converted);
+      res.json(converted);
     }
 
   } catch (error) {
-    logError('Error in /v1/chat/completions', error);
-    const debugInfo = `[${error.constructor.name}] ${error.message} | Stack: ${error.stack?.split('\n').slice(1, 3).join(' -> ')}`;
-    res.status(500).json({ 
-      error: {
-        message: debugInfo,
-        type: 'proxy_error',
-        code: 'internal_error'
-      }
+    logError(`Error in /api/${mode}`, error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
     });
   }
 }
@@ -346,14 +1212,30 @@ async function handleDirectResponses(req, res) {
       return res.status(404).json({ error: `Model ${modelId} not found` });
     }
 
-    // 只允许 openai 类型端点
-    if (model.type !== 'openai') {
-      return res.status(400).json({ 
-        error: 'Invalid endpoint type',
-        message: `/v1/responses 接口只支持 openai 类型端点，当前模型 ${modelId} 是 ${model.type} 类型`
+    // previous_response_id 由本地会话存储展开为完整历史
+    let responsesRequest;
+    try {
+      responsesRequest = expandPreviousResponse(openaiRequest);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid previous_response_id',
+        message: error.message
+      });
+    }
+
+    // 上游调用均为 store: false，没有会话状态，previous_response_id 只能由本地存储展开
+    if (responsesRequest.previous_response_id) {
+      return res.status(400).json({
+        error: 'Invalid previous_response_id',
+        message: 'previous_response_id requires response_store to be enabled'
       });
     }
 
+    // 非 openai 类型端点：转换为 chat completions 格式后走对应上游
+    if (model.type !== 'openai') {
+      return await handleTranslatedResponses(req, res, responsesRequest, modelId, model);
+    }
+
     const endpoint = getEndpointByType(model.type);
     if (!endpoint) {
       return res.status(500).json({ error: `Endpoint type ${model.type} not found` });
@@ -386,7 +1268,7 @@ async function handleDirectResponses(req, res) {
 
     // 注入系统提示到 instructions 字段，并更新重定向后的模型ID
     const systemPrompt = getSystemPrompt();
-    const modifiedRequest = { ...openaiRequest, model: modelId };
+    const modifiedRequest = { ...responsesRequest, model: modelId };
     if (systemPrompt) {
       // 如果已有 instructions，则在前面添加系统提示
       if (modifiedRequest.instructions) {
@@ -402,6 +1284,11 @@ async function handleDirectResponses(req, res) {
       logInfo(`Adjusting max_output_tokens from ${modifiedRequest.max_output_tokens} to 16 (API minimum)`);
       modifiedRequest.max_output_tokens = 16;
     }
+    const { max_output_tokens: maxOutputTokens } = getModelTokenPolicy(modelId);
+    if (modifiedRequest.max_output_tokens > maxOutputTokens) {
+      logInfo(`Adjusting max_output_tokens from ${modifiedRequest.max_output_tokens} to ${maxOutputTokens} (model limit)`);
+      modifiedRequest.max_output_tokens = maxOutputTokens;
+    }
 
     // 处理reasoning字段
     const reasoningLevel = getModelReasoning(modelId);
@@ -409,15 +1296,31 @@ async function handleDirectResponses(req, res) {
       // Auto模式：保持原始请求的reasoning字段不变
       // 如果原始请求有reasoning字段就保留，没有就不添加
     } else if (reasoningLevel && ['low', 'medium', 'high'].includes(reasoningLevel)) {
-      modifiedRequest.reasoning = {
-        effort: reasoningLevel,
-        summary: 'auto'
-      };
+      modifiedRequest.reasoning = createReasoningConfig(modelId, reasoningLevel);
     } else {
       // 如果配置是off或无效，移除reasoning字段
       delete modifiedRequest.reasoning;
     }
 
+    // 客户端未指定 text.verbosity 时使用模型配置
+    const verbosity = getModelTextVerbosity(modelId);
+    if (verbosity && !modifiedRequest.text?.verbosity) {
+      modifiedRequest.text = { ...modifiedRequest.text, verbosity };
+    }
+
+    // 会话由本地存储维护：上游不保存，推理内容以加密形式随历史回传
+    if (isResponseStoreEnabled()) {
+      modifiedRequest.store = false;
+      if (Array.isArray(modifiedRequest.input)) {
+        // Reasoning items without encrypted_content cannot be resolved upstream when store is false
+        modifiedRequest.input = modifiedRequest.input.filter(item => item.type !== 'reasoning' || item.encrypted_content);
+      }
+      const include = Array.isArray(modifiedRequest.include) ? modifiedRequest.include : [];
+      if (!include.includes('reasoning.encrypted_content')) {
+        modifiedRequest.include = [...include, 'reasoning.encrypted_content'];
+      }
+    }
+
     logRequest('POST', endpoint.base_url, headers, modifiedRequest);
 
     // 转发修改后的请求
@@ -453,12 +1356,15 @@ async function handleDirectResponses(req, res) {
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
 
+      const recorder = new ResponseStreamRecorder();
       try {
         // 直接将原始响应流转发给客户端
         for await (const chunk of response.body) {
+          recorder.feed(chunk);
           res.write(chunk);
         }
         res.end();
+        saveResponse(openaiRequest, recorder.response);
         logInfo('Stream forwarded successfully');
       } catch (streamError) {
         logError('Stream error', streamError);
@@ -467,6 +1373,7 @@ async function handleDirectResponses(req, res) {
     } else {
       // 直接转发非流式响应，不做任何转换
       const data = await response.json();
+      saveResponse(openaiRequest, data);
       logResponse(200, null, data);
       res.json(data);
     }
@@ -480,6 +1387,158 @@ async function handleDirectResponses(req, res) {
   }
 }
 
+/**
+ * Serve /v1/responses for anthropic and common models.
+ * The Responses request is converted to chat completions format, sent through
+ * transformToAnthropic / transformToCommon, and the upstream result is converted back
+ * into a Responses object or Responses SSE events.
+ * @param {object} responsesRequest - Client request with previous_response_id already expanded
+ */
+async function handleTranslatedResponses(req, res, responsesRequest, modelId, model) {
+  const endpoint = getEndpointByType(model.type);
+  if (!endpoint) {
+    return res.status(500).json({ error: `Endpoint type ${model.type} not found` });
+  }
+
+  logInfo(`Translating /v1/responses to ${model.type} endpoint: ${endpoint.base_url}`);
+
+  let authHeader;
+  try {
+    const clientAuthFromXApiKey = req.headers['x-api-key']
+      ? `Bearer ${req.headers['x-api-key']}`
+      : null;
+    authHeader = await getApiKey(req.headers.authorization || clientAuthFromXApiKey);
+  } catch (error) {
+    logError('Failed to get API key', error);
+    return res.status(500).json({
+      error: 'API key not available',
+      message: 'Failed to get or refresh API key. Please check server logs.'
+    });
+  }
+
+  const clientHeaders = req.headers;
+  const provider = getModelProvider(modelId);
+  const isStreaming = responsesRequest.stream === true;
+
+  const chatRequest = await inlineRemoteImages(transformFromResponses({ ...responsesRequest, model: modelId }));
+  if (isStreaming && model.type === 'common') {
+    // Ask the chat completions upstream for usage so response.completed can report it
+    chatRequest.stream_options = { include_usage: true };
+  }
+
+  let transformedRequest;
+  let headers;
+  if (model.type === 'anthropic') {
+    transformedRequest = transformToAnthropic(chatRequest);
+    headers = getAnthropicHeaders(authHeader, clientHeaders, isStreaming, modelId, provider);
+  } else if (model.type === 'common') {
+    transformedRequest = transformToCommon(chatRequest);
+    headers = getCommonHeaders(authHeader, clientHeaders, provider);
+  } else {
+    return res.status(500).json({ error: `Unknown endpoint type: ${model.type}` });
+  }
+
+  logRequest('POST', endpoint.base_url, headers, transformedRequest);
+
+  const proxyAgentInfo = getNextProxyAgent(endpoint.base_url);
+  const fetchOptions = {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(transformedRequest)
+  };
+
+  if (proxyAgentInfo?.agent) {
+    fetchOptions.agent = proxyAgentInfo.agent;
+  }
+
+  const response = await fetchWithFallback(endpoint.base_url, fetchOptions, 'translated responses');
+
+  logInfo(`Response status: ${response.status}`);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    logError(`Endpoint error: ${response.status}`, new Error(errorText));
+    return res.status(response.status).json({
+      error: `Endpoint returned ${response.status}`,
+      details: errorText
+    });
+  }
+
+  const structuredOutputTool = model.type === 'anthropic' && usesStructuredOutputTool(transformedRequest)
+    ? STRUCTURED_OUTPUT_TOOL_NAME
+    : null;
+
+  if (isStreaming) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    // anthropic 类型先转换为 chat completions 流，common 类型本身就是 chat completions 流
+    const chatStream = model.type === 'anthropic'
+      ? new AnthropicResponseTransformer(modelId, `chatcmpl-${Date.now()}`, {
+        structuredOutputTool,
+        reasoningOutput: 'reasoning_content',
+        includeUsage: true
+      }).transformStream(response.body)
+      : response.body;
+
+    const transformer = new ResponsesStreamTransformer(modelId);
+    const recorder = new ResponseStreamRecorder();
+    try {
+      for await (const chunk of transformer.transformStream(chatStream)) {
+        recorder.feed(chunk);
+        res.write(chunk);
+      }
+      res.end();
+      saveResponse(req.body, recorder.response);
+      logInfo('Stream completed (translated responses)');
+    } catch (streamError) {
+      logError('Stream transformation error', streamError);
+      res.write(`event: error\ndata: ${JSON.stringify({
+        type: 'error',
+        message: streamError.message
+      })}\n\n`);
+      res.end();
+    }
+  } else {
+    const data = await response.json();
+    const chatCompletion = model.type === 'anthropic'
+      ? convertAnthropicToChatCompletion(data, structuredOutputTool, 'reasoning_content')
+      : data;
+    const converted = convertChatCompletionToResponse(chatCompletion, modelId);
+    saveResponse(req.body, converted);
+    logResponse(200, null, converted);
+    res.json(converted);
+  }
+}
+
+// 获取本地存储的 Responses 响应
+function handleGetResponse(req, res) {
+  logInfo(`GET /v1/responses/${req.params.id}`);
+
+  const response = getStoredResponse(req.params.id);
+  if (!response) {
+    return res.status(404).json({
+      error: 'Response not found',
+      message: `Response with id '${req.params.id}' not found`
+    });
+  }
+  res.json(response);
+}
+
+// 删除本地存储的 Responses 响应
+function handleDeleteResponse(req, res) {
+  logInfo(`DELETE /v1/responses/${req.params.id}`);
+
+  if (!deleteStoredResponse(req.params.id)) {
+    return res.status(404).json({
+      error: 'Response not found',
+      message: `Response with id '${req.params.id}' not found`
+    });
+  }
+  res.json({ id: req.params.id, object: 'response', deleted: true });
+}
+
 // 直接转发 Anthropic 请求（不做格式转换）
 async function handleDirectMessages(req, res) {
   logInfo('POST /v1/messages');
@@ -497,12 +1556,9 @@ async function handleDirectMessages(req, res) {
       return res.status(404).json({ error: `Model ${modelId} not found` });
     }
 
-    // 只允许 anthropic 类型端点
+    // 非 anthropic 类型端点：转换为 chat completions 格式后走对应上游
     if (model.type !== 'anthropic') {
-      return res.status(400).json({ 
-        error: 'Invalid endpoint type',
-        message: `/v1/messages 接口只支持 anthropic 类型端点，当前模型 ${modelId} 是 ${model.type} 类型`
-      });
+      return await handleTranslatedMessages(req, res, modelId, model);
     }
 
     const endpoint = getEndpointByType(model.type);
@@ -560,21 +1616,18 @@ async function handleDirectMessages(req, res) {
       // Auto模式：保持原始请求的thinking字段不变
       // 如果原始请求有thinking字段就保留，没有就不添加
     } else if (reasoningLevel && ['low', 'medium', 'high'].includes(reasoningLevel)) {
-      const budgetTokens = {
-        'low': 4096,
-        'medium': 12288,
-        'high': 24576
-      };
-      
       modifiedRequest.thinking = {
         type: 'enabled',
-        budget_tokens: budgetTokens[reasoningLevel]
+        budget_tokens: getModelTokenPolicy(modelId).thinking_budgets[reasoningLevel]
       };
     } else {
       // 如果配置是off或无效，移除thinking字段
       delete modifiedRequest.thinking;
     }
 
+    // 按模型 token 策略调整 max_tokens / budget_tokens
+    applyTokenPolicy(modifiedRequest, modelId);
+
     logRequest('POST', endpoint.base_url, headers, modifiedRequest);
 
     // 转发修改后的请求
@@ -635,7 +1688,231 @@ async function handleDirectMessages(req, res) {
   }
 }
 
-// 处理 Anthropic count_tokens 请求
+/**
+ * Error message from an upstream error body (OpenAI or Anthropic JSON, or plain text),
+ * for facades that answer in their own error format
+ */
+function getUpstreamErrorMessage(status, errorText) {
+  try {
+    const parsed = JSON.parse(errorText);
+    const message = parsed?.error?.message || parsed?.message || (typeof parsed?.error === 'string' ? parsed.error : null);
+    if (message) {
+      return message;
+    }
+  } catch (e) {
+    // plain text body
+  }
+  return errorText || `Endpoint returned ${status}`;
+}
+
+/**
+ * Serve /v1/messages for openai and common models.
+ * The Anthropic request is converted to chat completions format, sent through
+ * transformToOpenAI / transformToCommon, and the upstream result is converted back
+ * into an Anthropic message or Anthropic SSE events.
+ */
+async function handleTranslatedMessages(req, res, modelId, model) {
+  const endpoint = getEndpointByType(model.type);
+  if (!endpoint) {
+    return res.status(500).json(createAnthropicError(500, `Endpoint type ${model.type} not found`));
+  }
+
+  logInfo(`Translating /v1/messages to ${model.type} endpoint: ${endpoint.base_url}`);
+
+  let authHeader;
+  try {
+    const clientAuthFromXApiKey = req.headers['x-api-key']
+      ? `Bearer ${req.headers['x-api-key']}`
+      : null;
+    authHeader = await getApiKey(req.headers.authorization || clientAuthFromXApiKey);
+  } catch (error) {
+    logError('Failed to get API key', error);
+    return res.status(500).json(createAnthropicError(500, 'Failed to get or refresh API key. Please check server logs.'));
+  }
+
+  const clientHeaders = req.headers;
+  const provider = getModelProvider(modelId);
+  const isStreaming = req.body.stream === true;
+
+  const chatRequest = transformFromAnthropic({ ...req.body, model: modelId });
+  if (isStreaming && model.type === 'common') {
+    // Ask the chat completions upstream for usage so message_delta can report it
+    chatRequest.stream_options = { include_usage: true };
+  }
+
+  let transformedRequest;
+  let headers;
+  if (model.type === 'openai') {
+    transformedRequest = transformToOpenAI(chatRequest);
+    headers = getOpenAIHeaders(authHeader, clientHeaders, provider);
+  } else if (model.type === 'common') {
+    transformedRequest = transformToCommon(chatRequest);
+    headers = getCommonHeaders(authHeader, clientHeaders, provider);
+  } else {
+    return res.status(500).json(createAnthropicError(500, `Unknown endpoint type: ${model.type}`));
+  }
+
+  logRequest('POST', endpoint.base_url, headers, transformedRequest);
+
+  const proxyAgentInfo = getNextProxyAgent(endpoint.base_url);
+  const fetchOptions = {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(transformedRequest)
+  };
+
+  if (proxyAgentInfo?.agent) {
+    fetchOptions.agent = proxyAgentInfo.agent;
+  }
+
+  const response = await fetchWithFallback(endpoint.base_url, fetchOptions, 'translated messages');
+
+  logInfo(`Response status: ${response.status}`);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    logError(`Endpoint error: ${response.status}`, new Error(errorText));
+    return res.status(response.status).json(createAnthropicError(response.status, getUpstreamErrorMessage(response.status, errorText)));
+  }
+
+  const messageId = `msg_${Date.now()}`;
+
+  if (isStreaming) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    // openai 类型先转换为 chat completions 流，common 类型本身就是 chat completions 流
+    const chatStream = model.type === 'openai'
+      ? new OpenAIResponseTransformer(modelId, `chatcmpl-${Date.now()}`, {
+        reasoningOutput: 'reasoning_content',
+        includeUsage: true,
+        streamToolArguments: true
+      }).transformStream(response.body)
+      : response.body;
+
+    const transformer = new AnthropicStreamTransformer(modelId, messageId);
+    try {
+      for await (const chunk of transformer.transformStream(chatStream)) {
+        res.write(chunk);
+      }
+      res.end();
+      logInfo('Stream completed (translated messages)');
+    } catch (streamError) {
+      logError('Stream transformation error', streamError);
+      res.write(`event: error\ndata: ${JSON.stringify({
+        type: 'error',
+        error: { type: 'api_error', message: streamError.message }
+      })}\n\n`);
+      res.end();
+    }
+  } else {
+    const data = await response.json();
+    const chatCompletion = model.type === 'openai'
+      ? convertResponseToChatCompletion(data, 'reasoning_content')
+      : data;
+    const converted = convertChatCompletionToAnthropic(chatCompletion, modelId);
+    logResponse(200, null, converted);
+    res.json(converted);
+  }
+}
+
+/**
+ * Call the anthropic upstream count_tokens endpoint
+ * @param {object} anthropicRequest - Anthropic request with the redirected model ID
+ */
+async function fetchAnthropicTokenCount(anthropicRequest, modelId, authHeader, clientHeaders) {
+  const endpoint = getEndpointByType('anthropic');
+  const provider = getModelProvider(modelId);
+  const headers = getAnthropicHeaders(authHeader, clientHeaders, false, modelId, provider);
+
+  // 构建 count_tokens 端点 URL
+  const countTokensUrl = endpoint.base_url.replace('/v1/messages', '/v1/messages/count_tokens');
+
+  logInfo(`Forwarding to count_tokens endpoint: ${countTokensUrl}`);
+  logRequest('POST', countTokensUrl, headers, anthropicRequest);
+
+  const proxyAgentInfo = getNextProxyAgent(countTokensUrl);
+  const fetchOptions = {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(anthropicRequest)
+  };
+
+  if (proxyAgentInfo?.agent) {
+    fetchOptions.agent = proxyAgentInfo.agent;
+  }
+
+  const response = await fetchWithFallback(countTokensUrl, fetchOptions, 'count tokens');
+  logInfo(`Response status: ${response.status}`);
+  return response;
+}
+
+/**
+ * Input token count of a chat completions request. Anthropic models ask the upstream
+ * count_tokens endpoint; other models, and failed upstream calls, are counted locally.
+ * Both include the system prompt the proxy injects (global or the client's own).
+ * @param {object} [anthropicRequest] - Original Anthropic request to send upstream instead of a converted one
+ * @returns {Promise<number>}
+ */
+async function countRequestTokens(chatRequest, modelId, model, authHeader, clientHeaders, anthropicRequest = null) {
+  const systemPrompt = getSystemPrompt();
+
+  if (model.type === 'anthropic' && getEndpointByType('anthropic') && authHeader) {
+    try {
+      let countRequest = anthropicRequest;
+      if (!countRequest) {
+        const { messages, system, tools, tool_choice, thinking } = transformToAnthropic(chatRequest);
+        countRequest = { model: modelId, messages, system, tools, tool_choice, thinking };
+      } else if (systemPrompt) {
+        // 与 /v1/messages 转发时一致，系统提示插入在 system 最前面
+        const system = typeof countRequest.system === 'string'
+          ? [{ type: 'text', text: countRequest.system }]
+          : (Array.isArray(countRequest.system) ? countRequest.system : []);
+        countRequest = { ...countRequest, system: [{ type: 'text', text: systemPrompt }, ...system] };
+      }
+      const response = await fetchAnthropicTokenCount(countRequest, modelId, authHeader, clientHeaders);
+
+      if (response.ok) {
+        const data = await response.json();
+        if (typeof data.input_tokens === 'number') {
+          return data.input_tokens;
+        }
+        logError('Count tokens response has no input_tokens, counting locally');
+      } else {
+        const errorText = await response.text();
+        logError(`Count tokens error: ${response.status}, counting locally`, new Error(errorText));
+      }
+    } catch (error) {
+      logError('Count tokens request failed, counting locally', error);
+    }
+  }
+
+  const countedRequest = systemPrompt
+    ? { ...chatRequest, messages: [{ role: 'system', content: systemPrompt }, ...(chatRequest.messages || [])] }
+    : chatRequest;
+  const tokens = await countChatTokens(countedRequest, model.type);
+  logDebug(`Counted ${tokens} input tokens locally for ${modelId}`);
+  return tokens;
+}
+
+// Upstream key for count requests; local counting works without one
+async function getCountTokensAuth(req, model) {
+  if (model.type !== 'anthropic') {
+    return null;
+  }
+  try {
+    const clientAuthFromXApiKey = req.headers['x-api-key']
+      ? `Bearer ${req.headers['x-api-key']}`
+      : null;
+    return await getApiKey(req.headers.authorization || clientAuthFromXApiKey);
+  } catch (error) {
+    logError('Failed to get API key, counting tokens locally', error);
+    return null;
+  }
+}
+
+// 处理 Anthropic count_tokens 请求（所有类型模型；非 anthropic 类型本地计算）
 async function handleCountTokens(req, res) {
   logInfo('POST /v1/messages/count_tokens');
 
@@ -652,80 +1929,56 @@ async function handleCountTokens(req, res) {
       return res.status(404).json({ error: `Model ${modelId} not found` });
     }
 
-    // 只允许 anthropic 类型端点
-    if (model.type !== 'anthropic') {
-      return res.status(400).json({
-        error: 'Invalid endpoint type',
-        message: `/v1/messages/count_tokens 接口只支持 anthropic 类型端点，当前模型 ${modelId} 是 ${model.type} 类型`
-      });
-    }
-
-    const endpoint = getEndpointByType('anthropic');
-    if (!endpoint) {
-      return res.status(500).json({ error: 'Endpoint type anthropic not found' });
-    }
-
-    // Get API key
-    let authHeader;
-    try {
-      const clientAuthFromXApiKey = req.headers['x-api-key']
-        ? `Bearer ${req.headers['x-api-key']}`
-        : null;
-      authHeader = await getApiKey(req.headers.authorization || clientAuthFromXApiKey);
-    } catch (error) {
-      logError('Failed to get API key', error);
-      return res.status(500).json({
-        error: 'API key not available',
-        message: 'Failed to get or refresh API key. Please check server logs.'
-      });
-    }
-
-    const clientHeaders = req.headers;
-    
-    // Get provider from model config
-    const provider = getModelProvider(modelId);
-    
-    const headers = getAnthropicHeaders(authHeader, clientHeaders, false, modelId, provider);
-
-    // 构建 count_tokens 端点 URL
-    const countTokensUrl = endpoint.base_url.replace('/v1/messages', '/v1/messages/count_tokens');
+    const authHeader = await getCountTokensAuth(req, model);
 
     // 更新请求体中的模型ID为重定向后的ID
     const modifiedRequest = { ...anthropicRequest, model: modelId };
+    const chatRequest = transformFromAnthropic(modifiedRequest);
+    const inputTokens = await countRequestTokens(chatRequest, modelId, model, authHeader, req.headers, modifiedRequest);
 
-    logInfo(`Forwarding to count_tokens endpoint: ${countTokensUrl}`);
-    logRequest('POST', countTokensUrl, headers, modifiedRequest);
+    const data = { input_tokens: inputTokens };
+    logResponse(200, null, data);
+    res.json(data);
 
-    const proxyAgentInfo = getNextProxyAgent(countTokensUrl);
-    const fetchOptions = {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(modifiedRequest)
-    };
+  } catch (error) {
+    logError('Error in /v1/messages/count_tokens', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
 
-    if (proxyAgentInfo?.agent) {
-      fetchOptions.agent = proxyAgentInfo.agent;
-    }
+// 处理 chat completions 格式的 token 计数请求
+async function handleChatCountTokens(req, res) {
+  logInfo('POST /v1/chat/completions/count_tokens');
 
-    const response = await fetchWithFallback(countTokensUrl, fetchOptions, 'count tokens');
+  try {
+    const modelId = getRedirectedModelId(req.body.model);
 
-    logInfo(`Response status: ${response.status}`);
+    if (!modelId) {
+      return res.status(400).json({ error: 'model is required' });
+    }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      logError(`Count tokens error: ${response.status}`, new Error(errorText));
-      return res.status(response.status).json({
-        error: `Endpoint returned ${response.status}`,
-        details: errorText
-      });
+    const model = getModelById(modelId);
+    if (!model) {
+      return res.status(404).json({ error: `Model ${modelId} not found` });
     }
 
-    const data = await response.json();
+    if (!Array.isArray(req.body.messages)) {
+      return res.status(400).json({ error: 'messages is required' });
+    }
+
+    const authHeader = await getCountTokensAuth(req, model);
+    const chatRequest = { ...req.body, model: modelId };
+    const inputTokens = await countRequestTokens(chatRequest, modelId, model, authHeader, req.headers);
+
+    const data = { model: modelId, input_tokens: inputTokens };
     logResponse(200, null, data);
     res.json(data);
 
   } catch (error) {
-    logError('Error in /v1/messages/count_tokens', error);
+    logError('Error in /v1/chat/completions/count_tokens', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -735,8 +1988,17 @@ async function handleCountTokens(req, res) {
 
 // 注册路由
 router.post('/v1/chat/completions', handleChatCompletions);
+router.post('/v1/chat/completions/count_tokens', handleChatCountTokens);
+router.post('/v1/completions', handleCompletions);
 router.post('/v1/responses', handleDirectResponses);
+router.get('/v1/responses/:id', handleGetResponse);
+router.delete('/v1/responses/:id', handleDeleteResponse);
 router.post('/v1/messages', handleDirectMessages);
 router.post('/v1/messages/count_tokens', handleCountTokens);
+router.post('/v1beta/models/:modelAction', handleGeminiModelAction);
+router.post('/api/chat', (req, res) => handleOllamaRequest(req, res, 'chat'));
+router.post('/api/generate', (req, res) => handleOllamaRequest(req, res, 'generate'));
+router.get('/api/tags', handleOllamaTags);
+router.post('/api/show', handleOllamaShow);
 
 export default router;
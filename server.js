@@ -3,6 +3,9 @@ import { loadConfig, isDevMode, getPort } from './config.js';
 import { logInfo, logError } from './logger.js';
 import router from './routes.js';
 import keyCheckerRouter from './key-checker.js';
+import adminRouter from './admin.js';
+import { clientAuthMiddleware, initializeClientAuth } from './client-auth.js';
+import { rateLimitMiddleware, initializeRateLimits } from './rate-limiter.js';
 import { initializeAuth } from './auth.js';
 import { initializeUserAgentUpdater } from './user-agent-updater.js';
 
@@ -13,8 +16,8 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, anthropic-version');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Goog-Api-Key, X-Admin-Token, anthropic-version');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -25,6 +28,12 @@ app.use((req, res, next) => {
 // Key checker utility (isolated from main functionality)
 app.use(keyCheckerRouter);
 
+// Runtime admin API (requires ADMIN_TOKEN)
+app.use(adminRouter);
+
+// Client keys issued by this proxy (client_auth.enabled), then global and per-client rate limits
+app.use(['/v1', '/v1beta', '/api'], clientAuthMiddleware, rateLimitMiddleware);
+
 app.use(router);
 
 app.get('/', (req, res) => {
@@ -38,9 +47,21 @@ app.get('/', (req, res) => {
       'GET /key-checker',
       'GET /v1/models',
       'POST /v1/chat/completions',
+      'POST /v1/chat/completions/count_tokens',
+      'POST /v1/completions',
       'POST /v1/responses',
+      'GET /v1/responses/:id',
+      'DELETE /v1/responses/:id',
       'POST /v1/messages',
-      'POST /v1/messages/count_tokens'
+      'POST /v1/messages/count_tokens',
+      'POST /v1beta/models/{model}:generateContent',
+      'POST /v1beta/models/{model}:streamGenerateContent',
+      'POST /v1beta/models/{model}:countTokens',
+      'POST /api/chat',
+      'POST /api/generate',
+      'GET /api/tags',
+      'POST /api/show',
+      'GET|POST|PATCH|PUT|DELETE /admin/* (ADMIN_TOKEN)'
     ]
   });
 });
@@ -141,9 +162,21 @@ app.use((req, res, next) => {
     availableEndpoints: [
       'GET /v1/models',
       'POST /v1/chat/completions',
+      'POST /v1/chat/completions/count_tokens',
+      'POST /v1/completions',
       'POST /v1/responses',
+      'GET /v1/responses/:id',
+      'DELETE /v1/responses/:id',
       'POST /v1/messages',
-      'POST /v1/messages/count_tokens'
+      'POST /v1/messages/count_tokens',
+      'POST /v1beta/models/{model}:generateContent',
+      'POST /v1beta/models/{model}:streamGenerateContent',
+      'POST /v1beta/models/{model}:countTokens',
+      'POST /api/chat',
+      'POST /api/generate',
+      'GET /api/tags',
+      'POST /api/show',
+      'GET|POST|PATCH|PUT|DELETE /admin/* (ADMIN_TOKEN)'
     ]
   });
 });
@@ -169,6 +202,12 @@ app.use((err, req, res, next) => {
     // Initialize auth system (load and setup API key if needed)
     // This won't throw error if no auth config is found - will use client auth
     await initializeAuth();
+
+    // Load client keys (required on API routes when client_auth.enabled)
+    initializeClientAuth();
+
+    // Restore daily/monthly token usage (rate_limits.usage_file)
+    initializeRateLimits();
     
     const PORT = getPort();
   const HOST = '0.0.0.0'; // Bind to all interfaces for cloud deployment
@@ -183,9 +222,18 @@ app.use((err, req, res, next) => {
       logInfo('  GET  /key-checker (API Key validator)');
       logInfo('  GET  /v1/models');
       logInfo('  POST /v1/chat/completions');
+      logInfo('  POST /v1/chat/completions/count_tokens');
+      logInfo('  POST /v1/completions');
       logInfo('  POST /v1/responses');
+      logInfo('  GET  /v1/responses/:id');
+      logInfo('  DELETE /v1/responses/:id');
       logInfo('  POST /v1/messages');
       logInfo('  POST /v1/messages/count_tokens');
+      logInfo('  POST /v1beta/models/{model}:generateContent | :streamGenerateContent | :countTokens');
+      logInfo('  POST /api/chat, POST /api/generate, GET /api/tags, POST /api/show (Ollama)');
+      if (process.env.ADMIN_TOKEN) {
+        logInfo('  /admin/keys, /admin/clients, /admin/usage, /admin/models, /admin/model-redirects, /admin/proxies (Admin API)');
+      }
     })
     .on('error', (err) => {
       if (err.code === 'EADDRINUSE') {
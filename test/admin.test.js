@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { getConfig, getModelById } from '../config.js';
+import { getKeyPoolStatus } from '../auth.js';
+import adminRouter from '../admin.js';
+
+const ADMIN_TOKEN = 'admin-secret';
+let server;
+let baseUrl;
+
+before(async () => {
+  process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+  const app = express();
+  app.use(express.json());
+  app.use(adminRouter);
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  delete process.env.ADMIN_TOKEN;
+  server.close();
+});
+
+async function admin(method, path, body, token = ADMIN_TOKEN) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the admin API requires the admin token', async () => {
+  assert.equal((await admin('GET', '/admin/keys', undefined, 'wrong')).status, 401);
+
+  const response = await fetch(`${baseUrl}/admin/keys`, { headers: { 'x-admin-token': ADMIN_TOKEN } });
+  assert.equal(response.status, 200);
+});
+
+test('Factory API keys are added, disabled and removed at runtime', async () => {
+  const added = await admin('POST', '/admin/keys', { key: 'fk-admin-key-1', label: 'admin', weight: 2 });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.label, 'admin');
+  assert.equal(added.body.weight, 2);
+  assert.equal(added.body.preview, 'fk-admin-k...');
+  assert.equal((await admin('POST', '/admin/keys', { key: 'fk-admin-key-1' })).status, 409);
+  assert.equal((await admin('POST', '/admin/keys', { key: 'fk-admin-key-2', weight: 0 })).status, 400);
+
+  const disabled = await admin('POST', `/admin/keys/${added.body.id}/disable`);
+  assert.equal(disabled.body.disabled, true);
+
+  assert.equal((await admin('DELETE', `/admin/keys/${added.body.id}`)).status, 200);
+  assert.equal((await admin('DELETE', `/admin/keys/${added.body.id}`)).status, 404);
+  assert.equal(getKeyPoolStatus(), null);
+});
+
+test('a key change whose keys_file write fails is rolled back', async () => {
+  // keys_file is not configured, so persisting fails
+  const failed = await admin('POST', '/admin/keys?persist=true', { key: 'fk-admin-key-3' });
+  assert.equal(failed.status, 500);
+  assert.match(failed.body.message, /not applied/);
+  assert.equal(getKeyPoolStatus(), null);
+});
+
+test('models are validated, added, updated and removed', async () => {
+  assert.equal((await admin('POST', '/admin/models', { id: 'admin-model', type: 'gemini' })).status, 400);
+  assert.equal((await admin('POST', '/admin/models', { id: 'glm-4.6', type: 'common' })).status, 409);
+
+  const added = await admin('POST', '/admin/models', { id: 'admin-model', type: 'common', reasoning: 'low' });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.name, 'admin-model');
+
+  const updated = await admin('PATCH', '/admin/models/admin-model', { reasoning: null, provider: 'test' });
+  assert.deepEqual(updated.body, { name: 'admin-model', id: 'admin-model', type: 'common', provider: 'test' });
+
+  assert.equal((await admin('DELETE', '/admin/models/admin-model')).status, 200);
+  assert.equal(getModelById('admin-model'), undefined);
+});
+
+test('a config change whose config.json write fails is rolled back', async () => {
+  const config = getConfig();
+  // A BigInt cannot be serialized, so saveConfig throws before anything is written
+  config.unsavable = 1n;
+  try {
+    const failed = await admin('POST', '/admin/models?persist=true', { id: 'admin-model', type: 'common' });
+    assert.equal(failed.status, 500);
+    assert.equal(getModelById('admin-model'), undefined);
+
+    const redirect = await admin('PUT', '/admin/model-redirects/old-model?persist=true', { to: 'glm-4.6' });
+    assert.equal(redirect.status, 500);
+    assert.equal(config.model_redirects?.['old-model'], undefined);
+  } finally {
+    delete config.unsavable;
+  }
+});
+
+test('proxies are validated before they replace the list', async () => {
+  const config = getConfig();
+  const previousProxies = config.proxies;
+  try {
+    assert.equal((await admin('PUT', '/admin/proxies', [{ url: 'not a url' }])).status, 400);
+    assert.equal((await admin('PUT', '/admin/proxies', { url: 'http://127.0.0.1:3128' })).status, 400);
+
+    const replaced = await admin('PUT', '/admin/proxies', [{ name: 'local', url: 'http://127.0.0.1:3128' }]);
+    assert.deepEqual(replaced.body.proxies, [{ name: 'local', url: 'http://127.0.0.1:3128' }]);
+    assert.equal((await admin('DELETE', '/admin/proxies/1')).status, 404);
+    assert.deepEqual((await admin('DELETE', '/admin/proxies/0')).body.proxies, []);
+  } finally {
+    config.proxies = previousProxies;
+  }
+});
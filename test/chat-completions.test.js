@@ -0,0 +1,265 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfig } from '../config.js';
+import { startProxy, post, sendEvents, parseEvents } from './helpers.js';
+
+const ANTHROPIC_MODEL = 'claude-sonnet-4-5-20250929';
+const OPENAI_MODEL = 'gpt-5-2025-08-07';
+
+test('non-streaming Anthropic messages are converted to chat completions', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'msg_1',
+    model: ANTHROPIC_MODEL,
+    content: [
+      { type: 'text', text: 'Looking it up' },
+      { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'x' } }
+    ],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 2 }
+  }));
+  try {
+    const { status, body } = await post(proxy.baseUrl, '/v1/chat/completions', {
+      model: ANTHROPIC_MODEL,
+      messages: [{ role: 'user', content: 'hi' }]
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.object, 'chat.completion');
+    assert.equal(body.id, 'chatcmpl-1');
+    const [choice] = body.choices;
+    assert.equal(choice.finish_reason, 'tool_calls');
+    assert.equal(choice.message.content, 'Looking it up');
+    assert.deepEqual(choice.message.tool_calls, [
+      { id: 'toolu_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } }
+    ]);
+    assert.deepEqual(body.usage, {
+      prompt_tokens: 12,
+      completion_tokens: 5,
+      total_tokens: 17,
+      prompt_tokens_details: { cached_tokens: 2, cache_write_tokens: 0 }
+    });
+  } finally {
+    proxy.close();
+  }
+});
+
+test('non-streaming structured output is returned as message content', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'msg_1',
+    content: [{ type: 'tool_use', id: 'toolu_1', name: req.body.tool_choice.name, input: { answer: 42 } }],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 1, output_tokens: 1 }
+  }));
+  try {
+    const { body } = await post(proxy.baseUrl, '/v1/chat/completions', {
+      model: ANTHROPIC_MODEL,
+      messages: [{ role: 'user', content: 'hi' }],
+      response_format: { type: 'json_schema', json_schema: { name: 'answer', schema: { type: 'object' } } }
+    });
+
+    assert.equal(body.choices[0].message.content, '{"answer":42}');
+    assert.equal(body.choices[0].message.tool_calls, undefined);
+    assert.equal(body.choices[0].finish_reason, 'stop');
+  } finally {
+    proxy.close();
+  }
+});
+
+test('non-streaming thinking is returned as reasoning_content or an inline think block', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'msg_1',
+    content: [
+      { type: 'thinking', thinking: 'hmm', signature: 'sig' },
+      { type: 'text', text: 'answer' }
+    ],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 1, output_tokens: 1 }
+  }));
+  const config = getConfig();
+  const reasoningOutput = config.reasoning_output;
+  try {
+    const request = { model: ANTHROPIC_MODEL, messages: [{ role: 'user', content: 'hi' }] };
+    const { body } = await post(proxy.baseUrl, '/v1/chat/completions', request);
+    assert.equal(body.choices[0].message.reasoning_content, 'hmm');
+    assert.equal(body.choices[0].message.content, 'answer');
+
+    config.reasoning_output = 'think_tags';
+    const inline = await post(proxy.baseUrl, '/v1/chat/completions', request);
+    assert.equal(inline.body.choices[0].message.reasoning_content, undefined);
+    assert.equal(inline.body.choices[0].message.content, '<think>\nhmm\n</think>\n\nanswer');
+  } finally {
+    config.reasoning_output = reasoningOutput;
+    proxy.close();
+  }
+});
+
+test('non-streaming thinking signatures are returned for the next turn', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'msg_1',
+    content: [
+      { type: 'redacted_thinking', data: 'opaque' },
+      { type: 'thinking', thinking: 'hmm', signature: 'sig' },
+      { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: {} }
+    ],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 1, output_tokens: 1 }
+  }));
+  try {
+    const { body } = await post(proxy.baseUrl, '/v1/chat/completions', {
+      model: ANTHROPIC_MODEL,
+      messages: [{ role: 'user', content: 'hi' }]
+    });
+
+    const { message } = body.choices[0];
+    assert.equal(message.reasoning_signature, 'sig');
+    assert.deepEqual(message.reasoning_details, [
+      { type: 'reasoning.encrypted', data: 'opaque' },
+      { type: 'reasoning.text', text: 'hmm', signature: 'sig' }
+    ]);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('non-streaming Responses API function calls become tool_calls with call_ ids', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'resp_1',
+    model: OPENAI_MODEL,
+    status: 'completed',
+    output: [
+      { type: 'reasoning', summary: [{ type: 'summary_text', text: 'plan' }] },
+      { type: 'function_call', id: 'fc_1', call_id: 'fc_1', name: 'lookup', arguments: '{"q":"x"}' }
+    ],
+    usage: { input_tokens: 10, output_tokens: 5, input_tokens_details: { cached_tokens: 4 } }
+  }));
+  try {
+    const { body } = await post(proxy.baseUrl, '/v1/chat/completions', {
+      model: OPENAI_MODEL,
+      messages: [{ role: 'user', content: 'hi' }]
+    });
+
+    const [choice] = body.choices;
+    assert.equal(choice.finish_reason, 'tool_calls');
+    assert.equal(choice.message.content, null);
+    assert.equal(choice.message.reasoning_content, 'plan');
+    assert.deepEqual(choice.message.tool_calls, [
+      { id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } }
+    ]);
+    assert.equal(body.usage.prompt_tokens_details.cached_tokens, 4);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('incomplete Responses API results finish with length', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'resp_1',
+    status: 'incomplete',
+    incomplete_details: { reason: 'max_output_tokens' },
+    output: [{ type: 'message', content: [{ type: 'output_text', text: 'partial' }] }]
+  }));
+  try {
+    const { body } = await post(proxy.baseUrl, '/v1/chat/completions', {
+      model: OPENAI_MODEL,
+      messages: [{ role: 'user', content: 'hi' }]
+    });
+
+    assert.equal(body.choices[0].message.content, 'partial');
+    assert.equal(body.choices[0].finish_reason, 'length');
+  } finally {
+    proxy.close();
+  }
+});
+
+function anthropicMessage(text) {
+  return {
+    id: 'msg_1',
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 10, output_tokens: 2 }
+  };
+}
+
+test('n > 1 fans out and merges the choices and usage', async () => {
+  let count = 0;
+  const proxy = await startProxy((req, res) => res.json(anthropicMessage(`answer ${count++}`)));
+  try {
+    const { status, body } = await post(proxy.baseUrl, '/v1/chat/completions', {
+      model: ANTHROPIC_MODEL,
+      messages: [{ role: 'user', content: 'hi' }],
+      n: 3
+    });
+
+    assert.equal(status, 200);
+    assert.equal(proxy.requests.length, 3);
+    assert.ok(proxy.requests.every(request => request.body.n === undefined));
+    assert.deepEqual(body.choices.map(choice => choice.index), [0, 1, 2]);
+    assert.deepEqual(body.choices.map(choice => choice.message.content).sort(), ['answer 0', 'answer 1', 'answer 2']);
+    assert.equal(body.usage.prompt_tokens, 30);
+    assert.equal(body.usage.completion_tokens, 6);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('n > 1 streams every choice under its own index with one summed usage chunk', async () => {
+  const proxy = await startProxy((req, res) => sendEvents(res, [
+    ['message_start', { message: { id: 'msg_1', usage: { input_tokens: 10, output_tokens: 0 } } }],
+    ['content_block_start', { index: 0, content_block: { type: 'text', text: '' } }],
+    ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'hi' } }],
+    ['content_block_stop', { index: 0 }],
+    ['message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }],
+    ['message_stop', {}]
+  ]));
+  try {
+    const { body } = await post(proxy.baseUrl, '/v1/chat/completions', {
+      model: ANTHROPIC_MODEL,
+      messages: [{ role: 'user', content: 'hi' }],
+      n: 2,
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    const chunks = parseEvents(body);
+    const usageChunk = chunks.pop();
+    assert.deepEqual(usageChunk.choices, []);
+    assert.equal(usageChunk.usage.prompt_tokens, 20);
+    assert.equal(usageChunk.usage.completion_tokens, 4);
+    for (const index of [0, 1]) {
+      const choiceChunks = chunks.filter(chunk => chunk.choices[0].index === index);
+      assert.equal(choiceChunks.map(chunk => chunk.choices[0].delta.content || '').join(''), 'hi');
+      assert.equal(choiceChunks.at(-1).choices[0].finish_reason, 'stop');
+    }
+    assert.equal(new Set(chunks.map(chunk => chunk.id)).size, 1);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('n above max_choices is rejected and a failed choice fails the request', async () => {
+  let count = 0;
+  const proxy = await startProxy((req, res) => {
+    if (count++ === 1) {
+      return res.status(529).json({ type: 'error', error: { type: 'overloaded_error', message: 'busy' } });
+    }
+    res.json(anthropicMessage('ok'));
+  });
+  try {
+    const tooMany = await post(proxy.baseUrl, '/v1/chat/completions', {
+      model: ANTHROPIC_MODEL,
+      messages: [{ role: 'user', content: 'hi' }],
+      n: 100
+    });
+    assert.equal(tooMany.status, 400);
+    assert.equal(proxy.requests.length, 0);
+
+    const failed = await post(proxy.baseUrl, '/v1/chat/completions', {
+      model: ANTHROPIC_MODEL,
+      messages: [{ role: 'user', content: 'hi' }],
+      n: 2
+    });
+    assert.equal(failed.status, 529);
+  } finally {
+    proxy.close();
+  }
+});
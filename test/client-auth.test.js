@@ -0,0 +1,137 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getConfig } from '../config.js';
+import { isModelAllowed, reloadClientKeys, clientAuthMiddleware, validateClientSettings, initializeClientAuth } from '../client-auth.js';
+import { getCurrentClient } from '../request-context.js';
+
+let tmpDir;
+let keysFile;
+let previousClientAuth;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'droid2api-clients-'));
+  keysFile = path.join(tmpDir, 'clients.json');
+  fs.writeFileSync(keysFile, JSON.stringify([
+    { key: 'sk-claude', label: 'claude-only', models: ['claude-*'] },
+    { key: 'sk-any', label: 'any' },
+    { key: 'sk-off', label: 'off', disabled: true }
+  ]));
+  previousClientAuth = getConfig().client_auth;
+  getConfig().client_auth = { enabled: true, keys_file: keysFile };
+  reloadClientKeys();
+});
+
+after(() => {
+  getConfig().client_auth = previousClientAuth;
+  reloadClientKeys();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function runMiddleware({ key, model, url = '/v1/chat/completions' }) {
+  const req = { method: 'POST', originalUrl: url, headers: key ? { authorization: `Bearer ${key}` } : {}, query: {}, body: { model } };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let client = null;
+  clientAuthMiddleware(req, res, () => { client = getCurrentClient(); });
+  return { req, res, client };
+}
+
+// Run fn with other client_auth settings, then restore the settings of this file
+function withClientAuth(clientAuth, fn) {
+  getConfig().client_auth = clientAuth;
+  reloadClientKeys();
+  try {
+    fn();
+  } finally {
+    getConfig().client_auth = { enabled: true, keys_file: keysFile };
+    reloadClientKeys();
+  }
+}
+
+test('model patterns match exact ids and * wildcards', () => {
+  const client = { models: ['claude-*', 'gpt-5-2025-08-07'] };
+  assert.equal(isModelAllowed(client, 'claude-sonnet-4-5-20250929'), true);
+  assert.equal(isModelAllowed(client, 'gpt-5-2025-08-07'), true);
+  assert.equal(isModelAllowed(client, 'gpt-5-codex'), false);
+  assert.equal(isModelAllowed(client, 'xclaude-1'), false);
+  assert.equal(isModelAllowed({ models: ['gpt-5.1'] }, 'gpt-5x1'), false);
+});
+
+test('clients without a model list may use every model', () => {
+  assert.equal(isModelAllowed({ models: null }, 'anything'), true);
+  assert.equal(isModelAllowed(null, 'anything'), true);
+});
+
+test('a redirected model is allowed when its target matches', () => {
+  const redirects = getConfig().model_redirects;
+  getConfig().model_redirects = { 'alias-model': 'claude-sonnet-4-5-20250929' };
+  try {
+    assert.equal(isModelAllowed({ models: ['claude-*'] }, 'alias-model'), true);
+    assert.equal(isModelAllowed({ models: ['gpt-*'] }, 'alias-model'), false);
+  } finally {
+    getConfig().model_redirects = redirects;
+  }
+});
+
+test('the middleware admits allowed models and strips the client key', () => {
+  const { req, res, client } = runMiddleware({ key: 'sk-claude', model: 'claude-sonnet-4-5-20250929' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(client.label, 'claude-only');
+  assert.equal(req.headers.authorization, undefined);
+});
+
+test('the middleware rejects disallowed models with 403', () => {
+  const { res, client } = runMiddleware({ key: 'sk-claude', model: 'gpt-5-2025-08-07' });
+  assert.equal(res.statusCode, 403);
+  assert.equal(client, null);
+  assert.equal(runMiddleware({ key: 'sk-any', model: 'gpt-5-2025-08-07' }).res.statusCode, 200);
+});
+
+test('the middleware checks the model in Gemini paths', () => {
+  const { res } = runMiddleware({ key: 'sk-claude', url: '/v1beta/models/gpt-5-2025-08-07:generateContent' });
+  assert.equal(res.statusCode, 403);
+});
+
+test('missing, unknown and disabled keys get 401', () => {
+  for (const key of [null, 'sk-unknown', 'sk-off']) {
+    assert.equal(runMiddleware({ key, model: 'claude-sonnet-4-5-20250929' }).res.statusCode, 401);
+  }
+});
+
+test('client settings are validated', () => {
+  assert.equal(validateClientSettings({ models: ['claude-*'], system_prompt: false }), null);
+  assert.match(validateClientSettings({ models: 'claude-*' }), /models must be an array/);
+  assert.match(validateClientSettings({ limits: { rpm: 1 } }), /Unknown limit rpm/);
+});
+
+test('a malformed Gemini model path is answered with 400', () => {
+  const { res } = runMiddleware({ key: 'sk-any', url: '/v1beta/models/%E0%A4%A:generateContent' });
+  assert.equal(res.statusCode, 400);
+});
+
+test('without an explicit setting keys are required once the keys file exists, even when empty', () => {
+  const emptyFile = path.join(tmpDir, 'empty-clients.json');
+  withClientAuth({ enabled: null, keys_file: path.join(tmpDir, 'missing.json') }, () => {
+    assert.equal(runMiddleware({ key: null, model: 'gpt-5-2025-08-07' }).res.statusCode, 200);
+  });
+
+  fs.writeFileSync(emptyFile, '[]');
+  withClientAuth({ enabled: null, keys_file: emptyFile }, () => {
+    assert.equal(runMiddleware({ key: null, model: 'gpt-5-2025-08-07' }).res.statusCode, 401);
+  });
+});
+
+test('explicitly disabling client auth admits every request with a warning', t => {
+  const errors = t.mock.method(console, 'error', () => {});
+  withClientAuth({ enabled: false, keys_file: keysFile }, () => {
+    initializeClientAuth();
+    assert.equal(runMiddleware({ key: null, model: 'gpt-5-2025-08-07' }).res.statusCode, 200);
+  });
+  assert.match(errors.mock.calls[0].arguments[0], /WARNING: client_auth.enabled is false/);
+});
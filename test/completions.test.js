@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sumUsage } from '../transformers/response-to-completions.js';
+import { startProxy, post, sendEvents, sendChatChunks, parseEvents } from './helpers.js';
+
+const ANTHROPIC_MODEL = 'claude-sonnet-4-5-20250929';
+const OPENAI_MODEL = 'gpt-5.1';
+const COMMON_MODEL = 'glm-4.6';
+
+function promptOf(body) {
+  return JSON.stringify(body.input ?? body.messages).includes('two') ? 'two' : 'one';
+}
+
+test('usage of several upstream requests is summed', () => {
+  const usage = {
+    prompt_tokens: 60,
+    completion_tokens: 5,
+    total_tokens: 65,
+    prompt_tokens_details: { cached_tokens: 20, cache_write_tokens: 30 }
+  };
+
+  const summed = sumUsage([usage, usage]);
+  assert.equal(summed.prompt_tokens, 120);
+  assert.equal(summed.total_tokens, 130);
+  assert.deepEqual(summed.prompt_tokens_details, { cached_tokens: 40, cache_write_tokens: 60 });
+});
+
+test('every prompt gets a choice with stop sequences and echo applied', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'resp_1',
+    status: 'completed',
+    output: [{ type: 'message', content: [{ type: 'output_text', text: ` ${promptOf(req.body)} done END tail` }] }],
+    usage: { input_tokens: 3, output_tokens: 5 }
+  }));
+  try {
+    const { status, body } = await post(proxy.baseUrl, '/v1/completions', {
+      model: OPENAI_MODEL,
+      prompt: ['one', 'two'],
+      stop: ' END',
+      echo: true,
+      max_tokens: 20
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.object, 'text_completion');
+    assert.deepEqual(body.choices.map(choice => [choice.index, choice.text, choice.finish_reason]), [
+      [0, 'one one done', 'stop'],
+      [1, 'two two done', 'stop']
+    ]);
+    assert.equal(body.usage.prompt_tokens, 6);
+    assert.equal(body.usage.completion_tokens, 10);
+    assert.equal(proxy.requests[0].body.max_output_tokens, 20);
+    assert.match(proxy.requests[0].body.instructions, /Continue the text/);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('token id prompts and n above max_choices are rejected', async () => {
+  const proxy = await startProxy((req, res) => res.status(500).end());
+  try {
+    const tokens = await post(proxy.baseUrl, '/v1/completions', { model: COMMON_MODEL, prompt: [1, 2] });
+    assert.equal(tokens.status, 400);
+
+    const tooMany = await post(proxy.baseUrl, '/v1/completions', { model: COMMON_MODEL, prompt: ['one', 'two'], n: 8 });
+    assert.equal(tooMany.status, 400);
+    assert.equal(proxy.requests.length, 0);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('streamed choices are interleaved by index and stop at a stop sequence', async () => {
+  // "one" only finishes once the client has received a chunk of "two", which a sequential relay never allows
+  let releaseOne;
+  const twoReceived = new Promise(resolve => { releaseOne = resolve; });
+  const proxy = await startProxy(async (req, res) => {
+    const prompt = promptOf(req.body);
+    sendEvents(res, [
+      ['message_start', { message: { usage: { input_tokens: 5 } } }],
+      ['content_block_start', { index: 0, content_block: { type: 'text', text: '' } }],
+      ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: `${prompt} says` } }]
+    ], false);
+    if (prompt === 'one') {
+      await Promise.race([twoReceived, new Promise(resolve => setTimeout(resolve, 2000))]);
+    }
+    sendEvents(res, [
+      ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: ' hi END tail' } }],
+      ['content_block_stop', { index: 0 }],
+      ['message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }],
+      ['message_stop', {}]
+    ]);
+  });
+  try {
+    const response = await fetch(`${proxy.baseUrl}/v1/completions`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: 'Bearer test-key' },
+      body: JSON.stringify({
+        model: ANTHROPIC_MODEL,
+        prompt: ['one', 'two'],
+        stop: [' END'],
+        stream: true,
+        stream_options: { include_usage: true }
+      })
+    });
+    let body = '';
+    for await (const chunk of response.body) {
+      body += Buffer.from(chunk).toString();
+      if (body.includes('"index":1')) {
+        releaseOne();
+      }
+    }
+
+    const chunks = parseEvents(body);
+    const usageChunk = chunks.pop();
+    assert.equal(usageChunk.usage.prompt_tokens, 10);
+    assert.equal(usageChunk.usage.completion_tokens, 4);
+    const indexes = chunks.map(chunk => chunk.choices[0].index);
+    assert.ok(indexes.indexOf(1) < indexes.lastIndexOf(0));
+    for (const [index, prompt] of ['one', 'two'].entries()) {
+      const choiceChunks = chunks.filter(chunk => chunk.choices[0].index === index);
+      assert.equal(choiceChunks.map(chunk => chunk.choices[0].text).join(''), `${prompt} says hi`);
+      assert.equal(choiceChunks.at(-1).choices[0].finish_reason, 'stop');
+    }
+  } finally {
+    proxy.close();
+  }
+});
+
+test('a failed prompt fails the whole streaming request', async () => {
+  const proxy = await startProxy((req, res) => {
+    if (promptOf(req.body) === 'two') {
+      return res.status(429).json({ error: { message: 'slow down' } });
+    }
+    sendChatChunks(res, [{ choices: [{ index: 0, delta: { content: 'hi' }, finish_reason: 'stop' }] }]);
+  });
+  try {
+    const { status, body } = await post(proxy.baseUrl, '/v1/completions', {
+      model: COMMON_MODEL,
+      prompt: ['one', 'two'],
+      stream: true
+    });
+
+    assert.equal(status, 429);
+    assert.match(body, /slow down/);
+  } finally {
+    proxy.close();
+  }
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countChatTokens } from '../token-counter.js';
+import { startProxy, post } from './helpers.js';
+
+const ANTHROPIC_MODEL = 'claude-sonnet-4-5-20250929';
+const COMMON_MODEL = 'glm-4.6';
+
+// Smallest PNG header readImageSize understands: signature, IHDR length and type, width, height
+function pngDataUrl(width, height) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32BE(0x89504e47, 0);
+  header.writeUInt32BE(0x0d0a1a0a, 4);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'ascii');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return `data:image/png;base64,${header.toString('base64')}`;
+}
+
+test('messages are counted with the o200k_base vocabulary and chat framing', async () => {
+  // 3 per message + "user" + "hello world" + 3 reply priming
+  assert.equal(await countChatTokens({ messages: [{ role: 'user', content: 'hello world' }] }), 9);
+});
+
+test('images are counted from their size with the formula of the model type', async () => {
+  const image = { role: 'user', content: [{ type: 'image_url', image_url: { url: pngDataUrl(512, 512) } }] };
+  const base = await countChatTokens({ messages: [{ role: 'user', content: [] }] });
+
+  assert.equal(await countChatTokens({ messages: [image] }, 'openai') - base, 255);
+  assert.equal(await countChatTokens({ messages: [image] }, 'anthropic') - base, 350);
+  const lowDetail = { role: 'user', content: [{ type: 'image_url', image_url: { url: 'https://example.com/a.png', detail: 'low' } }] };
+  assert.equal(await countChatTokens({ messages: [lowDetail] }, 'openai') - base, 85);
+});
+
+test('anthropic models add the hidden tool prompt', async () => {
+  const request = {
+    messages: [{ role: 'user', content: 'hi' }],
+    tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }]
+  };
+
+  const openai = await countChatTokens(request, 'openai');
+  assert.equal(await countChatTokens(request, 'anthropic'), openai + 346);
+  assert.equal(await countChatTokens({ ...request, tool_choice: 'required' }, 'anthropic'), openai + 313);
+});
+
+test('count_tokens counts non-anthropic models locally', async () => {
+  const proxy = await startProxy((req, res) => res.status(500).end());
+  try {
+    const chat = await post(proxy.baseUrl, '/v1/chat/completions/count_tokens', {
+      model: COMMON_MODEL,
+      messages: [{ role: 'user', content: 'hello world' }]
+    });
+    const messages = await post(proxy.baseUrl, '/v1/messages/count_tokens', {
+      model: COMMON_MODEL,
+      messages: [{ role: 'user', content: 'hello world' }]
+    });
+
+    assert.equal(chat.status, 200);
+    assert.equal(chat.body.model, COMMON_MODEL);
+    assert.ok(chat.body.input_tokens >= 9);
+    assert.equal(messages.body.input_tokens, chat.body.input_tokens);
+    assert.equal(proxy.requests.length, 0);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('count_tokens asks the upstream for anthropic models and falls back to a local count', async () => {
+  let fail = false;
+  const proxy = await startProxy((req, res) => (fail ? res.status(500).end() : res.json({ input_tokens: 42 })));
+  try {
+    const request = { model: ANTHROPIC_MODEL, messages: [{ role: 'user', content: 'hello world' }] };
+    const upstream = await post(proxy.baseUrl, '/v1/messages/count_tokens', request);
+    assert.deepEqual(upstream.body, { input_tokens: 42 });
+    assert.match(proxy.requests[0].path, /count_tokens$/);
+
+    fail = true;
+    const local = await post(proxy.baseUrl, '/v1/messages/count_tokens', request);
+    assert.equal(local.status, 200);
+    assert.ok(local.body.input_tokens >= 9);
+    assert.notEqual(local.body.input_tokens, 42);
+  } finally {
+    proxy.close();
+  }
+});
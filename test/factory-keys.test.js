@@ -0,0 +1,60 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getConfig } from '../config.js';
+import { reloadFactoryKeys, createKeyAttempt, getKeyPoolStatus } from '../auth.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'droid2api-keys-'));
+const keysFile = path.join(tmpDir, 'keys.json');
+const previousKeysFile = getConfig().keys_file;
+const previousEnvKeys = process.env.FACTORY_API_KEYS;
+
+after(() => {
+  getConfig().keys_file = previousKeysFile;
+  if (previousEnvKeys === undefined) {
+    delete process.env.FACTORY_API_KEYS;
+  } else {
+    process.env.FACTORY_API_KEYS = previousEnvKeys;
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function statusByLabel() {
+  return Object.fromEntries((getKeyPoolStatus() || []).map(status => [status.label, status.status]));
+}
+
+test('keys from FACTORY_API_KEYS and keys_file are reloaded without losing key health', () => {
+  process.env.FACTORY_API_KEYS = 'env-key-1,\nenv-key-2';
+  getConfig().keys_file = keysFile;
+  fs.writeFileSync(keysFile, JSON.stringify([{ key: 'file-key-1', label: 'file' }]));
+
+  assert.equal(reloadFactoryKeys(), true);
+  assert.equal(getKeyPoolStatus().length, 3);
+  assert.equal(statusByLabel().file, 'healthy');
+
+  const attempt = createKeyAttempt();
+  for (let entry = attempt.next(); entry; entry = attempt.next()) {
+    if (entry.label === 'file') {
+      attempt.reportFailure(429, null);
+      break;
+    }
+  }
+
+  fs.writeFileSync(keysFile, JSON.stringify([{ key: 'file-key-1', label: 'file' }, { key: 'file-key-2', label: 'new' }]));
+  assert.equal(reloadFactoryKeys(), true);
+  assert.equal(statusByLabel().file, 'rate_limited');
+  assert.equal(statusByLabel().new, 'healthy');
+});
+
+test('an unreadable keys file keeps the current keys', () => {
+  getConfig().keys_file = keysFile;
+  fs.writeFileSync(keysFile, '["file-key-1"]');
+  reloadFactoryKeys();
+  const before = getKeyPoolStatus();
+
+  fs.writeFileSync(keysFile, '{"keys": ');
+  assert.equal(reloadFactoryKeys(), false);
+  assert.deepEqual(getKeyPoolStatus().map(status => status.preview), before.map(status => status.preview));
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startProxy, post, sendChatChunks } from './helpers.js';
+
+const ANTHROPIC_MODEL = 'claude-sonnet-4-5-20250929';
+const COMMON_MODEL = 'glm-4.6';
+
+const GEMINI_REQUEST = {
+  systemInstruction: { parts: [{ text: 'be brief' }] },
+  contents: [
+    { role: 'user', parts: [{ text: 'look' }, { inlineData: { mimeType: 'image/png', data: 'AAAA' } }] },
+    { role: 'model', parts: [{ functionCall: { name: 'lookup', args: {} } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'lookup', response: { found: true } } }] }
+  ],
+  tools: [{ functionDeclarations: [{ name: 'lookup', parameters: { type: 'OBJECT', properties: { q: { type: 'STRING' } } } }] }],
+  toolConfig: { functionCallingConfig: { mode: 'ANY' } },
+  generationConfig: { maxOutputTokens: 50, temperature: 0.3, stopSequences: ['X'] }
+};
+
+const CHAT_CHUNKS = [
+  { choices: [{ index: 0, delta: { content: 'Yo' } }] },
+  { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'lookup', arguments: '{"q"' } }] } }] },
+  { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: ':"x"}' } }] } }] },
+  { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+  { choices: [], usage: { prompt_tokens: 7, completion_tokens: 2 } }
+];
+
+test('generateContent is sent as an Anthropic request and answered as Gemini candidates', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'msg_1',
+    content: [
+      { type: 'thinking', thinking: 'hmm', signature: 'sig' },
+      { type: 'text', text: 'hello' },
+      { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'x' } }
+    ],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 3, output_tokens: 2 }
+  }));
+  try {
+    const { status, body } = await post(proxy.baseUrl, `/v1beta/models/${ANTHROPIC_MODEL}:generateContent`, GEMINI_REQUEST);
+
+    const sent = proxy.requests[0].body;
+    assert.equal(sent.system.at(-1).text, 'be brief');
+    assert.deepEqual(sent.messages[0].content[1], { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } });
+    assert.equal(sent.messages[2].content[0].tool_use_id, sent.messages[1].content[0].id);
+    assert.deepEqual(sent.tools, [{ name: 'lookup', input_schema: { type: 'object', properties: { q: { type: 'string' } } } }]);
+    assert.deepEqual(sent.tool_choice, { type: 'any' });
+    assert.equal(sent.max_tokens, 50);
+    assert.deepEqual(sent.stop_sequences, ['X']);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.candidates[0].content.parts, [
+      { text: 'hmm', thought: true },
+      { text: 'hello' },
+      { functionCall: { id: 'toolu_1', name: 'lookup', args: { q: 'x' } } }
+    ]);
+    assert.equal(body.candidates[0].finishReason, 'STOP');
+    assert.deepEqual(body.usageMetadata, { promptTokenCount: 3, candidatesTokenCount: 2, totalTokenCount: 5 });
+  } finally {
+    proxy.close();
+  }
+});
+
+test('streamGenerateContent answers with SSE or a JSON array', async () => {
+  const proxy = await startProxy((req, res) => sendChatChunks(res, CHAT_CHUNKS));
+  try {
+    const sse = await post(proxy.baseUrl, `/v1beta/models/${COMMON_MODEL}:streamGenerateContent?alt=sse`, GEMINI_REQUEST);
+    const events = sse.body.split('\n').filter(line => line.startsWith('data: ')).map(line => JSON.parse(line.slice(6)));
+    const array = await post(proxy.baseUrl, `/v1beta/models/${COMMON_MODEL}:streamGenerateContent`, GEMINI_REQUEST);
+
+    for (const responses of [events, array.body]) {
+      assert.deepEqual(responses.flatMap(response => response.candidates[0].content.parts), [
+        { text: 'Yo' },
+        { functionCall: { id: 'call_1', name: 'lookup', args: { q: 'x' } } }
+      ]);
+      assert.equal(responses.at(-1).candidates[0].finishReason, 'STOP');
+      assert.equal(responses.at(-1).usageMetadata.totalTokenCount, 9);
+    }
+    assert.equal(proxy.requests[0].body.tool_choice, 'required');
+  } finally {
+    proxy.close();
+  }
+});
+
+test('countTokens uses the upstream count for anthropic models', async () => {
+  const proxy = await startProxy((req, res) => res.json({ input_tokens: 42 }));
+  try {
+    const { body } = await post(proxy.baseUrl, `/v1beta/models/${ANTHROPIC_MODEL}:countTokens`, { generateContentRequest: GEMINI_REQUEST });
+
+    assert.deepEqual(body, { totalTokens: 42 });
+    assert.match(proxy.requests[0].path, /count_tokens$/);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('errors are answered in Google API error format', async () => {
+  const proxy = await startProxy((req, res) => res.status(429).json({ error: { message: 'slow down' } }));
+  try {
+    const upstream = await post(proxy.baseUrl, `/v1beta/models/${COMMON_MODEL}:generateContent`, GEMINI_REQUEST);
+    assert.equal(upstream.status, 429);
+    assert.deepEqual(upstream.body, { error: { code: 429, message: 'slow down', status: 'RESOURCE_EXHAUSTED' } });
+
+    const method = await post(proxy.baseUrl, `/v1beta/models/${COMMON_MODEL}:embedContent`, GEMINI_REQUEST);
+    assert.equal(method.status, 404);
+    assert.equal(method.body.error.status, 'NOT_FOUND');
+
+    const model = await post(proxy.baseUrl, '/v1beta/models/unknown-model:generateContent', GEMINI_REQUEST);
+    assert.equal(model.status, 404);
+    assert.equal(model.body.error.code, 404);
+  } finally {
+    proxy.close();
+  }
+});
@@ -0,0 +1,98 @@
+import express from 'express';
+import { getConfig } from '../config.js';
+import router from '../routes.js';
+
+/**
+ * Serve the API routes against a fake upstream. Every configured endpoint is pointed at the
+ * upstream handler, which sees the translated request (req.path, req.body) and answers it.
+ * @param {function(express.Request, express.Response)} upstream
+ * @returns {Promise<{baseUrl: string, requests: Array<{path: string, body: object}>, close: function}>}
+ */
+export async function startProxy(upstream) {
+  const requests = [];
+  const upstreamApp = express();
+  upstreamApp.use(express.json({ limit: '50mb' }));
+  upstreamApp.post('*', (req, res) => {
+    requests.push({ path: req.path, body: req.body });
+    upstream(req, res);
+  });
+  const upstreamServer = await listen(upstreamApp);
+
+  const endpoints = getConfig().endpoint;
+  const originalUrls = endpoints.map(endpoint => endpoint.base_url);
+  for (const endpoint of endpoints) {
+    endpoint.base_url = `http://127.0.0.1:${upstreamServer.address().port}${new URL(endpoint.base_url).pathname}`;
+  }
+
+  const app = express();
+  app.use(express.json({ limit: '50mb' }));
+  app.use(router);
+  const server = await listen(app);
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      endpoints.forEach((endpoint, index) => { endpoint.base_url = originalUrls[index]; });
+      server.close();
+      upstreamServer.close();
+    }
+  };
+}
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * POST a JSON body with a client Authorization header
+ * @returns {Promise<{status: number, body: object|string}>} body is parsed unless the response is a stream
+ */
+export async function post(baseUrl, path, body, headers = {}) {
+  const response = await fetch(baseUrl + path, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer test-key', ...headers },
+    body: JSON.stringify(body)
+  });
+  const isJson = (response.headers.get('content-type') || '').includes('application/json') && body.stream !== true;
+  return { status: response.status, body: isJson ? await response.json() : await response.text() };
+}
+
+/**
+ * Answer with Anthropic or Responses API style SSE events: [[eventType, data], ...]
+ * With end false the response stays open for more events.
+ */
+export function sendEvents(res, events, end = true) {
+  if (!res.headersSent) {
+    res.setHeader('Content-Type', 'text/event-stream');
+  }
+  for (const [event, data] of events) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+  }
+  if (end) {
+    res.end();
+  }
+}
+
+/**
+ * Answer with a chat completions SSE stream
+ */
+export function sendChatChunks(res, chunks) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  for (const chunk of chunks) {
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+/**
+ * JSON payloads of the data: lines of an SSE body ([DONE] excluded)
+ */
+export function parseEvents(text) {
+  return text.split('\n')
+    .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+    .map(line => JSON.parse(line.slice(6)));
+}
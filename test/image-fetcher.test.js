@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import express from 'express';
+import { fetchImageAsDataUrl, isBlockedAddress } from '../image-fetcher.js';
+
+const INLINE_CONFIG = {
+  enabled: true,
+  max_bytes: 16,
+  timeout_ms: 5000,
+  allow_private_hosts: false,
+  allowed_mime_types: ['image/png']
+};
+
+async function startImageServer() {
+  const app = express();
+  app.get('/a.png', (req, res) => res.type('image/png').send(Buffer.from('png')));
+  app.get('/a.txt', (req, res) => res.type('text/plain').send('text'));
+  app.get('/big.png', (req, res) => res.type('image/png').send(Buffer.alloc(64)));
+  app.get('/redirect', (req, res) => res.redirect('/a.png'));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { baseUrl: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+test('internal, benchmarking and NAT64 addresses are blocked', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '198.19.0.1', '::1', '::ffff:192.168.0.1', '64:ff9b::a00:1', 'fd00::1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '2606:2800:220:1::1']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('images are inlined as data URLs within the size and MIME limits', async () => {
+  const server = await startImageServer();
+  const config = { ...INLINE_CONFIG, allow_private_hosts: true };
+  try {
+    assert.equal(await fetchImageAsDataUrl(`${server.baseUrl}/a.png`, config), `data:image/png;base64,${Buffer.from('png').toString('base64')}`);
+    assert.equal(await fetchImageAsDataUrl(`${server.baseUrl}/redirect`, config), `data:image/png;base64,${Buffer.from('png').toString('base64')}`);
+    await assert.rejects(fetchImageAsDataUrl(`${server.baseUrl}/a.txt`, config), /MIME type not allowed/);
+    await assert.rejects(fetchImageAsDataUrl(`${server.baseUrl}/big.png`, config), /too large/);
+  } finally {
+    server.close();
+  }
+});
+
+test('internal hosts are rejected, including through DNS rebinding', async () => {
+  const server = await startImageServer();
+  const { lookup } = dns;
+  const promisesLookup = dns.promises.lookup;
+  try {
+    await assert.rejects(fetchImageAsDataUrl(`${server.baseUrl}/a.png`, INLINE_CONFIG), /internal address 127\.0\.0\.1/);
+    await assert.rejects(fetchImageAsDataUrl('file:///etc/passwd', INLINE_CONFIG), /protocol not allowed/);
+
+    // The pre-check sees a public address, the connection would go to loopback
+    dns.promises.lookup = async () => [{ address: '93.184.216.34', family: 4 }];
+    dns.lookup = (hostname, options, callback) => callback(null, options.all ? [{ address: '127.0.0.1', family: 4 }] : '127.0.0.1', 4);
+    await assert.rejects(fetchImageAsDataUrl(`http://rebind.example:${new URL(server.baseUrl).port}/a.png`, INLINE_CONFIG),
+      /internal address 127\.0\.0\.1/);
+  } finally {
+    dns.lookup = lookup;
+    dns.promises.lookup = promisesLookup;
+    server.close();
+  }
+});
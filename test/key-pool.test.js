@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfig } from '../config.js';
+import { FactoryKeyPool, parseKeysFile, parseRetryAfter } from '../key-pool.js';
+
+function createPool(definitions, strategy = 'priority') {
+  getConfig().key_pool = { ...getConfig().key_pool, strategy };
+  return new FactoryKeyPool(definitions);
+}
+
+function labels(entries) {
+  return entries.map(entry => entry?.label ?? null);
+}
+
+test('a request fails over to the next key and never retries a key', () => {
+  const pool = createPool([{ key: 'k1', label: 'a' }, { key: 'k2', label: 'b' }]);
+  const attempt = pool.createAttempt();
+
+  const first = attempt.next();
+  attempt.reportFailure(429, null);
+  const second = attempt.next();
+  attempt.reportFailure(429, null);
+
+  assert.deepEqual(labels([first, second, attempt.next()]), ['a', 'b', null]);
+  assert.equal(first.status, 'rate_limited');
+});
+
+test('keys in cooldown are skipped by later requests', () => {
+  const pool = createPool([{ key: 'k1', label: 'a' }, { key: 'k2', label: 'b' }]);
+  const attempt = pool.createAttempt();
+  attempt.next();
+  attempt.reportFailure(402, null);
+
+  assert.equal(pool.createAttempt().next().label, 'b');
+  assert.equal(pool.findById(pool.entries[0].id).status, 'quota_exhausted');
+});
+
+test('when every key is cooling down the one that recovers first is probed', () => {
+  const pool = createPool([{ key: 'k1', label: 'a' }, { key: 'k2', label: 'b' }]);
+  const [a, b] = pool.entries;
+  pool.reportFailure(a, 401, null);
+  pool.reportFailure(b, 429, '5');
+
+  assert.equal(pool.createAttempt().next().label, 'b');
+  assert.ok(b.until - Date.now() <= 5000);
+});
+
+test('a success after cooldown makes the key healthy again', () => {
+  const pool = createPool([{ key: 'k1', label: 'a' }]);
+  const [a] = pool.entries;
+  pool.reportFailure(a, 429, null);
+  pool.reportSuccess(a);
+
+  assert.equal(a.status, 'healthy');
+  assert.equal(a.until, 0);
+});
+
+test('disabled keys are never selected', () => {
+  const pool = createPool([{ key: 'k1', label: 'a', disabled: true }, { key: 'k2', label: 'b' }]);
+  const attempt = pool.createAttempt();
+
+  assert.deepEqual(labels([attempt.next(), attempt.next()]), ['b', null]);
+});
+
+test('priority prefers the highest weight, round_robin spreads by weight', () => {
+  const definitions = [{ key: 'k1', label: 'a' }, { key: 'k2', label: 'b', weight: 2 }];
+  assert.equal(createPool(definitions).createAttempt().next().label, 'b');
+
+  const pool = createPool(definitions, 'round_robin');
+  const picks = Array.from({ length: 6 }, () => pool.createAttempt().next().label);
+  assert.equal(picks.filter(label => label === 'b').length, 4);
+  getConfig().key_pool.strategy = 'priority';
+});
+
+test('Retry-After values are parsed', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('setKeys keeps the health of keys that stay', () => {
+  const pool = createPool([{ key: 'k1', label: 'a' }, { key: 'k2', label: 'b' }]);
+  pool.reportFailure(pool.entries[0], 429, null);
+
+  assert.deepEqual(pool.setKeys([{ key: 'k1', label: 'a' }, { key: 'k3', label: 'c' }]), { added: 1, removed: 1 });
+  assert.equal(pool.entries[0].status, 'rate_limited');
+});
+
+test('keys files are parsed as key lists or JSON', () => {
+  assert.deepEqual(parseKeysFile('# comment\nk1, k2\nk3'), [{ key: 'k1' }, { key: 'k2' }, { key: 'k3' }]);
+  assert.deepEqual(parseKeysFile('{"keys": ["k1", {"key": " k2 ", "weight": 3, "disabled": true}]}').map(item => [item.key, item.weight, item.disabled]), [
+    ['k1', undefined, false],
+    ['k2', 3, true]
+  ]);
+  assert.throws(() => parseKeysFile('{"key": "k1"}'), /"keys" array/);
+});
@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapChatUsage } from '../transformers/response-to-anthropic.js';
+import { startProxy, post, sendChatChunks, parseEvents } from './helpers.js';
+
+const OPENAI_MODEL = 'gpt-5-2025-08-07';
+const COMMON_MODEL = 'glm-4.6';
+
+const TOOL_TURN = [
+  { role: 'user', content: 'take a screenshot' },
+  { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'screenshot', input: {} }] },
+  {
+    role: 'user',
+    content: [{
+      type: 'tool_result',
+      tool_use_id: 'call_1',
+      content: [
+        { type: 'text', text: 'here' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }
+      ]
+    }]
+  }
+];
+
+test('chat usage is mapped back to Anthropic usage', () => {
+  assert.deepEqual(mapChatUsage({
+    prompt_tokens: 60,
+    completion_tokens: 5,
+    prompt_tokens_details: { cached_tokens: 20, cache_write_tokens: 30 }
+  }), {
+    input_tokens: 10,
+    output_tokens: 5,
+    cache_read_input_tokens: 20,
+    cache_creation_input_tokens: 30
+  });
+});
+
+test('messages for common models are sent as chat completions and answered as Anthropic messages', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'chatcmpl-1',
+    choices: [{
+      message: {
+        role: 'assistant',
+        content: 'done',
+        reasoning_content: 'hmm',
+        reasoning_details: [{ type: 'reasoning.text', text: 'hmm', signature: 'sig' }],
+        tool_calls: [{ id: 'call_2', type: 'function', function: { name: 'screenshot', arguments: '{"full":true}' } }]
+      },
+      finish_reason: 'tool_calls'
+    }],
+    usage: { prompt_tokens: 12, completion_tokens: 3 }
+  }));
+  try {
+    const { status, body } = await post(proxy.baseUrl, '/v1/messages', {
+      model: COMMON_MODEL,
+      max_tokens: 100,
+      system: 'be brief',
+      messages: TOOL_TURN
+    });
+
+    const sent = proxy.requests[0].body;
+    assert.deepEqual(sent.messages.find(message => message.role === 'tool'), {
+      role: 'tool',
+      tool_call_id: 'call_1',
+      content: [
+        { type: 'text', text: 'here' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+      ]
+    });
+    assert.ok(sent.messages.some(message => message.role === 'system' && message.content.includes('be brief')));
+
+    assert.equal(status, 200);
+    assert.equal(body.type, 'message');
+    assert.equal(body.id, 'msg_1');
+    assert.equal(body.stop_reason, 'tool_use');
+    assert.deepEqual(body.content, [
+      { type: 'thinking', thinking: 'hmm', signature: 'sig' },
+      { type: 'text', text: 'done' },
+      { type: 'tool_use', id: 'call_2', name: 'screenshot', input: { full: true } }
+    ]);
+    assert.deepEqual(body.usage, { input_tokens: 12, output_tokens: 3, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 });
+  } finally {
+    proxy.close();
+  }
+});
+
+test('tool_result images reach the Responses API as input_image items', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'resp_1',
+    status: 'completed',
+    output: [{ type: 'message', content: [{ type: 'output_text', text: 'a cat' }] }],
+    usage: { input_tokens: 5, output_tokens: 2 }
+  }));
+  try {
+    const { body } = await post(proxy.baseUrl, '/v1/messages', { model: OPENAI_MODEL, max_tokens: 100, messages: TOOL_TURN });
+
+    const output = proxy.requests[0].body.input.find(item => item.type === 'function_call_output');
+    assert.equal(output.call_id, 'fc_1');
+    assert.deepEqual(output.output, [
+      { type: 'input_text', text: 'here' },
+      { type: 'input_image', image_url: 'data:image/png;base64,AAAA' }
+    ]);
+    assert.deepEqual(body.content, [{ type: 'text', text: 'a cat' }]);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('streamed chat completions become Anthropic events', async () => {
+  const proxy = await startProxy((req, res) => sendChatChunks(res, [
+    { choices: [{ index: 0, delta: { role: 'assistant' } }], usage: { prompt_tokens: 7, completion_tokens: 0 } },
+    { choices: [{ index: 0, delta: { reasoning_content: 'hmm' } }] },
+    { choices: [{ index: 0, delta: { reasoning_signature: 'sig' } }] },
+    { choices: [{ index: 0, delta: { content: 'calling' } }] },
+    { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'lookup', arguments: '{"q":' } }] } }] },
+    { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '1}' } }] } }] },
+    { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+    { choices: [], usage: { prompt_tokens: 7, completion_tokens: 4 } }
+  ]));
+  try {
+    const { body } = await post(proxy.baseUrl, '/v1/messages', {
+      model: COMMON_MODEL,
+      max_tokens: 100,
+      stream: true,
+      messages: [{ role: 'user', content: 'hi' }]
+    });
+
+    assert.deepEqual(proxy.requests[0].body.stream_options, { include_usage: true });
+    const events = parseEvents(body);
+    assert.equal(events[0].type, 'message_start');
+    assert.equal(events[0].message.usage.input_tokens, 7);
+    assert.deepEqual(events.filter(event => event.type === 'content_block_start').map(event => event.content_block.type),
+      ['thinking', 'text', 'tool_use']);
+    assert.deepEqual(events.filter(event => event.type === 'content_block_delta').map(event => event.delta), [
+      { type: 'thinking_delta', thinking: 'hmm' },
+      { type: 'signature_delta', signature: 'sig' },
+      { type: 'text_delta', text: 'calling' },
+      { type: 'input_json_delta', partial_json: '{"q":' },
+      { type: 'input_json_delta', partial_json: '1}' }
+    ]);
+    const messageDelta = events.find(event => event.type === 'message_delta');
+    assert.equal(messageDelta.delta.stop_reason, 'tool_use');
+    assert.equal(messageDelta.usage.output_tokens, 4);
+    assert.equal(events.at(-1).type, 'message_stop');
+  } finally {
+    proxy.close();
+  }
+});
+
+test('upstream errors are answered in Anthropic error format', async () => {
+  const proxy = await startProxy((req, res) => res.status(400).json({ error: { message: 'bad thing', type: 'invalid_request_error' } }));
+  try {
+    const { status, body } = await post(proxy.baseUrl, '/v1/messages', {
+      model: COMMON_MODEL,
+      max_tokens: 100,
+      messages: [{ role: 'user', content: 'hi' }]
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, { type: 'error', error: { type: 'invalid_request_error', message: 'bad thing' } });
+  } finally {
+    proxy.close();
+  }
+});
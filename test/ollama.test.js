@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startProxy, post, sendEvents } from './helpers.js';
+
+const ANTHROPIC_MODEL = 'claude-sonnet-4-5-20250929';
+const COMMON_MODEL = 'glm-4.6';
+
+function parseLines(text) {
+  return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+test('/api/chat pairs tool results by name and answers in Ollama format', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'msg_1',
+    content: [
+      { type: 'thinking', thinking: 'hmm', signature: 'sig' },
+      { type: 'text', text: 'hello' },
+      { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'x' } }
+    ],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 3, output_tokens: 2 }
+  }));
+  try {
+    const { status, body } = await post(proxy.baseUrl, '/api/chat', {
+      model: `${ANTHROPIC_MODEL}:latest`,
+      stream: false,
+      options: { temperature: 0.1 },
+      tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }],
+      messages: [
+        { role: 'user', content: 'look', images: ['/9j/AAAA'] },
+        { role: 'assistant', content: '', tool_calls: [{ function: { name: 'lookup', arguments: { q: 'y' } } }] },
+        { role: 'tool', tool_name: 'lookup', content: 'found' }
+      ]
+    });
+
+    const sent = proxy.requests[0].body;
+    assert.equal(sent.model, ANTHROPIC_MODEL);
+    assert.equal(sent.temperature, 0.1);
+    assert.deepEqual(sent.messages[0].content[1], { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: '/9j/AAAA' } });
+    assert.deepEqual(sent.messages[1].content[0].input, { q: 'y' });
+    assert.equal(sent.messages[2].content[0].tool_use_id, sent.messages[1].content[0].id);
+
+    assert.equal(status, 200);
+    assert.equal(body.model, ANTHROPIC_MODEL);
+    assert.equal(body.done, true);
+    assert.deepEqual(body.message, {
+      role: 'assistant',
+      content: 'hello',
+      thinking: 'hmm',
+      tool_calls: [{ function: { name: 'lookup', arguments: { q: 'x' } } }]
+    });
+    assert.equal(body.prompt_eval_count, 3);
+    assert.equal(body.eval_count, 2);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('/api/chat streams NDJSON by default', async () => {
+  const proxy = await startProxy((req, res) => sendEvents(res, [
+    ['message_start', { message: { usage: { input_tokens: 5 } } }],
+    ['content_block_start', { index: 0, content_block: { type: 'text', text: '' } }],
+    ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'hi' } }],
+    ['content_block_stop', { index: 0 }],
+    ['message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }],
+    ['message_stop', {}]
+  ]));
+  try {
+    const response = await fetch(`${proxy.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: 'Bearer test-key' },
+      body: JSON.stringify({ model: ANTHROPIC_MODEL, messages: [{ role: 'user', content: 'hi' }] })
+    });
+
+    assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+    const lines = parseLines(await response.text());
+    assert.equal(lines.map(line => line.message.content).join(''), 'hi');
+    const last = lines.at(-1);
+    assert.equal(last.done, true);
+    assert.equal(last.done_reason, 'stop');
+    assert.equal(last.prompt_eval_count, 5);
+    assert.equal(last.eval_count, 2);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('/api/generate maps format and options to the chat request', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'chatcmpl-1',
+    choices: [{ message: { role: 'assistant', content: '{}' }, finish_reason: 'length' }],
+    usage: { prompt_tokens: 1, completion_tokens: 1 }
+  }));
+  try {
+    const { body } = await post(proxy.baseUrl, '/api/generate', {
+      model: COMMON_MODEL,
+      system: 'be brief',
+      prompt: 'answer',
+      format: 'json',
+      options: { num_predict: 77 },
+      stream: false
+    });
+
+    const sent = proxy.requests[0].body;
+    assert.deepEqual(sent.response_format, { type: 'json_object' });
+    assert.equal(sent.max_tokens, 77);
+    assert.equal(sent.messages.at(-1).content, 'answer');
+    assert.match(sent.messages[0].content, /be brief/);
+    assert.equal(body.response, '{}');
+    assert.equal(body.done_reason, 'length');
+  } finally {
+    proxy.close();
+  }
+});
+
+test('/api/tags and /api/show describe the configured models', async () => {
+  const proxy = await startProxy((req, res) => res.status(500).end());
+  try {
+    const tags = await (await fetch(`${proxy.baseUrl}/api/tags`)).json();
+    assert.ok(tags.models.some(model => model.name === `${COMMON_MODEL}:latest`));
+
+    const show = await post(proxy.baseUrl, '/api/show', { model: `${ANTHROPIC_MODEL}:latest` });
+    assert.equal(show.status, 200);
+    assert.equal(show.body.details.family, 'anthropic');
+    assert.ok(show.body.capabilities.includes('tools'));
+
+    const missing = await post(proxy.baseUrl, '/api/show', { model: 'unknown-model' });
+    assert.equal(missing.status, 404);
+  } finally {
+    proxy.close();
+  }
+});
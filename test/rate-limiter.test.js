@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfig } from '../config.js';
+import { checkScope, validateLimits, rateLimitMiddleware } from '../rate-limiter.js';
+
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 0);
+
+function createScope(overrides = {}) {
+  return { requests: [], tokens: [], active: 0, dailyTokens: 0, monthlyTokens: 0, ...overrides };
+}
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    closeHandlers: [],
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    once(event, handler) { this.closeHandlers.push(handler); }
+  };
+}
+
+function runMiddleware(path, body) {
+  const res = createResponse();
+  let passed = false;
+  rateLimitMiddleware({ method: 'POST', originalUrl: path, body }, res, () => { passed = true; });
+  return { res, passed };
+}
+
+test('unlimited or unset limits never reject', () => {
+  const scope = createScope({ requests: Array(1000).fill(NOW), active: 50, dailyTokens: 1e9 });
+  assert.equal(checkScope(scope, {}, NOW), null);
+  assert.equal(checkScope(scope, { requests_per_minute: null, daily_tokens: 0 }, NOW), null);
+});
+
+test('requests_per_minute waits for the oldest request in the window', () => {
+  const scope = createScope({ requests: [NOW - 50000, NOW - 10000] });
+  assert.equal(checkScope(scope, { requests_per_minute: 3 }, NOW), null);
+
+  const exceeded = checkScope(scope, { requests_per_minute: 2 }, NOW);
+  assert.equal(exceeded.limit, 'requests_per_minute');
+  assert.equal(exceeded.quota, false);
+  assert.equal(exceeded.retryAfterMs, 10000);
+});
+
+test('fan-out calls count against requests_per_minute and concurrent_requests', () => {
+  const scope = createScope({ requests: [NOW - 50000, NOW - 10000], active: 1 });
+  assert.equal(checkScope(scope, { requests_per_minute: 4 }, NOW, 2), null);
+  assert.equal(checkScope(scope, { requests_per_minute: 4 }, NOW, 3).retryAfterMs, 10000);
+  assert.equal(checkScope(scope, { concurrent_requests: 3 }, NOW, 2), null);
+  assert.equal(checkScope(scope, { concurrent_requests: 3 }, NOW, 3).limit, 'concurrent_requests');
+});
+
+test('token limits report how long until enough tokens leave the window', () => {
+  const scope = createScope({
+    tokens: [
+      { time: NOW - 40000, input: 100, output: 60 },
+      { time: NOW - 5000, input: 10, output: 50 }
+    ]
+  });
+  assert.equal(checkScope(scope, { output_tokens_per_minute: 200 }, NOW), null);
+
+  const exceeded = checkScope(scope, { output_tokens_per_minute: 100 }, NOW);
+  assert.equal(exceeded.limit, 'output_tokens_per_minute');
+  assert.equal(exceeded.retryAfterMs, 20000);
+  assert.equal(checkScope(scope, { input_tokens_per_minute: 110 }, NOW).limit, 'input_tokens_per_minute');
+});
+
+test('daily and monthly budgets are quota errors that reset at the next UTC day or month', () => {
+  const daily = checkScope(createScope({ dailyTokens: 500 }), { daily_tokens: 500 }, NOW);
+  assert.equal(daily.quota, true);
+  assert.equal(daily.retryAfterMs, 12 * 60 * 60 * 1000);
+
+  const monthly = checkScope(createScope({ monthlyTokens: 900 }), { monthly_tokens: 800 }, NOW);
+  assert.equal(monthly.limit, 'monthly_tokens');
+  assert.equal(NOW + monthly.retryAfterMs, Date.UTC(2026, 1, 1));
+});
+
+test('limits objects are validated', () => {
+  assert.equal(validateLimits({ requests_per_minute: 10, daily_tokens: null }), null);
+  assert.match(validateLimits({ foo: 1 }), /Unknown limit foo/);
+  assert.match(validateLimits({ daily_tokens: -1 }), /non-negative/);
+  assert.match(validateLimits([]), /must be an object/);
+});
+
+test('the middleware rejects a fan-out that does not fit before any upstream call', () => {
+  const previous = getConfig().rate_limits;
+  getConfig().rate_limits = { global: { concurrent_requests: 3 }, client_default: {}, usage_file: null };
+  try {
+    const rejected = runMiddleware('/v1/completions', { prompt: ['a', 'b'], n: 2 });
+    assert.equal(rejected.passed, false);
+    assert.equal(rejected.res.statusCode, 429);
+    assert.match(rejected.res.body.error.message, /4 upstream calls/);
+
+    const admitted = runMiddleware('/v1/chat/completions', { n: 3 });
+    assert.equal(admitted.passed, true);
+    assert.equal(runMiddleware('/v1/chat/completions', {}).res.statusCode, 429);
+
+    admitted.res.closeHandlers.forEach(handler => handler());
+    assert.equal(runMiddleware('/v1/messages/count_tokens', {}).passed, true);
+    assert.equal(runMiddleware('/v1/chat/completions', {}).passed, true);
+  } finally {
+    getConfig().rate_limits = previous;
+  }
+});
@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfig } from '../config.js';
+import { runWithClient } from '../request-context.js';
+import { saveResponse, getStoredResponse, deleteStoredResponse, expandPreviousResponse } from '../response-store.js';
+
+const alice = { id: 'alice', label: 'alice' };
+const bob = { id: 'bob', label: 'bob' };
+let previousConfig;
+
+before(() => {
+  previousConfig = getConfig().response_store;
+  getConfig().response_store = { enabled: true, ttl_seconds: 60, max_entries: 100, persist_path: null };
+});
+
+after(() => {
+  getConfig().response_store = previousConfig;
+});
+
+function message(role, text) {
+  return { role, content: text };
+}
+
+test('history is rebuilt from the previous_response_id chain', () => {
+  saveResponse({ input: 'one' }, { id: 'resp_chain_1', output: [message('assistant', 'A1')] });
+  saveResponse({ input: 'two', previous_response_id: 'resp_chain_1' }, { id: 'resp_chain_2', output: [message('assistant', 'A2')] });
+
+  const expanded = expandPreviousResponse({ input: 'three', previous_response_id: 'resp_chain_2' });
+  assert.equal(expanded.previous_response_id, undefined);
+  assert.deepEqual(expanded.input, [
+    message('user', 'one'),
+    message('assistant', 'A1'),
+    message('user', 'two'),
+    message('assistant', 'A2'),
+    message('user', 'three')
+  ]);
+});
+
+test('a chain with a deleted ancestor is rejected', () => {
+  saveResponse({ input: 'one' }, { id: 'resp_gap_1', output: [] });
+  saveResponse({ input: 'two', previous_response_id: 'resp_gap_1' }, { id: 'resp_gap_2', output: [] });
+  deleteStoredResponse('resp_gap_1');
+
+  assert.throws(() => expandPreviousResponse({ input: 'x', previous_response_id: 'resp_gap_2' }), /incomplete/);
+});
+
+test('responses with store: false are not saved', () => {
+  saveResponse({ input: 'x', store: false }, { id: 'resp_unstored', output: [] });
+  assert.equal(getStoredResponse('resp_unstored'), null);
+});
+
+test('stored responses are only visible to the client that created them', () => {
+  runWithClient(alice, () => saveResponse({ input: 'secret' }, { id: 'resp_alice', output: [] }));
+
+  assert.equal(runWithClient(alice, () => getStoredResponse('resp_alice')).id, 'resp_alice');
+  assert.equal(runWithClient(bob, () => getStoredResponse('resp_alice')), null);
+  assert.equal(getStoredResponse('resp_alice'), null);
+  assert.throws(
+    () => runWithClient(bob, () => expandPreviousResponse({ input: 'x', previous_response_id: 'resp_alice' })),
+    /not found/
+  );
+  assert.equal(runWithClient(bob, () => deleteStoredResponse('resp_alice')), false);
+  assert.equal(runWithClient(alice, () => deleteStoredResponse('resp_alice')), true);
+});
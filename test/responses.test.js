@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfig } from '../config.js';
+import { startProxy, post, sendChatChunks, parseEvents } from './helpers.js';
+
+const ANTHROPIC_MODEL = 'claude-sonnet-4-5-20250929';
+const OPENAI_MODEL = 'gpt-5.1';
+const COMMON_MODEL = 'glm-4.6';
+
+function encodeReasoning(details) {
+  return Buffer.from(JSON.stringify(details)).toString('base64');
+}
+
+test('responses for anthropic models are sent as Anthropic messages and answered as Responses API output', async () => {
+  const proxy = await startProxy((req, res) => res.json({
+    id: 'msg_1',
+    content: [
+      { type: 'thinking', thinking: 'hmm', signature: 'sig' },
+      { type: 'text', text: 'Hello' },
+      { type: 'tool_use', id: 'toolu_1', name: 'ls', input: { d: '.' } }
+    ],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 20, output_tokens: 5 }
+  }));
+  try {
+    const { status, body } = await post(proxy.baseUrl, '/v1/responses', {
+      model: ANTHROPIC_MODEL,
+      instructions: 'be brief',
+      tools: [{ type: 'function', name: 'ls', parameters: { type: 'object' } }],
+      input: [
+        { role: 'user', content: [{ type: 'input_text', text: 'list' }] },
+        { type: 'reasoning', summary: [], encrypted_content: encodeReasoning([{ type: 'reasoning.text', text: 'old', signature: 'old-sig' }]) },
+        { type: 'function_call', call_id: 'toolu_0', name: 'ls', arguments: '{}' },
+        { type: 'function_call_output', call_id: 'toolu_0', output: 'a.txt' }
+      ]
+    });
+
+    const sent = proxy.requests[0].body;
+    assert.equal(sent.system.at(-1).text, 'be brief');
+    assert.deepEqual(sent.tools, [{ name: 'ls', input_schema: { type: 'object' } }]);
+    assert.deepEqual(sent.messages.slice(1), [
+      {
+        role: 'assistant',
+        content: [
+          { type: 'thinking', thinking: 'old', signature: 'old-sig' },
+          { type: 'tool_use', id: 'toolu_0', name: 'ls', input: {} }
+        ]
+      },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_0', content: 'a.txt' }] }
+    ]);
+
+    assert.equal(status, 200);
+    assert.equal(body.object, 'response');
+    assert.equal(body.status, 'completed');
+    const [reasoning, message, functionCall] = body.output;
+    assert.deepEqual(reasoning.summary, [{ type: 'summary_text', text: 'hmm' }]);
+    assert.deepEqual(JSON.parse(Buffer.from(reasoning.encrypted_content, 'base64')), [{ type: 'reasoning.text', text: 'hmm', signature: 'sig' }]);
+    assert.deepEqual(message.content, [{ type: 'output_text', text: 'Hello', annotations: [] }]);
+    assert.equal(functionCall.type, 'function_call');
+    assert.equal(functionCall.call_id, 'toolu_1');
+    assert.equal(functionCall.arguments, '{"d":"."}');
+    assert.equal(body.usage.input_tokens, 20);
+    assert.equal(body.usage.output_tokens, 5);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('streamed chat completions become Responses API events', async () => {
+  const proxy = await startProxy((req, res) => sendChatChunks(res, [
+    { choices: [{ index: 0, delta: { role: 'assistant', content: 'Yo' } }] },
+    { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'ls', arguments: '{}' } }] } }] },
+    { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] },
+    { choices: [], usage: { prompt_tokens: 7, completion_tokens: 2 } }
+  ]));
+  try {
+    const { body } = await post(proxy.baseUrl, '/v1/responses', { model: COMMON_MODEL, input: 'hi', stream: true });
+
+    const events = parseEvents(body);
+    assert.deepEqual(events.map(event => event.sequence_number), events.map((_, index) => index));
+    assert.deepEqual(events.filter(event => event.type === 'response.output_item.done').map(event => event.item.type),
+      ['message', 'function_call']);
+    assert.equal(events.find(event => event.type === 'response.output_text.delta').delta, 'Yo');
+    const completed = events.at(-1);
+    assert.equal(completed.type, 'response.completed');
+    assert.equal(completed.response.output[1].call_id, 'call_1');
+    assert.equal(completed.response.usage.input_tokens, 7);
+    assert.equal(completed.response.usage.output_tokens, 2);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('previous_response_id is expanded from the local store by default', async () => {
+  let count = 0;
+  const proxy = await startProxy((req, res) => {
+    count++;
+    res.json({
+      id: `resp_default_${count}`,
+      object: 'response',
+      status: 'completed',
+      output: [{ type: 'message', id: `msg_${count}`, role: 'assistant', content: [{ type: 'output_text', text: `A${count}` }] }],
+      usage: { input_tokens: 1, output_tokens: 1 }
+    });
+  });
+  try {
+    const first = await post(proxy.baseUrl, '/v1/responses', { model: OPENAI_MODEL, input: 'one' });
+    const second = await post(proxy.baseUrl, '/v1/responses', { model: OPENAI_MODEL, input: 'two', previous_response_id: first.body.id });
+
+    assert.equal(second.status, 200);
+    const sent = proxy.requests[1].body;
+    assert.equal(sent.previous_response_id, undefined);
+    assert.equal(sent.store, false);
+    assert.deepEqual(sent.input, [
+      { role: 'user', content: 'one' },
+      { type: 'message', id: 'msg_1', role: 'assistant', content: [{ type: 'output_text', text: 'A1' }] },
+      { role: 'user', content: 'two' }
+    ]);
+
+    const unknown = await post(proxy.baseUrl, '/v1/responses', { model: OPENAI_MODEL, input: 'x', previous_response_id: 'resp_missing' });
+    assert.equal(unknown.status, 400);
+    assert.equal(proxy.requests.length, 2);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('previous_response_id is rejected for every model type while the store is disabled', async () => {
+  const proxy = await startProxy((req, res) => res.status(500).end());
+  const config = getConfig();
+  const previousConfig = config.response_store;
+  config.response_store = { ...previousConfig, enabled: false };
+  try {
+    for (const model of [OPENAI_MODEL, ANTHROPIC_MODEL, COMMON_MODEL]) {
+      const { status, body } = await post(proxy.baseUrl, '/v1/responses', { model, input: 'x', previous_response_id: 'resp_1' });
+      assert.equal(status, 400);
+      assert.match(body.message, /response_store/);
+    }
+    assert.equal(proxy.requests.length, 0);
+  } finally {
+    config.response_store = previousConfig;
+    proxy.close();
+  }
+});
@@ -0,0 +1,326 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { getConfig } from '../config.js';
+import { transformToAnthropic, applyTokenPolicy, STRUCTURED_OUTPUT_TOOL_NAME } from '../transformers/request-anthropic.js';
+import { transformToOpenAI } from '../transformers/request-openai.js';
+import { transformToCommon } from '../transformers/request-common.js';
+import { mapAnthropicUsage, AnthropicResponseTransformer } from '../transformers/response-anthropic.js';
+import { OpenAIResponseTransformer } from '../transformers/response-openai.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+const OPENAI_MODEL = 'gpt-5-2025-08-07';
+const COMMON_MODEL = 'glm-4.6';
+const TOOLS = [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }];
+const HI = [{ role: 'user', content: 'hi' }];
+
+function toolCall(id, name = 'lookup') {
+  return { id, type: 'function', function: { name, arguments: '{}' } };
+}
+
+function sse(events) {
+  return Readable.from(events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+}
+
+// Run fn with an extra model entry in config.json
+function withModel(model, fn) {
+  const models = getConfig().models;
+  models.push(model);
+  try {
+    return fn();
+  } finally {
+    models.splice(models.indexOf(model), 1);
+  }
+}
+
+async function collectChunks(stream) {
+  let text = '';
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text.split('\n\n')
+    .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+    .map(line => JSON.parse(line.slice(6)));
+}
+
+test('Anthropic cache usage is reported under prompt_tokens_details', () => {
+  const usage = mapAnthropicUsage({
+    input_tokens: 10,
+    output_tokens: 5,
+    cache_read_input_tokens: 20,
+    cache_creation_input_tokens: 30
+  });
+
+  assert.deepEqual(usage, {
+    prompt_tokens: 60,
+    completion_tokens: 5,
+    total_tokens: 65,
+    prompt_tokens_details: { cached_tokens: 20, cache_write_tokens: 30 }
+  });
+});
+
+test('tool ids are sanitized, unique per request and paired with their tool results', () => {
+  const request = transformToAnthropic({
+    model: MODEL,
+    messages: [
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: '', tool_calls: [toolCall('call.1'), toolCall('call_1'), toolCall(undefined), toolCall(null)] },
+      { role: 'tool', tool_call_id: 'call.1', content: 'a' },
+      { role: 'tool', tool_call_id: 'call_1', content: 'b' }
+    ]
+  });
+
+  const toolUseIds = request.messages[1].content.map(block => block.id);
+  assert.equal(new Set(toolUseIds).size, 4);
+  for (const id of toolUseIds) {
+    assert.match(id, /^[a-zA-Z0-9_-]+$/);
+  }
+  assert.deepEqual(request.messages[2].content.map(block => block.tool_use_id), toolUseIds.slice(0, 2));
+});
+
+test('image_url parts in tool results become image blocks', () => {
+  const request = transformToAnthropic({
+    model: MODEL,
+    messages: [
+      { role: 'assistant', content: '', tool_calls: [toolCall('call_1')] },
+      {
+        role: 'tool',
+        tool_call_id: 'call_1',
+        content: [
+          { type: 'text', text: 'screenshot' },
+          { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } },
+          { type: 'image_url', image_url: 'https://example.com/a.png' }
+        ]
+      }
+    ]
+  });
+
+  assert.deepEqual(request.messages[1].content[0].content, [
+    { type: 'text', text: 'screenshot' },
+    { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } },
+    { type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } }
+  ]);
+});
+
+test('tool_choice is translated for every upstream type', () => {
+  const named = { type: 'function', function: { name: 'lookup' } };
+
+  assert.deepEqual(transformToAnthropic({ model: MODEL, messages: HI, tools: TOOLS, tool_choice: 'required' }).tool_choice, { type: 'any' });
+  assert.deepEqual(
+    transformToAnthropic({ model: MODEL, messages: HI, tools: TOOLS, tool_choice: named, parallel_tool_calls: false }).tool_choice,
+    { type: 'tool', name: 'lookup', disable_parallel_tool_use: true }
+  );
+  assert.equal(transformToAnthropic({ model: MODEL, messages: HI, tool_choice: 'required' }).tool_choice, undefined);
+  assert.deepEqual(transformToOpenAI({ model: OPENAI_MODEL, messages: HI, tools: TOOLS, tool_choice: named }).tool_choice,
+    { type: 'function', name: 'lookup' });
+  assert.deepEqual(transformToCommon({ model: COMMON_MODEL, messages: HI, tools: TOOLS, function_call: { name: 'lookup' } }).tool_choice, named);
+  assert.equal(transformToCommon({ model: COMMON_MODEL, messages: HI, tool_choice: 'auto' }).tool_choice, undefined);
+});
+
+test('json_schema response_format forces the structured output tool even with tool_choice none', () => {
+  const request = transformToAnthropic({
+    model: MODEL,
+    messages: [{ role: 'user', content: 'hi' }],
+    tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }],
+    tool_choice: 'none',
+    response_format: { type: 'json_schema', json_schema: { name: 'answer', schema: { type: 'object' } } }
+  });
+
+  assert.deepEqual(request.tool_choice, { type: 'tool', name: STRUCTURED_OUTPUT_TOOL_NAME });
+  assert.deepEqual(request.tools.map(tool => tool.name), ['lookup', STRUCTURED_OUTPUT_TOOL_NAME]);
+});
+
+test('json_schema response_format becomes text.format on the Responses API', () => {
+  const request = transformToOpenAI({
+    model: OPENAI_MODEL,
+    messages: HI,
+    response_format: { type: 'json_schema', json_schema: { name: 'answer', schema: { type: 'object' }, strict: true } }
+  });
+
+  assert.deepEqual(request.text.format, { type: 'json_schema', name: 'answer', schema: { type: 'object' }, strict: true });
+});
+
+test('the structured output tool input is streamed as message content', async () => {
+  const transformer = new AnthropicResponseTransformer(MODEL, 'chatcmpl-test', { structuredOutputTool: STRUCTURED_OUTPUT_TOOL_NAME });
+  const chunks = await collectChunks(transformer.transformStream(sse([
+    ['message_start', { message: { usage: { input_tokens: 3 } } }],
+    ['content_block_start', { index: 0, content_block: { type: 'tool_use', id: 'toolu_1', name: STRUCTURED_OUTPUT_TOOL_NAME } }],
+    ['content_block_delta', { index: 0, delta: { type: 'input_json_delta', partial_json: '{"a":' } }],
+    ['content_block_delta', { index: 0, delta: { type: 'input_json_delta', partial_json: '1}' } }],
+    ['content_block_stop', { index: 0 }],
+    ['message_delta', { delta: { stop_reason: 'tool_use' } }],
+    ['message_stop', {}]
+  ])));
+
+  assert.equal(chunks.map(chunk => chunk.choices[0].delta.content || '').join(''), '{"a":1}');
+  assert.ok(chunks.every(chunk => !chunk.choices[0].delta.tool_calls));
+  assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+});
+
+test('data URL images become base64 sources and image_url objects are flattened for the Responses API', () => {
+  const messages = [{
+    role: 'user',
+    content: [
+      { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,/9j/AA==', detail: 'low' } },
+      { type: 'image_url', image_url: { url: 'https://example.com/a.png' } }
+    ]
+  }];
+
+  assert.deepEqual(transformToAnthropic({ model: MODEL, messages }).messages[0].content, [
+    { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: '/9j/AA==' } },
+    { type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } }
+  ]);
+  assert.deepEqual(transformToOpenAI({ model: OPENAI_MODEL, messages }).input[0].content, [
+    { type: 'input_image', image_url: 'data:image/jpeg;base64,/9j/AA==', detail: 'low' },
+    { type: 'input_image', image_url: 'https://example.com/a.png' }
+  ]);
+});
+
+test('Responses API reasoning summaries stream as reasoning_content or inline think tags', async () => {
+  const events = [
+    ['response.created', {}],
+    ['response.reasoning_summary_part.added', {}],
+    ['response.reasoning_summary_text.delta', { delta: 'first' }],
+    ['response.reasoning_summary_part.added', {}],
+    ['response.reasoning_summary_text.delta', { delta: 'second' }],
+    ['response.output_text.delta', { delta: 'answer' }],
+    ['response.completed', { response: { status: 'completed' } }]
+  ];
+
+  const reasoning = await collectChunks(new OpenAIResponseTransformer(OPENAI_MODEL).transformStream(sse(events)));
+  assert.equal(reasoning.map(chunk => chunk.choices[0].delta.reasoning_content || '').join(''), 'first\n\nsecond');
+  assert.equal(reasoning.map(chunk => chunk.choices[0].delta.content || '').join(''), 'answer');
+
+  const inline = await collectChunks(new OpenAIResponseTransformer(OPENAI_MODEL, null, { reasoningOutput: 'think_tags' })
+    .transformStream(sse(events)));
+  assert.equal(inline.map(chunk => chunk.choices[0].delta.content || '').join(''), '<think>\nfirst\n\nsecond\n</think>\n\nanswer');
+});
+
+test('Anthropic thinking streams as reasoning_content', async () => {
+  const transformer = new AnthropicResponseTransformer(MODEL, 'chatcmpl-test');
+  const chunks = await collectChunks(transformer.transformStream(sse([
+    ['message_start', { message: { usage: { input_tokens: 3 } } }],
+    ['content_block_start', { index: 0, content_block: { type: 'thinking', thinking: '' } }],
+    ['content_block_delta', { index: 0, delta: { type: 'thinking_delta', thinking: 'hmm' } }],
+    ['content_block_stop', { index: 0 }],
+    ['content_block_start', { index: 1, content_block: { type: 'text', text: '' } }],
+    ['content_block_delta', { index: 1, delta: { type: 'text_delta', text: 'hi' } }],
+    ['content_block_stop', { index: 1 }],
+    ['message_delta', { delta: { stop_reason: 'end_turn' } }],
+    ['message_stop', {}]
+  ])));
+
+  assert.equal(chunks.map(chunk => chunk.choices[0].delta.reasoning_content || '').join(''), 'hmm');
+  assert.equal(chunks.map(chunk => chunk.choices[0].delta.content || '').join(''), 'hi');
+});
+
+test('thinking signatures are streamed and rebuilt into leading thinking blocks', async () => {
+  const transformer = new AnthropicResponseTransformer(MODEL, 'chatcmpl-test');
+  const chunks = await collectChunks(transformer.transformStream(sse([
+    ['message_start', { message: { usage: { input_tokens: 3 } } }],
+    ['content_block_start', { index: 0, content_block: { type: 'thinking', thinking: '' } }],
+    ['content_block_delta', { index: 0, delta: { type: 'thinking_delta', thinking: 'hmm' } }],
+    ['content_block_delta', { index: 0, delta: { type: 'signature_delta', signature: 'sig' } }],
+    ['content_block_stop', { index: 0 }],
+    ['content_block_start', { index: 1, content_block: { type: 'redacted_thinking', data: 'opaque' } }],
+    ['content_block_stop', { index: 1 }],
+    ['message_delta', { delta: { stop_reason: 'end_turn' } }],
+    ['message_stop', {}]
+  ])));
+
+  const deltas = chunks.map(chunk => chunk.choices[0].delta);
+  assert.equal(deltas.find(delta => delta.reasoning_signature).reasoning_signature, 'sig');
+  const reasoningDetails = deltas.flatMap(delta => delta.reasoning_details || []);
+  assert.deepEqual(reasoningDetails, [
+    { type: 'reasoning.text', text: 'hmm', signature: 'sig' },
+    { type: 'reasoning.encrypted', data: 'opaque' }
+  ]);
+
+  const request = transformToAnthropic({
+    model: MODEL,
+    messages: [
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: 'answer', reasoning_details: reasoningDetails },
+      { role: 'assistant', content: 'again', reasoning_content: 'unsigned' }
+    ]
+  });
+  assert.deepEqual(request.messages[1].content, [
+    { type: 'thinking', thinking: 'hmm', signature: 'sig' },
+    { type: 'redacted_thinking', data: 'opaque' },
+    { type: 'text', text: 'answer' }
+  ]);
+  assert.deepEqual(request.messages[2].content, [{ type: 'text', text: 'again' }]);
+});
+
+test('with include_usage only the final usage chunk carries usage', async () => {
+  const transformer = new AnthropicResponseTransformer(MODEL, 'chatcmpl-test', { includeUsage: true });
+  const chunks = await collectChunks(transformer.transformStream(sse([
+    ['message_start', { type: 'message_start', message: { usage: { input_tokens: 3, output_tokens: 1 } } }],
+    ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'hi' } }],
+    ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+    ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }],
+    ['message_stop', { type: 'message_stop' }]
+  ])));
+
+  const usageChunk = chunks.pop();
+  assert.deepEqual(usageChunk.choices, []);
+  assert.equal(usageChunk.usage.completion_tokens, 2);
+  assert.ok(chunks.length > 0);
+  for (const chunk of chunks) {
+    assert.equal(chunk.usage, null);
+  }
+});
+
+test('with streamToolArguments tool calls open on output_item.added and stream their arguments', async () => {
+  const transformer = new OpenAIResponseTransformer(OPENAI_MODEL, null, { streamToolArguments: true });
+  const chunks = await collectChunks(transformer.transformStream(sse([
+    ['response.created', {}],
+    ['response.output_item.added', { output_index: 0, item: { type: 'function_call', id: 'fc_1', call_id: 'call_1', name: 'lookup' } }],
+    ['response.function_call_arguments.delta', { item_id: 'fc_1', delta: '{"q":' }],
+    ['response.function_call_arguments.delta', { item_id: 'fc_1', delta: '"x"' }],
+    ['response.output_item.done', { output_index: 0, item: { type: 'function_call', id: 'fc_1', call_id: 'call_1', name: 'lookup', arguments: '{"q":"x"}' } }],
+    ['response.completed', { response: { status: 'completed' } }]
+  ])));
+
+  const toolCalls = chunks.flatMap(chunk => chunk.choices[0].delta.tool_calls || []);
+  assert.deepEqual(toolCalls[0], { index: 0, id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '' } });
+  assert.equal(toolCalls.slice(1).map(call => call.function.arguments).join(''), '{"q":"x"}');
+  assert.equal(chunks.at(-1).choices[0].finish_reason, 'tool_calls');
+});
+
+test('max_tokens is raised above the thinking budget and capped at the model limit', () => {
+  withModel({ id: 'policy-test', type: 'anthropic', token_policy: { max_output_tokens: 8192, default_max_tokens: 2048 } }, () => {
+    const above = applyTokenPolicy({ max_tokens: 1000, thinking: { type: 'enabled', budget_tokens: 4096 } }, 'policy-test');
+    assert.equal(above.max_tokens, 5096);
+    assert.equal(above.thinking.budget_tokens, 4096);
+
+    const capped = applyTokenPolicy({ max_tokens: 1000, thinking: { type: 'enabled', budget_tokens: 9000 } }, 'policy-test');
+    assert.equal(capped.max_tokens, 8192);
+    assert.equal(capped.thinking.budget_tokens, 6144);
+
+    assert.equal(applyTokenPolicy({}, 'policy-test').max_tokens, 2048);
+    assert.equal(applyTokenPolicy({ max_tokens: 100000 }, 'policy-test').max_tokens, 8192);
+
+    const minimum = applyTokenPolicy({ max_tokens: 100, thinking: { type: 'enabled', budget_tokens: 900 } }, 'policy-test');
+    assert.deepEqual([minimum.max_tokens, minimum.thinking.budget_tokens], [1124, 1024]);
+  });
+});
+
+test('reasoning effort is translated to configured budgets and back', () => {
+  const model = {
+    id: 'effort-test',
+    type: 'anthropic',
+    reasoning: 'auto',
+    reasoning_summary: 'detailed',
+    token_policy: { thinking_budgets: { low: 2048, medium: 8192, high: 16384 } }
+  };
+  withModel(model, () => {
+    assert.deepEqual(transformToAnthropic({ model: 'effort-test', messages: HI, reasoning_effort: 'medium' }).thinking,
+      { type: 'enabled', budget_tokens: 8192 });
+    assert.deepEqual(transformToOpenAI({ model: 'effort-test', messages: HI, reasoning_effort: 'low' }).reasoning,
+      { effort: 'low', summary: 'detailed' });
+    assert.equal(transformToCommon({ model: 'effort-test', messages: HI, thinking: { type: 'enabled', budget_tokens: 5000 } })
+      .reasoning_effort, 'medium');
+  });
+});
@@ -0,0 +1,270 @@
+import { logDebug, logError } from './logger.js';
+
+/**
+ * Local token counting for /v1/chat/completions requests.
+ *
+ * Text is tokenized with the o200k_base BPE vocabulary (the encoding used by the
+ * GPT-4o / GPT-5 family), so counts for openai models are close to what the upstream
+ * reports. Anthropic and common models use their own tokenizers that are not public;
+ * for them the same vocabulary gives an estimate, not an exact count.
+ */
+
+// OpenAI chat format framing (see OpenAI cookbook "How to count tokens with tiktoken")
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const REPLY_PRIMING_TOKENS = 3;
+const TOKENS_PER_TOOL = 8;
+
+// Anthropic adds a hidden system prompt when tools are present
+const ANTHROPIC_TOOL_PROMPT_TOKENS = 346;
+const ANTHROPIC_TOOL_PROMPT_TOKENS_FORCED = 313;
+
+// Used when an image's size cannot be read (remote URL or unknown format)
+const DEFAULT_IMAGE_TOKENS = { openai: 765, anthropic: 1600 };
+
+// BPE merging is quadratic in the length of a single word, so long text is encoded in pieces
+const ENCODE_CHUNK_SIZE = 2000;
+
+let encoderPromise = null;
+
+/**
+ * Load the BPE encoder on first use (the vocabulary is several MB)
+ */
+function loadEncoder() {
+  if (!encoderPromise) {
+    encoderPromise = import('gpt-tokenizer/encoding/o200k_base')
+      .then(module => {
+        logDebug('Loaded o200k_base tokenizer');
+        return module;
+      })
+      .catch(error => {
+        logError('Failed to load tokenizer, falling back to character estimate', error);
+        return null;
+      });
+  }
+  return encoderPromise;
+}
+
+function splitForEncoding(text) {
+  if (text.length <= ENCODE_CHUNK_SIZE) {
+    return [text];
+  }
+  const pieces = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + ENCODE_CHUNK_SIZE, text.length);
+    if (end < text.length) {
+      // Cut before a space so " word" stays one token
+      const space = text.lastIndexOf(' ', end);
+      if (space > start + ENCODE_CHUNK_SIZE / 2) {
+        end = space;
+      }
+    }
+    pieces.push(text.slice(start, end));
+    start = end;
+  }
+  return pieces;
+}
+
+function countText(encoder, text) {
+  if (!text) {
+    return 0;
+  }
+  if (!encoder) {
+    return Math.ceil(text.length / 4);
+  }
+  let tokens = 0;
+  for (const piece of splitForEncoding(text)) {
+    tokens += encoder.countTokens(piece);
+  }
+  return tokens;
+}
+
+/**
+ * Read width/height from PNG, JPEG, GIF or WebP bytes
+ * @returns {{width: number, height: number}|null}
+ */
+function readImageSize(buffer) {
+  if (buffer.length < 24) {
+    return null;
+  }
+
+  // PNG: IHDR is the first chunk
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // WebP: VP8 / VP8L / VP8X
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' && buffer.length >= 30) {
+    const format = buffer.toString('ascii', 12, 16);
+    if (format === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (format === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (format === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  // JPEG: walk the segments to the first SOFn marker
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+function getImageSize(url) {
+  const match = typeof url === 'string' && url.match(/^data:[^;,]+;base64,(.*)$/s);
+  if (!match) {
+    return null;
+  }
+  try {
+    return readImageSize(Buffer.from(match[1], 'base64'));
+  } catch (e) {
+    logDebug('Failed to read image size from data URL');
+    return null;
+  }
+}
+
+/**
+ * OpenAI: 85 base tokens plus 170 per 512px tile after scaling to fit 2048x2048
+ * and then to a 768px shortest side
+ */
+function countOpenAIImageTokens(size, detail) {
+  if (detail === 'low') {
+    return 85;
+  }
+  if (!size) {
+    return DEFAULT_IMAGE_TOKENS.openai;
+  }
+
+  let { width, height } = size;
+  const fitScale = Math.min(1, 2048 / Math.max(width, height));
+  width *= fitScale;
+  height *= fitScale;
+  const shortScale = Math.min(1, 768 / Math.min(width, height));
+  width *= shortScale;
+  height *= shortScale;
+
+  return 85 + 170 * Math.ceil(width / 512) * Math.ceil(height / 512);
+}
+
+/**
+ * Anthropic: width * height / 750 after scaling to a 1568px long edge,
+ * capped at the ~1.15 megapixel size images are resized to
+ */
+function countAnthropicImageTokens(size) {
+  if (!size) {
+    return DEFAULT_IMAGE_TOKENS.anthropic;
+  }
+  const scale = Math.min(1, 1568 / Math.max(size.width, size.height));
+  const tokens = Math.ceil((size.width * scale) * (size.height * scale) / 750);
+  return Math.min(tokens, DEFAULT_IMAGE_TOKENS.anthropic);
+}
+
+function countImageTokens(imageUrl, modelType) {
+  const url = typeof imageUrl === 'string' ? imageUrl : imageUrl?.url;
+  const size = getImageSize(url);
+  return modelType === 'anthropic'
+    ? countAnthropicImageTokens(size)
+    : countOpenAIImageTokens(size, imageUrl?.detail);
+}
+
+function countContentTokens(encoder, content, modelType) {
+  if (typeof content === 'string') {
+    return countText(encoder, content);
+  }
+  if (!Array.isArray(content)) {
+    return 0;
+  }
+
+  let tokens = 0;
+  for (const part of content) {
+    if (part.type === 'text') {
+      tokens += countText(encoder, part.text);
+    } else if (part.type === 'image_url') {
+      tokens += countImageTokens(part.image_url, modelType);
+    }
+  }
+  return tokens;
+}
+
+function countToolTokens(encoder, chatRequest, modelType) {
+  const tools = Array.isArray(chatRequest.tools) ? chatRequest.tools : [];
+  if (tools.length === 0) {
+    return 0;
+  }
+
+  let tokens = 0;
+  for (const tool of tools) {
+    const fn = tool.function || tool;
+    tokens += TOKENS_PER_TOOL;
+    tokens += countText(encoder, fn.name || '');
+    tokens += countText(encoder, fn.description || '');
+    if (fn.parameters) {
+      tokens += countText(encoder, JSON.stringify(fn.parameters));
+    }
+  }
+
+  if (modelType === 'anthropic') {
+    const forced = chatRequest.tool_choice === 'required' || typeof chatRequest.tool_choice === 'object';
+    tokens += forced ? ANTHROPIC_TOOL_PROMPT_TOKENS_FORCED : ANTHROPIC_TOOL_PROMPT_TOKENS;
+  }
+  return tokens;
+}
+
+/**
+ * Count the input tokens of a /v1/chat/completions request locally.
+ * Messages, tool definitions, tool calls, images and response_format schemas are counted;
+ * reasoning from earlier turns is not, since upstreams do not bill it as input.
+ * @param {object} chatRequest - OpenAI chat completions request
+ * @param {string} modelType - 'openai', 'anthropic' or 'common' (selects the image formula)
+ * @returns {Promise<number>}
+ */
+export async function countChatTokens(chatRequest, modelType = 'openai') {
+  const encoder = await loadEncoder();
+  let tokens = 0;
+
+  for (const msg of chatRequest.messages || []) {
+    tokens += TOKENS_PER_MESSAGE;
+    tokens += countText(encoder, msg.role || '');
+    tokens += countContentTokens(encoder, msg.content, modelType);
+    if (msg.name) {
+      tokens += TOKENS_PER_NAME + countText(encoder, msg.name);
+    }
+    for (const toolCall of msg.tool_calls || []) {
+      tokens += countText(encoder, toolCall.function?.name || '');
+      tokens += countText(encoder, toolCall.function?.arguments || '');
+    }
+  }
+  tokens += REPLY_PRIMING_TOKENS;
+
+  tokens += countToolTokens(encoder, chatRequest, modelType);
+
+  const schema = chatRequest.response_format?.json_schema?.schema;
+  if (schema) {
+    tokens += countText(encoder, JSON.stringify(schema));
+  }
+
+  return tokens;
+}
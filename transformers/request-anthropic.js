@@ -1,5 +1,54 @@
-import { logDebug } from '../logger.js';
-import { getSystemPrompt, getModelReasoning, getUserAgent } from '../config.js';
+import { logDebug, logInfo } from '../logger.js';
+import { getSystemPrompt, getModelReasoning, getUserAgent, getModelTokenPolicy, effortToThinkingBudget } from '../config.js';
+
+// Name of the synthetic tool used to emulate response_format (structured output)
+export const STRUCTURED_OUTPUT_TOOL_NAME = 'structured_output';
+
+// Anthropic's minimum thinking budget
+const MIN_THINKING_BUDGET = 1024;
+
+/**
+ * Make max_tokens and thinking.budget_tokens valid for the model's token policy (mutates the request).
+ * max_tokens defaults to default_max_tokens and is capped at max_output_tokens. It also covers
+ * thinking, so it must exceed budget_tokens: when it does not, the budget is added on top of it
+ * (the client's max_tokens then limits the visible answer), and the budget shrinks if that would
+ * pass the cap. Thinking is dropped when no valid budget fits.
+ */
+export function applyTokenPolicy(anthropicRequest, modelId) {
+  const policy = getModelTokenPolicy(modelId);
+  const maxOutput = Math.min(policy.max_output_tokens, policy.context_window);
+  const requested = anthropicRequest.max_tokens;
+  let maxTokens = Number.isInteger(requested) && requested > 0 ? requested : policy.default_max_tokens;
+
+  if (anthropicRequest.thinking?.type === 'enabled') {
+    const requestedBudget = anthropicRequest.thinking.budget_tokens;
+    let budget = Math.max(MIN_THINKING_BUDGET, requestedBudget || 0);
+
+    if (maxTokens <= budget) {
+      maxTokens += budget;
+    }
+    maxTokens = Math.min(maxTokens, maxOutput);
+    if (budget >= maxTokens) {
+      budget = Math.max(MIN_THINKING_BUDGET, maxTokens - policy.default_max_tokens);
+    }
+
+    if (budget >= maxTokens) {
+      logInfo(`Disabling thinking for ${modelId}: max_tokens ${maxTokens} leaves no room for a ${MIN_THINKING_BUDGET} token budget`);
+      delete anthropicRequest.thinking;
+    } else if (budget !== requestedBudget) {
+      logInfo(`Adjusting thinking budget_tokens for ${modelId} from ${requestedBudget} to ${budget}`);
+      anthropicRequest.thinking = { ...anthropicRequest.thinking, budget_tokens: budget };
+    }
+  } else {
+    maxTokens = Math.min(maxTokens, maxOutput);
+  }
+
+  if (maxTokens !== requested) {
+    logInfo(`Adjusting max_tokens for ${modelId} from ${requested ?? '(unset)'} to ${maxTokens}`);
+    anthropicRequest.max_tokens = maxTokens;
+  }
+  return anthropicRequest;
+}
 
 export function transformToAnthropic(openaiRequest) {
   logDebug('Transforming OpenAI request to Anthropic format');
@@ -14,17 +63,17 @@ export function transformToAnthropic(openaiRequest) {
     anthropicRequest.stream = openaiRequest.stream;
   }
 
-  // Handle max_tokens
+  // Handle max_tokens (defaults and limits are applied by applyTokenPolicy below)
   if (openaiRequest.max_tokens) {
     anthropicRequest.max_tokens = openaiRequest.max_tokens;
   } else if (openaiRequest.max_completion_tokens) {
     anthropicRequest.max_tokens = openaiRequest.max_completion_tokens;
-  } else {
-    anthropicRequest.max_tokens = 4096;
   }
 
   // Extract system message(s) and transform other messages
   let systemContent = [];
+  let toolResultMsg = null; // Current user message collecting consecutive tool results
+  const toolIds = createToolIdMap(); // Shared by tool_use and tool_result so they stay paired
   
   if (openaiRequest.messages && Array.isArray(openaiRequest.messages)) {
     for (const msg of openaiRequest.messages) {
@@ -50,16 +99,35 @@ export function transformToAnthropic(openaiRequest) {
         continue; // Skip adding system messages to messages array
       }
 
+      // Handle tool result messages (role: "tool")
+      // Consecutive tool messages are merged into one user message of tool_result blocks
+      if (msg.role === 'tool') {
+        const toolResult = convertToolMessageToToolResult(msg, toolIds);
+        if (toolResultMsg) {
+          toolResultMsg.content.push(toolResult);
+        } else {
+          toolResultMsg = { role: 'user', content: [toolResult] };
+          anthropicRequest.messages.push(toolResultMsg);
+        }
+        continue;
+      }
+      toolResultMsg = null;
+
       const anthropicMsg = {
         role: msg.role,
         content: []
       };
 
+      const hasToolCalls = msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0;
+
       if (typeof msg.content === 'string') {
-        anthropicMsg.content.push({
-          type: 'text',
-          text: msg.content
-        });
+        // Anthropic rejects empty text blocks, which clients often send alongside tool_calls
+        if (msg.content !== '' || !hasToolCalls) {
+          anthropicMsg.content.push({
+            type: 'text',
+            text: msg.content
+          });
+        }
       } else if (Array.isArray(msg.content)) {
         for (const part of msg.content) {
           if (part.type === 'text') {
@@ -68,16 +136,39 @@ export function transformToAnthropic(openaiRequest) {
               text: part.text
             });
           } else if (part.type === 'image_url') {
-            anthropicMsg.content.push({
-              type: 'image',
-              source: part.image_url
-            });
+            const source = convertImageUrlToSource(part.image_url);
+            if (source) {
+              anthropicMsg.content.push({
+                type: 'image',
+                source
+              });
+            }
           } else {
             anthropicMsg.content.push(part);
           }
         }
       }
 
+      // Rebuild signed thinking blocks echoed back by the client; they must lead the assistant turn
+      if (msg.role === 'assistant') {
+        const thinkingBlocks = convertReasoningToThinkingBlocks(msg);
+        const echoedBlocks = anthropicMsg.content.filter(isThinkingBlock);
+        if (thinkingBlocks.length > 0 || echoedBlocks.length > 0) {
+          anthropicMsg.content = [
+            ...thinkingBlocks,
+            ...echoedBlocks,
+            ...anthropicMsg.content.filter(block => !isThinkingBlock(block))
+          ];
+        }
+      }
+
+      // Handle assistant messages with tool_calls: append them as tool_use blocks
+      if (hasToolCalls) {
+        for (const toolCall of msg.tool_calls) {
+          anthropicMsg.content.push(convertToolCallToToolUse(toolCall, toolIds));
+        }
+      }
+
       anthropicRequest.messages.push(anthropicMsg);
     }
   }
@@ -111,25 +202,50 @@ export function transformToAnthropic(openaiRequest) {
     });
   }
 
+  // Transform tool_choice / parallel_tool_calls (Anthropic only accepts tool_choice alongside tools)
+  if (anthropicRequest.tools && anthropicRequest.tools.length > 0) {
+    const toolChoice = transformToolChoice(openaiRequest.tool_choice, openaiRequest.parallel_tool_calls);
+    if (toolChoice) {
+      anthropicRequest.tool_choice = toolChoice;
+    }
+  }
+
+  // Emulate response_format with a synthetic tool the model is forced to call
+  const structuredOutputTool = buildStructuredOutputTool(openaiRequest.response_format);
+  if (structuredOutputTool) {
+    const hasClientTools = anthropicRequest.tools && anthropicRequest.tools.length > 0;
+    anthropicRequest.tools = [...(anthropicRequest.tools || []), structuredOutputTool];
+
+    // tool_choice "none" only rules out the client's tools: the structured output is still required,
+    // so the synthetic tool is forced (with "none" the model could never call it)
+    if (!hasClientTools || anthropicRequest.tool_choice?.type === 'none') {
+      anthropicRequest.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_TOOL_NAME };
+    } else if (!anthropicRequest.tool_choice || anthropicRequest.tool_choice.type === 'auto') {
+      // Client tools stay callable, but the turn must end in a tool call (possibly the synthetic one)
+      anthropicRequest.tool_choice = { ...anthropicRequest.tool_choice, type: 'any' };
+    }
+  }
+
   // Handle thinking field based on model configuration
   const reasoningLevel = getModelReasoning(openaiRequest.model);
   if (reasoningLevel === 'auto') {
     // Auto mode: preserve original request's thinking field exactly as-is
     if (openaiRequest.thinking !== undefined) {
       anthropicRequest.thinking = openaiRequest.thinking;
+    } else {
+      // OpenAI style effort (chat completions reasoning_effort or Responses reasoning.effort) selects a budget
+      const effort = openaiRequest.reasoning_effort ?? openaiRequest.reasoning?.effort;
+      const budgetTokens = effort ? effortToThinkingBudget(openaiRequest.model, effort) : null;
+      if (budgetTokens) {
+        anthropicRequest.thinking = { type: 'enabled', budget_tokens: budgetTokens };
+      }
     }
-    // If original request has no thinking field, don't add one
+    // If original request has neither, don't add one
   } else if (reasoningLevel && ['low', 'medium', 'high'].includes(reasoningLevel)) {
     // Specific level: override with model configuration
-    const budgetTokens = {
-      'low': 4096,
-      'medium': 12288,
-      'high': 24576
-    };
-    
     anthropicRequest.thinking = {
       type: 'enabled',
-      budget_tokens: budgetTokens[reasoningLevel]
+      budget_tokens: getModelTokenPolicy(openaiRequest.model).thinking_budgets[reasoningLevel]
     };
   } else {
     // Off or invalid: explicitly remove thinking field
@@ -137,6 +253,24 @@ export function transformToAnthropic(openaiRequest) {
     delete anthropicRequest.thinking;
   }
 
+  // Anthropic rejects thinking when tool_choice forces tool use; the explicit tool_choice wins
+  const forcedToolUse = ['any', 'tool'].includes(anthropicRequest.tool_choice?.type);
+  if (forcedToolUse && anthropicRequest.thinking?.type === 'enabled') {
+    logInfo(`Disabling thinking for ${openaiRequest.model}: tool_choice forces tool use`);
+    delete anthropicRequest.thinking;
+  }
+
+  applyTokenPolicy(anthropicRequest, openaiRequest.model);
+
+  // Prior thinking blocks are only valid while thinking is enabled
+  if (anthropicRequest.thinking?.type !== 'enabled') {
+    for (const message of anthropicRequest.messages) {
+      if (message.role === 'assistant') {
+        message.content = message.content.filter(block => !isThinkingBlock(block));
+      }
+    }
+  }
+
   // Pass through other compatible parameters
   if (openaiRequest.temperature !== undefined) {
     anthropicRequest.temperature = openaiRequest.temperature;
@@ -154,6 +288,228 @@ export function transformToAnthropic(openaiRequest) {
   return anthropicRequest;
 }
 
+function isThinkingBlock(block) {
+  return block?.type === 'thinking' || block?.type === 'redacted_thinking';
+}
+
+/**
+ * Rebuild Anthropic thinking / redacted_thinking blocks from an echoed assistant message.
+ * Prefers reasoning_details (full fidelity) and falls back to reasoning_content + reasoning_signature.
+ * Thinking without a signature cannot be verified by Anthropic and is dropped.
+ */
+function convertReasoningToThinkingBlocks(msg) {
+  if (Array.isArray(msg.reasoning_details) && msg.reasoning_details.length > 0) {
+    const blocks = [];
+    for (const detail of msg.reasoning_details) {
+      if (detail?.type === 'reasoning.text' && detail.signature) {
+        blocks.push({ type: 'thinking', thinking: detail.text || '', signature: detail.signature });
+      } else if (detail?.type === 'reasoning.encrypted' && detail.data) {
+        blocks.push({ type: 'redacted_thinking', data: detail.data });
+      }
+    }
+    return blocks;
+  }
+
+  if (typeof msg.reasoning_content === 'string' && msg.reasoning_signature) {
+    return [{ type: 'thinking', thinking: msg.reasoning_content, signature: msg.reasoning_signature }];
+  }
+
+  return [];
+}
+
+/**
+ * Convert an OpenAI image_url (string or {url, detail}) to an Anthropic image source.
+ * data URLs become {type: "base64"}, http(s) URLs become {type: "url"}.
+ */
+function convertImageUrlToSource(imageUrl) {
+  const url = typeof imageUrl === 'string' ? imageUrl : imageUrl?.url;
+  if (!url) {
+    logDebug('Skipping image_url part without url');
+    return null;
+  }
+
+  const dataUrlMatch = url.match(/^data:([^;,]+)((?:;[^;,]+)*),(.*)$/s);
+  if (dataUrlMatch) {
+    const [, mediaType, params, payload] = dataUrlMatch;
+    const isBase64 = params.split(';').includes('base64');
+    return {
+      type: 'base64',
+      media_type: mediaType.toLowerCase(),
+      data: isBase64 ? payload : Buffer.from(decodePercentEncoding(payload), 'latin1').toString('base64')
+    };
+  }
+
+  return {
+    type: 'url',
+    url
+  };
+}
+
+// Decode %XX escapes byte-for-byte (decodeURIComponent fails on non-UTF-8 bytes)
+function decodePercentEncoding(str) {
+  return str.replace(/%([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Check whether a transformed Anthropic request carries the synthetic structured output tool
+ */
+export function usesStructuredOutputTool(anthropicRequest) {
+  return Array.isArray(anthropicRequest?.tools) &&
+    anthropicRequest.tools.some(tool => tool.name === STRUCTURED_OUTPUT_TOOL_NAME);
+}
+
+/**
+ * Build the synthetic tool used to emulate OpenAI response_format.
+ * json_schema uses the client schema as input_schema, json_object accepts any object.
+ * The tool input is unwrapped back into message content by the response transformers.
+ */
+function buildStructuredOutputTool(responseFormat) {
+  if (!responseFormat || typeof responseFormat !== 'object') {
+    return null;
+  }
+
+  if (responseFormat.type === 'json_schema') {
+    const jsonSchema = responseFormat.json_schema || {};
+    const schemaName = jsonSchema.name ? ` "${jsonSchema.name}"` : '';
+    return {
+      name: STRUCTURED_OUTPUT_TOOL_NAME,
+      description: jsonSchema.description ||
+        `Respond to the user with a JSON object matching the${schemaName} schema. Always call this tool to deliver the final answer.`,
+      input_schema: jsonSchema.schema || { type: 'object' }
+    };
+  }
+
+  if (responseFormat.type === 'json_object') {
+    return {
+      name: STRUCTURED_OUTPUT_TOOL_NAME,
+      description: 'Respond to the user with a JSON object. Always call this tool to deliver the final answer.',
+      input_schema: { type: 'object', additionalProperties: true }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Map OpenAI tool_choice ("none" | "auto" | "required" | {type: "function", function: {name}})
+ * to Anthropic tool_choice ({type: "none" | "auto" | "any" | "tool"}).
+ * parallel_tool_calls: false maps to disable_parallel_tool_use.
+ */
+function transformToolChoice(toolChoice, parallelToolCalls) {
+  let anthropicChoice = null;
+
+  if (toolChoice === 'none') {
+    anthropicChoice = { type: 'none' };
+  } else if (toolChoice === 'auto') {
+    anthropicChoice = { type: 'auto' };
+  } else if (toolChoice === 'required') {
+    anthropicChoice = { type: 'any' };
+  } else if (toolChoice && typeof toolChoice === 'object') {
+    const name = toolChoice.function?.name || toolChoice.name;
+    if (name) {
+      anthropicChoice = { type: 'tool', name };
+    }
+  }
+
+  if (parallelToolCalls === false) {
+    if (!anthropicChoice) {
+      anthropicChoice = { type: 'auto' };
+    }
+    // disable_parallel_tool_use is not valid for type "none"
+    if (anthropicChoice.type !== 'none') {
+      anthropicChoice.disable_parallel_tool_use = true;
+    }
+  }
+
+  return anthropicChoice;
+}
+
+/**
+ * Anthropic requires tool_use ids to match ^[a-zA-Z0-9_-]+$ and to be unique within a request.
+ * Ids emitted by AnthropicResponseTransformer (toolu_xxx) pass through unchanged; other ids are
+ * sanitized, and every original id maps to one generated id for the whole request so that
+ * tool_use and tool_result stay paired. Missing or colliding ids get a numbered suffix.
+ */
+function createToolIdMap() {
+  const mapped = new Map();
+  const used = new Set();
+  let counter = 0;
+
+  const claim = (base) => {
+    let id = base;
+    while (used.has(id)) {
+      id = `${base}_${++counter}`;
+    }
+    used.add(id);
+    return id;
+  };
+
+  return (id) => {
+    if (id === undefined || id === null || id === '') {
+      return claim(`toolu_missing_${++counter}`);
+    }
+    const key = String(id);
+    if (!mapped.has(key)) {
+      mapped.set(key, claim(key.replace(/[^a-zA-Z0-9_-]/g, '_')));
+    }
+    return mapped.get(key);
+  };
+}
+
+function convertToolCallToToolUse(toolCall, toolIds) {
+  let input = {};
+  const args = toolCall.function?.arguments;
+  if (typeof args === 'string' && args.trim() !== '') {
+    try {
+      input = JSON.parse(args);
+    } catch (e) {
+      logDebug(`Failed to parse tool call arguments for ${toolCall.id}, sending empty input`);
+    }
+  } else if (args && typeof args === 'object') {
+    input = args;
+  }
+
+  return {
+    type: 'tool_use',
+    id: toolIds(toolCall.id),
+    name: toolCall.function?.name || '',
+    input
+  };
+}
+
+function convertToolMessageToToolResult(msg, toolIds) {
+  const toolResult = {
+    type: 'tool_result',
+    tool_use_id: toolIds(msg.tool_call_id)
+  };
+
+  if (typeof msg.content === 'string') {
+    toolResult.content = msg.content;
+  } else if (Array.isArray(msg.content)) {
+    toolResult.content = [];
+    for (const part of msg.content) {
+      if (part.type === 'text') {
+        toolResult.content.push({ type: 'text', text: part.text });
+      } else if (part.type === 'image_url') {
+        const source = convertImageUrlToSource(part.image_url);
+        if (source) {
+          toolResult.content.push({ type: 'image', source });
+        }
+      } else {
+        toolResult.content.push(part);
+      }
+    }
+  } else if (msg.content !== undefined && msg.content !== null) {
+    toolResult.content = JSON.stringify(msg.content);
+  }
+
+  if (msg.is_error === true) {
+    toolResult.is_error = true;
+  }
+
+  return toolResult;
+}
+
 export function getAnthropicHeaders(authHeader, clientHeaders = {}, isStreaming = true, modelId = null, provider = 'anthropic') {
   // Generate unique IDs if not provided
   const sessionId = clientHeaders['x-session-id'] || generateUUID();
@@ -1,5 +1,5 @@
-import { logDebug } from '../logger.js';
-import { getSystemPrompt, getUserAgent, getModelReasoning } from '../config.js';
+import { logDebug, logInfo } from '../logger.js';
+import { getSystemPrompt, getUserAgent, getModelReasoning, getModelTokenPolicy, thinkingBudgetToEffort } from '../config.js';
 
 export function transformToCommon(openaiRequest) {
   logDebug('Transforming OpenAI request to Common format');
@@ -39,11 +39,46 @@ export function transformToCommon(openaiRequest) {
     }
   }
 
+  // Normalize tool_choice: map legacy function_call and drop it when no tools are sent
+  if (commonRequest.tool_choice === undefined && commonRequest.function_call !== undefined) {
+    const functionCall = commonRequest.function_call;
+    commonRequest.tool_choice = typeof functionCall === 'object' && functionCall?.name
+      ? { type: 'function', function: { name: functionCall.name } }
+      : functionCall;
+  }
+  delete commonRequest.function_call;
+
+  if (typeof commonRequest.tool_choice === 'object' && commonRequest.tool_choice?.name && !commonRequest.tool_choice.function) {
+    // Responses-style named choice {type: "function", name}
+    commonRequest.tool_choice = { type: 'function', function: { name: commonRequest.tool_choice.name } };
+  }
+
+  if (!Array.isArray(commonRequest.tools) || commonRequest.tools.length === 0) {
+    delete commonRequest.tool_choice;
+    delete commonRequest.parallel_tool_calls;
+  }
+
+  // Cap output limits at the model's max_output_tokens
+  const { max_output_tokens: maxOutputTokens } = getModelTokenPolicy(openaiRequest.model);
+  for (const field of ['max_tokens', 'max_completion_tokens']) {
+    if (commonRequest[field] > maxOutputTokens) {
+      logInfo(`Adjusting ${field} from ${commonRequest[field]} to ${maxOutputTokens} (model limit)`);
+      commonRequest[field] = maxOutputTokens;
+    }
+  }
+
   // Handle reasoning_effort field based on model configuration
   const reasoningLevel = getModelReasoning(openaiRequest.model);
   if (reasoningLevel === 'auto') {
     // Auto mode: preserve original request's reasoning_effort field exactly as-is
-    // If original request has reasoning_effort field, keep it; otherwise don't add one
+    // Without one, a Responses style reasoning.effort or Anthropic style thinking budget is translated
+    if (commonRequest.reasoning_effort === undefined) {
+      if (commonRequest.reasoning?.effort) {
+        commonRequest.reasoning_effort = commonRequest.reasoning.effort;
+      } else if (commonRequest.thinking?.type === 'enabled') {
+        commonRequest.reasoning_effort = thinkingBudgetToEffort(openaiRequest.model, commonRequest.thinking.budget_tokens);
+      }
+    }
   } else if (reasoningLevel && ['low', 'medium', 'high'].includes(reasoningLevel)) {
     // Specific level: override with model configuration
     commonRequest.reasoning_effort = reasoningLevel;
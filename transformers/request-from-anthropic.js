@@ -0,0 +1,232 @@
+import { logDebug } from '../logger.js';
+import { thinkingBudgetToEffort } from '../config.js';
+
+/**
+ * Convert an Anthropic image source to an OpenAI image_url
+ */
+function convertImageSource(source) {
+  if (source?.type === 'base64') {
+    return { url: `data:${source.media_type};base64,${source.data}` };
+  }
+  if (source?.type === 'url') {
+    return { url: source.url };
+  }
+  return null;
+}
+
+function toolResultToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return content === undefined || content === null ? '' : JSON.stringify(content);
+}
+
+/**
+ * Convert tool_result content to tool message content: text, or text and image_url parts
+ * when the result contains images (screenshots etc.)
+ */
+function convertToolResultContent(content, isError) {
+  const errorPrefix = isError ? '[ERROR] ' : '';
+  if (!Array.isArray(content)) {
+    return errorPrefix + toolResultToText(content);
+  }
+
+  const parts = [];
+  for (const block of content) {
+    if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image') {
+      const imageUrl = convertImageSource(block.source);
+      if (imageUrl) {
+        parts.push({ type: 'image_url', image_url: imageUrl });
+      }
+    }
+  }
+
+  if (parts.every(part => part.type === 'text')) {
+    return errorPrefix + parts.map(part => part.text).join('\n');
+  }
+  if (isError) {
+    parts.unshift({ type: 'text', text: '[ERROR]' });
+  }
+  return parts;
+}
+
+/**
+ * Convert Anthropic tool_choice to OpenAI tool_choice
+ */
+function convertToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'auto':
+      return 'auto';
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Convert one Anthropic message to one or more chat completions messages.
+ * tool_result blocks become role "tool" messages placed before any remaining user content.
+ */
+function convertMessage(msg) {
+  if (typeof msg.content === 'string') {
+    return [{ role: msg.role, content: msg.content }];
+  }
+
+  const blocks = Array.isArray(msg.content) ? msg.content : [];
+
+  if (msg.role === 'assistant') {
+    const text = [];
+    const reasoning = [];
+    const toolCalls = [];
+    for (const block of blocks) {
+      if (block.type === 'text') {
+        text.push(block.text);
+      } else if (block.type === 'thinking') {
+        reasoning.push(block.thinking);
+      } else if (block.type === 'tool_use') {
+        toolCalls.push({
+          id: block.id,
+          type: 'function',
+          function: {
+            name: block.name,
+            arguments: JSON.stringify(block.input ?? {})
+          }
+        });
+      }
+    }
+
+    const assistantMsg = {
+      role: 'assistant',
+      content: text.join('') || (toolCalls.length > 0 ? null : '')
+    };
+    if (reasoning.length > 0) {
+      assistantMsg.reasoning_content = reasoning.join('\n\n');
+    }
+    if (toolCalls.length > 0) {
+      assistantMsg.tool_calls = toolCalls;
+    }
+    return [assistantMsg];
+  }
+
+  const toolMessages = [];
+  const parts = [];
+  for (const block of blocks) {
+    if (block.type === 'tool_result') {
+      toolMessages.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: convertToolResultContent(block.content, block.is_error)
+      });
+    } else if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image') {
+      const imageUrl = convertImageSource(block.source);
+      if (imageUrl) {
+        parts.push({ type: 'image_url', image_url: imageUrl });
+      }
+    } else {
+      logDebug(`Dropping unsupported Anthropic content block: ${block.type}`);
+    }
+  }
+
+  const result = [...toolMessages];
+  if (parts.length > 0) {
+    const onlyText = parts.every(part => part.type === 'text');
+    result.push({
+      role: msg.role,
+      content: onlyText ? parts.map(part => part.text).join('') : parts
+    });
+  }
+  return result;
+}
+
+/**
+ * Transform an Anthropic /v1/messages request into a /v1/chat/completions request,
+ * which transformToOpenAI / transformToCommon then turn into the upstream format.
+ */
+export function transformFromAnthropic(anthropicRequest) {
+  logDebug('Transforming Anthropic request to OpenAI chat format');
+
+  const chatRequest = {
+    model: anthropicRequest.model,
+    messages: []
+  };
+
+  if (anthropicRequest.stream !== undefined) {
+    chatRequest.stream = anthropicRequest.stream;
+  }
+  if (anthropicRequest.max_tokens !== undefined) {
+    chatRequest.max_tokens = anthropicRequest.max_tokens;
+  }
+
+  // System prompt (string or array of text blocks)
+  if (typeof anthropicRequest.system === 'string' && anthropicRequest.system) {
+    chatRequest.messages.push({ role: 'system', content: anthropicRequest.system });
+  } else if (Array.isArray(anthropicRequest.system) && anthropicRequest.system.length > 0) {
+    const systemText = anthropicRequest.system
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+    if (systemText) {
+      chatRequest.messages.push({ role: 'system', content: systemText });
+    }
+  }
+
+  if (Array.isArray(anthropicRequest.messages)) {
+    for (const msg of anthropicRequest.messages) {
+      chatRequest.messages.push(...convertMessage(msg));
+    }
+  }
+
+  // Custom tools only; Anthropic server tools (web_search_xxx etc.) have no equivalent upstream
+  if (Array.isArray(anthropicRequest.tools)) {
+    const tools = anthropicRequest.tools
+      .filter(tool => tool.input_schema)
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.input_schema
+        }
+      }));
+    if (tools.length > 0) {
+      chatRequest.tools = tools;
+    }
+  }
+
+  if (chatRequest.tools) {
+    const toolChoice = convertToolChoice(anthropicRequest.tool_choice);
+    if (toolChoice !== undefined) {
+      chatRequest.tool_choice = toolChoice;
+    }
+    if (anthropicRequest.tool_choice?.disable_parallel_tool_use === true) {
+      chatRequest.parallel_tool_calls = false;
+    }
+  }
+
+  // Thinking maps to reasoning effort (used by auto reasoning mode)
+  if (anthropicRequest.thinking?.type === 'enabled') {
+    chatRequest.reasoning_effort = thinkingBudgetToEffort(anthropicRequest.model, anthropicRequest.thinking.budget_tokens);
+  }
+
+  if (anthropicRequest.temperature !== undefined) {
+    chatRequest.temperature = anthropicRequest.temperature;
+  }
+  if (anthropicRequest.top_p !== undefined) {
+    chatRequest.top_p = anthropicRequest.top_p;
+  }
+  if (Array.isArray(anthropicRequest.stop_sequences) && anthropicRequest.stop_sequences.length > 0) {
+    chatRequest.stop = anthropicRequest.stop_sequences;
+  }
+
+  logDebug('Transformed OpenAI chat request', chatRequest);
+  return chatRequest;
+}
@@ -0,0 +1,77 @@
+import { logDebug } from '../logger.js';
+
+const COMPLETION_INSTRUCTIONS = 'Continue the text provided by the user. Reply with the continuation only, ' +
+  'without repeating the given text or adding any commentary.';
+
+/**
+ * Normalize the legacy prompt field to a list of prompt strings.
+ * Token-id prompts (arrays of numbers) cannot be decoded without the model tokenizer.
+ * @throws {Error} for unsupported prompt types
+ */
+export function getCompletionPrompts(prompt) {
+  if (prompt === undefined || prompt === null) {
+    return [''];
+  }
+  if (typeof prompt === 'string') {
+    return [prompt];
+  }
+  if (Array.isArray(prompt) && prompt.length > 0 && prompt.every(p => typeof p === 'string')) {
+    return prompt;
+  }
+  throw new Error('prompt must be a string or an array of strings; token id prompts are not supported');
+}
+
+/**
+ * Normalize the stop field to a list of stop sequences
+ */
+export function getStopSequences(stop) {
+  if (typeof stop === 'string' && stop) {
+    return [stop];
+  }
+  if (Array.isArray(stop)) {
+    return stop.filter(s => typeof s === 'string' && s);
+  }
+  return [];
+}
+
+/**
+ * Transform a legacy /v1/completions request (for a single prompt) into a /v1/chat/completions
+ * request, which the regular request transformers then turn into the upstream format.
+ */
+export function transformFromCompletions(completionsRequest, prompt) {
+  logDebug('Transforming legacy completions request to OpenAI chat format');
+
+  let instructions = COMPLETION_INSTRUCTIONS;
+  if (typeof completionsRequest.suffix === 'string' && completionsRequest.suffix) {
+    instructions += `\nThe continuation will be followed by this text, so it must lead into it:\n${completionsRequest.suffix}`;
+  }
+
+  const chatRequest = {
+    model: completionsRequest.model,
+    messages: [
+      { role: 'system', content: instructions },
+      { role: 'user', content: prompt }
+    ]
+  };
+
+  if (completionsRequest.stream !== undefined) {
+    chatRequest.stream = completionsRequest.stream;
+  }
+  if (completionsRequest.max_tokens !== undefined) {
+    chatRequest.max_tokens = completionsRequest.max_tokens;
+  }
+
+  const stop = getStopSequences(completionsRequest.stop);
+  if (stop.length > 0) {
+    chatRequest.stop = stop;
+  }
+
+  for (const field of ['temperature', 'top_p', 'presence_penalty', 'frequency_penalty', 'seed', 'user']) {
+    if (completionsRequest[field] !== undefined) {
+      chatRequest[field] = completionsRequest[field];
+    }
+  }
+
+  logDebug('Transformed OpenAI chat request', chatRequest);
+  return chatRequest;
+}
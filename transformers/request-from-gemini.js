@@ -0,0 +1,275 @@
+import { logDebug } from '../logger.js';
+import { thinkingBudgetToEffort } from '../config.js';
+
+/**
+ * Map a Gemini thinking budget / level to an OpenAI reasoning effort
+ */
+function thinkingConfigToEffort(thinkingConfig, modelId) {
+  if (typeof thinkingConfig.thinkingLevel === 'string') {
+    const level = thinkingConfig.thinkingLevel.toLowerCase();
+    return ['low', 'medium', 'high'].includes(level) ? level : undefined;
+  }
+  const budget = thinkingConfig.thinkingBudget;
+  if (typeof budget !== 'number' || budget === 0) {
+    return undefined;
+  }
+  // -1 means dynamic thinking
+  if (budget < 0) {
+    return 'medium';
+  }
+  return thinkingBudgetToEffort(modelId, budget);
+}
+
+/**
+ * Gemini schemas use upper-case OpenAPI types ("OBJECT", "STRING"); JSON Schema wants lower case
+ */
+function normalizeSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(normalizeSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type' && typeof value === 'string') {
+      normalized.type = value.toLowerCase();
+    } else if (key === 'properties' && value && typeof value === 'object') {
+      normalized.properties = Object.fromEntries(
+        Object.entries(value).map(([name, propertySchema]) => [name, normalizeSchema(propertySchema)])
+      );
+    } else if (typeof value === 'object') {
+      normalized[key] = normalizeSchema(value);
+    } else {
+      normalized[key] = value;
+    }
+  }
+  return normalized;
+}
+
+function partsToText(parts) {
+  return (parts || [])
+    .filter(part => typeof part.text === 'string' && !part.thought)
+    .map(part => part.text)
+    .join('');
+}
+
+function convertMediaPart(part) {
+  if (part.inlineData?.data) {
+    const mimeType = part.inlineData.mimeType || 'application/octet-stream';
+    if (mimeType.startsWith('image/')) {
+      return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${part.inlineData.data}` } };
+    }
+  }
+  if (part.fileData?.fileUri) {
+    const mimeType = part.fileData.mimeType || '';
+    if (!mimeType || mimeType.startsWith('image/')) {
+      return { type: 'image_url', image_url: { url: part.fileData.fileUri } };
+    }
+  }
+  logDebug('Dropping unsupported Gemini part', Object.keys(part));
+  return null;
+}
+
+/**
+ * Convert Gemini contents to chat completions messages.
+ * Gemini pairs functionResponse parts with functionCall parts by name (and order),
+ * so tool call ids are generated here when the client does not send any.
+ */
+function convertContents(contents) {
+  const messages = [];
+  const unansweredCalls = []; // {id, name} of function calls awaiting a response
+  let callCounter = 0;
+
+  for (const content of contents) {
+    const parts = Array.isArray(content.parts) ? content.parts : [];
+
+    if (content.role === 'model') {
+      const assistantMsg = { role: 'assistant', content: partsToText(parts) || null };
+
+      const thoughts = parts.filter(part => part.thought && typeof part.text === 'string').map(part => part.text);
+      if (thoughts.length > 0) {
+        assistantMsg.reasoning_content = thoughts.join('\n\n');
+      }
+
+      const toolCalls = parts
+        .filter(part => part.functionCall)
+        .map(part => {
+          const id = part.functionCall.id || `call_${part.functionCall.name}_${callCounter++}`;
+          unansweredCalls.push({ id, name: part.functionCall.name });
+          return {
+            id,
+            type: 'function',
+            function: {
+              name: part.functionCall.name,
+              arguments: JSON.stringify(part.functionCall.args ?? {})
+            }
+          };
+        });
+      if (toolCalls.length > 0) {
+        assistantMsg.tool_calls = toolCalls;
+      } else if (assistantMsg.content === null) {
+        assistantMsg.content = '';
+      }
+
+      messages.push(assistantMsg);
+      continue;
+    }
+
+    // user (or function) role: function responses first, then the remaining user content
+    const userParts = [];
+    for (const part of parts) {
+      if (part.functionResponse) {
+        const { id, name, response } = part.functionResponse;
+        const matchIndex = unansweredCalls.findIndex(call => (id ? call.id === id : call.name === name));
+        const call = matchIndex === -1 ? null : unansweredCalls.splice(matchIndex, 1)[0];
+        messages.push({
+          role: 'tool',
+          tool_call_id: call?.id || id || `call_${name}_${callCounter++}`,
+          content: typeof response === 'string' ? response : JSON.stringify(response ?? {})
+        });
+      } else if (typeof part.text === 'string') {
+        userParts.push({ type: 'text', text: part.text });
+      } else {
+        const mediaPart = convertMediaPart(part);
+        if (mediaPart) {
+          userParts.push(mediaPart);
+        }
+      }
+    }
+
+    if (userParts.length > 0) {
+      const onlyText = userParts.every(part => part.type === 'text');
+      messages.push({
+        role: 'user',
+        content: onlyText ? userParts.map(part => part.text).join('') : userParts
+      });
+    }
+  }
+
+  return messages;
+}
+
+function convertToolConfig(toolConfig) {
+  const config = toolConfig?.functionCallingConfig;
+  switch (config?.mode) {
+    case 'AUTO':
+    case 'VALIDATED':
+      return 'auto';
+    case 'NONE':
+      return 'none';
+    case 'ANY':
+      if (Array.isArray(config.allowedFunctionNames) && config.allowedFunctionNames.length === 1) {
+        return { type: 'function', function: { name: config.allowedFunctionNames[0] } };
+      }
+      return 'required';
+    default:
+      return undefined;
+  }
+}
+
+function convertResponseFormat(generationConfig) {
+  const schema = generationConfig.responseJsonSchema || generationConfig.responseSchema;
+  if (schema) {
+    return {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: normalizeSchema(schema) }
+    };
+  }
+  if (generationConfig.responseMimeType === 'application/json') {
+    return { type: 'json_object' };
+  }
+  return undefined;
+}
+
+/**
+ * Transform a Gemini generateContent request into a /v1/chat/completions request,
+ * which the regular request transformers then turn into the upstream format.
+ * @param {object} geminiRequest - GenerateContentRequest body
+ * @param {string} modelId - Model from the URL path
+ * @param {boolean} stream - streamGenerateContent was called
+ */
+export function transformFromGemini(geminiRequest, modelId, stream) {
+  logDebug('Transforming Gemini request to OpenAI chat format');
+
+  const chatRequest = {
+    model: modelId,
+    messages: [],
+    stream
+  };
+
+  const systemInstruction = geminiRequest.systemInstruction || geminiRequest.system_instruction;
+  if (typeof systemInstruction === 'string' && systemInstruction) {
+    chatRequest.messages.push({ role: 'system', content: systemInstruction });
+  } else if (systemInstruction?.parts) {
+    const systemText = partsToText(systemInstruction.parts);
+    if (systemText) {
+      chatRequest.messages.push({ role: 'system', content: systemText });
+    }
+  }
+
+  if (Array.isArray(geminiRequest.contents)) {
+    chatRequest.messages.push(...convertContents(geminiRequest.contents));
+  }
+
+  // Function declarations only; built-in tools (googleSearch, codeExecution, ...) have no equivalent upstream
+  if (Array.isArray(geminiRequest.tools)) {
+    const tools = geminiRequest.tools
+      .flatMap(tool => tool.functionDeclarations || tool.function_declarations || [])
+      .map(declaration => ({
+        type: 'function',
+        function: {
+          name: declaration.name,
+          description: declaration.description,
+          parameters: normalizeSchema(declaration.parametersJsonSchema || declaration.parameters) ||
+            { type: 'object', properties: {} }
+        }
+      }));
+    if (tools.length > 0) {
+      chatRequest.tools = tools;
+      const toolChoice = convertToolConfig(geminiRequest.toolConfig);
+      if (toolChoice !== undefined) {
+        chatRequest.tool_choice = toolChoice;
+      }
+    }
+  }
+
+  const generationConfig = geminiRequest.generationConfig || {};
+  if (generationConfig.maxOutputTokens !== undefined) {
+    chatRequest.max_tokens = generationConfig.maxOutputTokens;
+  }
+  if (generationConfig.temperature !== undefined) {
+    chatRequest.temperature = generationConfig.temperature;
+  }
+  if (generationConfig.topP !== undefined) {
+    chatRequest.top_p = generationConfig.topP;
+  }
+  if (generationConfig.presencePenalty !== undefined) {
+    chatRequest.presence_penalty = generationConfig.presencePenalty;
+  }
+  if (generationConfig.frequencyPenalty !== undefined) {
+    chatRequest.frequency_penalty = generationConfig.frequencyPenalty;
+  }
+  if (generationConfig.seed !== undefined) {
+    chatRequest.seed = generationConfig.seed;
+  }
+  if (Array.isArray(generationConfig.stopSequences) && generationConfig.stopSequences.length > 0) {
+    chatRequest.stop = generationConfig.stopSequences;
+  }
+
+  const responseFormat = convertResponseFormat(generationConfig);
+  if (responseFormat) {
+    chatRequest.response_format = responseFormat;
+  }
+
+  if (generationConfig.thinkingConfig) {
+    const effort = thinkingConfigToEffort(generationConfig.thinkingConfig, modelId);
+    if (effort) {
+      chatRequest.reasoning_effort = effort;
+    }
+  }
+
+  logDebug('Transformed OpenAI chat request', chatRequest);
+  return chatRequest;
+}
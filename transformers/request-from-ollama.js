@@ -0,0 +1,187 @@
+import { logDebug } from '../logger.js';
+
+/**
+ * Ollama sends images as bare base64; guess the MIME type from the magic bytes
+ */
+function toImageUrl(base64) {
+  let mimeType = 'image/png';
+  if (base64.startsWith('/9j/')) {
+    mimeType = 'image/jpeg';
+  } else if (base64.startsWith('R0lGOD')) {
+    mimeType = 'image/gif';
+  } else if (base64.startsWith('UklGR')) {
+    mimeType = 'image/webp';
+  }
+  return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64}` } };
+}
+
+function withImages(text, images) {
+  if (!Array.isArray(images) || images.length === 0) {
+    return text || '';
+  }
+  const parts = [];
+  if (text) {
+    parts.push({ type: 'text', text });
+  }
+  parts.push(...images.map(toImageUrl));
+  return parts;
+}
+
+/**
+ * Ollama model names carry a tag (e.g. "glm-4.6:latest"); configured model ids do not
+ */
+export function stripModelTag(name) {
+  return typeof name === 'string' ? name.replace(/:latest$/, '') : name;
+}
+
+/**
+ * Convert Ollama messages to chat completions messages.
+ * Ollama tool calls have no ids and tool results only name the tool,
+ * so ids are generated here and results are paired with calls by name.
+ */
+function convertMessages(messages) {
+  const result = [];
+  const unansweredCalls = []; // {id, name}
+  let callCounter = 0;
+
+  for (const msg of messages) {
+    if (msg.role === 'assistant') {
+      const assistantMsg = { role: 'assistant', content: msg.content || null };
+      if (msg.thinking) {
+        assistantMsg.reasoning_content = msg.thinking;
+      }
+      if (Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+        assistantMsg.tool_calls = msg.tool_calls.map(toolCall => {
+          const name = toolCall.function?.name || '';
+          const id = toolCall.id || `call_${name}_${callCounter++}`;
+          unansweredCalls.push({ id, name });
+          const args = toolCall.function?.arguments;
+          return {
+            id,
+            type: 'function',
+            function: {
+              name,
+              arguments: typeof args === 'string' ? args : JSON.stringify(args ?? {})
+            }
+          };
+        });
+      } else if (assistantMsg.content === null) {
+        assistantMsg.content = '';
+      }
+      result.push(assistantMsg);
+      continue;
+    }
+
+    if (msg.role === 'tool') {
+      const name = msg.tool_name || msg.name;
+      const matchIndex = unansweredCalls.findIndex(call => (msg.tool_call_id ? call.id === msg.tool_call_id : call.name === name));
+      const call = matchIndex === -1 ? null : unansweredCalls.splice(matchIndex, 1)[0];
+      result.push({
+        role: 'tool',
+        tool_call_id: call?.id || msg.tool_call_id || `call_${name}_${callCounter++}`,
+        content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content ?? '')
+      });
+      continue;
+    }
+
+    result.push({ role: msg.role, content: withImages(msg.content, msg.images) });
+  }
+
+  return result;
+}
+
+/**
+ * Apply Ollama's shared fields (options, format, think, stream) to a chat request
+ */
+function applyCommonFields(chatRequest, ollamaRequest) {
+  // Ollama streams unless stream is explicitly false
+  chatRequest.stream = ollamaRequest.stream !== false;
+
+  const options = ollamaRequest.options || {};
+  if (typeof options.num_predict === 'number' && options.num_predict > 0) {
+    chatRequest.max_tokens = options.num_predict;
+  }
+  for (const field of ['temperature', 'top_p', 'seed', 'presence_penalty', 'frequency_penalty']) {
+    if (options[field] !== undefined) {
+      chatRequest[field] = options[field];
+    }
+  }
+  if (Array.isArray(options.stop) && options.stop.length > 0) {
+    chatRequest.stop = options.stop;
+  }
+
+  if (ollamaRequest.format === 'json') {
+    chatRequest.response_format = { type: 'json_object' };
+  } else if (ollamaRequest.format && typeof ollamaRequest.format === 'object') {
+    chatRequest.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: ollamaRequest.format }
+    };
+  }
+
+  if (['low', 'medium', 'high'].includes(ollamaRequest.think)) {
+    chatRequest.reasoning_effort = ollamaRequest.think;
+  } else if (ollamaRequest.think === true) {
+    chatRequest.reasoning_effort = 'medium';
+  }
+}
+
+/**
+ * Transform an Ollama /api/chat request into a /v1/chat/completions request
+ */
+export function transformFromOllamaChat(ollamaRequest, modelId) {
+  logDebug('Transforming Ollama chat request to OpenAI chat format');
+
+  const chatRequest = {
+    model: modelId,
+    messages: convertMessages(Array.isArray(ollamaRequest.messages) ? ollamaRequest.messages : [])
+  };
+
+  // Ollama tools already use the chat completions shape
+  if (Array.isArray(ollamaRequest.tools) && ollamaRequest.tools.length > 0) {
+    chatRequest.tools = ollamaRequest.tools
+      .filter(tool => tool.function?.name)
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.function.name,
+          description: tool.function.description,
+          parameters: tool.function.parameters || { type: 'object', properties: {} }
+        }
+      }));
+  }
+
+  applyCommonFields(chatRequest, ollamaRequest);
+
+  logDebug('Transformed OpenAI chat request', chatRequest);
+  return chatRequest;
+}
+
+/**
+ * Transform an Ollama /api/generate request into a /v1/chat/completions request
+ */
+export function transformFromOllamaGenerate(ollamaRequest, modelId) {
+  logDebug('Transforming Ollama generate request to OpenAI chat format');
+
+  const chatRequest = {
+    model: modelId,
+    messages: []
+  };
+
+  let system = ollamaRequest.system || '';
+  if (typeof ollamaRequest.suffix === 'string' && ollamaRequest.suffix) {
+    // Fill-in-the-middle: there is no native support upstream, so describe it
+    system += (system ? '\n\n' : '') +
+      'Continue the text provided by the user. Reply with the continuation only. ' +
+      `The continuation will be followed by this text, so it must lead into it:\n${ollamaRequest.suffix}`;
+  }
+  if (system) {
+    chatRequest.messages.push({ role: 'system', content: system });
+  }
+  chatRequest.messages.push({ role: 'user', content: withImages(ollamaRequest.prompt, ollamaRequest.images) });
+
+  applyCommonFields(chatRequest, ollamaRequest);
+
+  logDebug('Transformed OpenAI chat request', chatRequest);
+  return chatRequest;
+}
@@ -0,0 +1,260 @@
+import { logDebug } from '../logger.js';
+
+/**
+ * Decode reasoning_details stashed in a reasoning item's encrypted_content
+ * (see response-to-responses.js). Foreign encrypted content is ignored.
+ */
+function decodeReasoningDetails(encryptedContent) {
+  if (typeof encryptedContent !== 'string' || encryptedContent === '') {
+    return null;
+  }
+  try {
+    const details = JSON.parse(Buffer.from(encryptedContent, 'base64').toString('utf-8'));
+    return Array.isArray(details) ? details : null;
+  } catch (e) {
+    logDebug('Ignoring reasoning encrypted_content not issued by this proxy');
+    return null;
+  }
+}
+
+function convertContentParts(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+
+  const parts = [];
+  for (const part of content) {
+    if (['input_text', 'output_text', 'text'].includes(part.type)) {
+      parts.push({ type: 'text', text: part.text });
+    } else if (part.type === 'input_image') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      if (url) {
+        const imageUrl = { url };
+        if (part.detail) {
+          imageUrl.detail = part.detail;
+        }
+        parts.push({ type: 'image_url', image_url: imageUrl });
+      }
+    } else if (part.type === 'refusal') {
+      parts.push({ type: 'text', text: part.refusal });
+    } else {
+      logDebug(`Dropping unsupported Responses content part: ${part.type}`);
+    }
+  }
+
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('');
+  }
+  return parts;
+}
+
+function functionOutputToText(output) {
+  if (typeof output === 'string') {
+    return output;
+  }
+  if (Array.isArray(output)) {
+    return output
+      .filter(part => part.type === 'input_text' || part.type === 'output_text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return output === undefined || output === null ? '' : JSON.stringify(output);
+}
+
+/**
+ * Convert Responses input items to chat completions messages.
+ * function_call items attach to the preceding assistant message; reasoning items attach
+ * to the assistant message that follows them.
+ */
+function convertInputItems(input) {
+  const messages = [];
+  let pendingReasoning = null;
+
+  const currentAssistant = () => {
+    const last = messages[messages.length - 1];
+    if (last && last.role === 'assistant') {
+      return last;
+    }
+    const assistantMsg = { role: 'assistant', content: null };
+    messages.push(assistantMsg);
+    return assistantMsg;
+  };
+
+  const attachReasoning = (assistantMsg) => {
+    if (!pendingReasoning) {
+      return;
+    }
+    if (pendingReasoning.text) {
+      assistantMsg.reasoning_content = pendingReasoning.text;
+    }
+    if (pendingReasoning.details) {
+      assistantMsg.reasoning_details = pendingReasoning.details;
+    }
+    pendingReasoning = null;
+  };
+
+  for (const item of input) {
+    const itemType = item.type || 'message';
+
+    if (itemType === 'reasoning') {
+      const text = (item.summary || [])
+        .filter(part => part.type === 'summary_text')
+        .map(part => part.text)
+        .join('\n\n');
+      pendingReasoning = {
+        text,
+        details: decodeReasoningDetails(item.encrypted_content)
+      };
+      continue;
+    }
+
+    if (itemType === 'function_call') {
+      const assistantMsg = currentAssistant();
+      attachReasoning(assistantMsg);
+      assistantMsg.tool_calls = assistantMsg.tool_calls || [];
+      assistantMsg.tool_calls.push({
+        id: item.call_id || item.id,
+        type: 'function',
+        function: {
+          name: item.name,
+          arguments: item.arguments || '{}'
+        }
+      });
+      continue;
+    }
+
+    if (itemType === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: functionOutputToText(item.output)
+      });
+      continue;
+    }
+
+    if (itemType === 'message') {
+      const role = item.role === 'developer' ? 'system' : item.role;
+      const content = convertContentParts(item.content);
+
+      if (role === 'assistant') {
+        // Each assistant message item starts a turn; following function_call items join it
+        const assistantMsg = { role: 'assistant', content: typeof content === 'string' ? content : '' };
+        attachReasoning(assistantMsg);
+        messages.push(assistantMsg);
+      } else {
+        messages.push({ role, content });
+      }
+      continue;
+    }
+
+    logDebug(`Dropping unsupported Responses input item: ${itemType}`);
+  }
+
+  return messages;
+}
+
+function convertToolChoice(toolChoice) {
+  if (['auto', 'none', 'required'].includes(toolChoice)) {
+    return toolChoice;
+  }
+  if (toolChoice?.type === 'function' && toolChoice.name) {
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+  return undefined;
+}
+
+function convertTextFormat(format) {
+  if (format?.type === 'json_schema') {
+    const jsonSchema = { name: format.name || 'response', schema: format.schema || { type: 'object' } };
+    if (format.description) {
+      jsonSchema.description = format.description;
+    }
+    if (format.strict !== undefined) {
+      jsonSchema.strict = format.strict;
+    }
+    return { type: 'json_schema', json_schema: jsonSchema };
+  }
+  if (format?.type === 'json_object') {
+    return { type: 'json_object' };
+  }
+  return undefined;
+}
+
+/**
+ * Transform a /v1/responses request into a /v1/chat/completions request,
+ * which transformToAnthropic / transformToCommon then turn into the upstream format.
+ */
+export function transformFromResponses(responsesRequest) {
+  logDebug('Transforming Responses request to OpenAI chat format');
+
+  const chatRequest = {
+    model: responsesRequest.model,
+    messages: []
+  };
+
+  if (responsesRequest.stream !== undefined) {
+    chatRequest.stream = responsesRequest.stream;
+  }
+  if (responsesRequest.max_output_tokens !== undefined) {
+    chatRequest.max_tokens = responsesRequest.max_output_tokens;
+  }
+
+  if (responsesRequest.instructions) {
+    chatRequest.messages.push({ role: 'system', content: responsesRequest.instructions });
+  }
+
+  if (typeof responsesRequest.input === 'string') {
+    chatRequest.messages.push({ role: 'user', content: responsesRequest.input });
+  } else if (Array.isArray(responsesRequest.input)) {
+    chatRequest.messages.push(...convertInputItems(responsesRequest.input));
+  }
+
+  // Function tools only; hosted tools (web_search, file_search, ...) have no equivalent upstream
+  if (Array.isArray(responsesRequest.tools)) {
+    const tools = responsesRequest.tools
+      .filter(tool => tool.type === 'function')
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters || { type: 'object', properties: {} }
+        }
+      }));
+    if (tools.length > 0) {
+      chatRequest.tools = tools;
+    }
+  }
+
+  if (chatRequest.tools) {
+    const toolChoice = convertToolChoice(responsesRequest.tool_choice);
+    if (toolChoice !== undefined) {
+      chatRequest.tool_choice = toolChoice;
+    }
+    if (responsesRequest.parallel_tool_calls !== undefined) {
+      chatRequest.parallel_tool_calls = responsesRequest.parallel_tool_calls;
+    }
+  }
+
+  const responseFormat = convertTextFormat(responsesRequest.text?.format);
+  if (responseFormat) {
+    chatRequest.response_format = responseFormat;
+  }
+
+  if (responsesRequest.reasoning?.effort) {
+    chatRequest.reasoning_effort = responsesRequest.reasoning.effort;
+  }
+
+  if (responsesRequest.temperature !== undefined) {
+    chatRequest.temperature = responsesRequest.temperature;
+  }
+  if (responsesRequest.top_p !== undefined) {
+    chatRequest.top_p = responsesRequest.top_p;
+  }
+
+  logDebug('Transformed OpenAI chat request', chatRequest);
+  return chatRequest;
+}
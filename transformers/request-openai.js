@@ -1,5 +1,33 @@
-import { logDebug } from '../logger.js';
-import { getSystemPrompt, getModelReasoning, getUserAgent } from '../config.js';
+import { logDebug, logInfo } from '../logger.js';
+import { getSystemPrompt, getModelReasoning, getUserAgent, getModelTokenPolicy, getModelReasoningSummary, getModelTextVerbosity, thinkingBudgetToEffort } from '../config.js';
+
+/**
+ * Build a /v1/responses reasoning object with the model's configured summary mode
+ */
+export function createReasoningConfig(modelId, effort) {
+  const reasoning = { effort };
+  const summary = getModelReasoningSummary(modelId);
+  if (summary !== 'none') {
+    reasoning.summary = summary;
+  }
+  return reasoning;
+}
+
+/**
+ * function_call_output for tool message content parts: input_text / input_image items when
+ * the result carries images, otherwise the parts as JSON text
+ */
+function convertToolOutputParts(content) {
+  const hasImages = Array.isArray(content) && content.some(part => part.type === 'image_url');
+  if (!hasImages) {
+    return JSON.stringify(content);
+  }
+  return content
+    .filter(part => part.type === 'text' || part.type === 'image_url')
+    .map(part => (part.type === 'text'
+      ? { type: 'input_text', text: part.text }
+      : { type: 'input_image', image_url: typeof part.image_url === 'string' ? part.image_url : part.image_url?.url }));
+}
 
 export function transformToOpenAI(openaiRequest) {
   logDebug('Transforming OpenAI request to target OpenAI format');
@@ -21,6 +49,11 @@ export function transformToOpenAI(openaiRequest) {
   } else if (openaiRequest.max_completion_tokens) {
     targetRequest.max_output_tokens = Math.max(16, openaiRequest.max_completion_tokens);
   }
+  const { max_output_tokens: maxOutputTokens } = getModelTokenPolicy(openaiRequest.model);
+  if (targetRequest.max_output_tokens > maxOutputTokens) {
+    logInfo(`Adjusting max_output_tokens from ${targetRequest.max_output_tokens} to ${maxOutputTokens} (model limit)`);
+    targetRequest.max_output_tokens = maxOutputTokens;
+  }
 
   // Transform messages to input
   if (openaiRequest.messages && Array.isArray(openaiRequest.messages)) {
@@ -32,7 +65,7 @@ export function transformToOpenAI(openaiRequest) {
         const toolResultItem = {
           type: 'function_call_output',
           call_id: callId,
-          output: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
+          output: typeof msg.content === 'string' ? msg.content : convertToolOutputParts(msg.content)
         };
         targetRequest.input.push(toolResultItem);
         continue;
@@ -93,9 +126,20 @@ export function transformToOpenAI(openaiRequest) {
               text: part.text
             });
           } else if (part.type === 'image_url') {
-            inputMsg.content.push({
+            // /v1/responses expects image_url as a plain string (http(s) or data URL)
+            const imagePart = {
               type: imageType,
-              image_url: part.image_url
+              image_url: typeof part.image_url === 'string' ? part.image_url : part.image_url?.url
+            };
+            if (part.image_url?.detail) {
+              imagePart.detail = part.image_url.detail;
+            }
+            inputMsg.content.push(imagePart);
+          } else if (part.type === 'input_image' && part.image_url && typeof part.image_url === 'object') {
+            inputMsg.content.push({
+              ...part,
+              image_url: part.image_url.url,
+              detail: part.detail || part.image_url.detail
             });
           } else {
             // Pass through other types as-is
@@ -129,6 +173,20 @@ export function transformToOpenAI(openaiRequest) {
     });
   }
 
+  // Transform tool_choice (named function choice is flattened for /v1/responses format)
+  if (openaiRequest.tool_choice !== undefined && targetRequest.tools) {
+    const toolChoice = transformToolChoice(openaiRequest.tool_choice);
+    if (toolChoice) {
+      targetRequest.tool_choice = toolChoice;
+    }
+  }
+
+  // Transform response_format to /v1/responses text.format
+  const textFormat = transformResponseFormat(openaiRequest.response_format);
+  if (textFormat) {
+    targetRequest.text = { format: textFormat };
+  }
+
   // Extract system message as instructions and prepend system prompt
   const systemPrompt = getSystemPrompt();
   const systemMessage = openaiRequest.messages?.find(m => m.role === 'system');
@@ -156,20 +214,32 @@ export function transformToOpenAI(openaiRequest) {
     // Auto mode: preserve original request's reasoning field exactly as-is
     if (openaiRequest.reasoning !== undefined) {
       targetRequest.reasoning = openaiRequest.reasoning;
+    } else if (['minimal', 'low', 'medium', 'high'].includes(openaiRequest.reasoning_effort)) {
+      // Chat completions style reasoning_effort
+      targetRequest.reasoning = createReasoningConfig(openaiRequest.model, openaiRequest.reasoning_effort);
+    } else if (openaiRequest.thinking?.type === 'enabled') {
+      // Anthropic style thinking: the budget selects the effort
+      const effort = thinkingBudgetToEffort(openaiRequest.model, openaiRequest.thinking.budget_tokens);
+      targetRequest.reasoning = createReasoningConfig(openaiRequest.model, effort);
     }
     // If original request has no reasoning field, don't add one
   } else if (reasoningLevel && ['low', 'medium', 'high'].includes(reasoningLevel)) {
     // Specific level: override with model configuration
-    targetRequest.reasoning = {
-      effort: reasoningLevel,
-      summary: 'auto'
-    };
+    targetRequest.reasoning = createReasoningConfig(openaiRequest.model, reasoningLevel);
   } else {
     // Off or invalid: explicitly remove reasoning field
     // This ensures any reasoning field from the original request is deleted
     delete targetRequest.reasoning;
   }
 
+  // GPT-5 verbosity: the client's chat completions verbosity wins over the model configuration
+  const verbosity = ['low', 'medium', 'high'].includes(openaiRequest.verbosity)
+    ? openaiRequest.verbosity
+    : getModelTextVerbosity(openaiRequest.model);
+  if (verbosity) {
+    targetRequest.text = { ...targetRequest.text, verbosity };
+  }
+
   // Pass through other parameters (skip temperature for codex models)
   const isCodexModel = openaiRequest.model?.toLowerCase().includes('codex');
   if (openaiRequest.temperature !== undefined && !isCodexModel) {
@@ -192,6 +262,57 @@ export function transformToOpenAI(openaiRequest) {
   return targetRequest;
 }
 
+/**
+ * Map chat completions tool_choice to /v1/responses tool_choice.
+ * "none" | "auto" | "required" are identical; {type: "function", function: {name}} becomes {type: "function", name}
+ */
+function transformToolChoice(toolChoice) {
+  if (['none', 'auto', 'required'].includes(toolChoice)) {
+    return toolChoice;
+  }
+  if (toolChoice && typeof toolChoice === 'object') {
+    if (toolChoice.type === 'function') {
+      const name = toolChoice.function?.name || toolChoice.name;
+      return name ? { type: 'function', name } : null;
+    }
+    // Other choices (e.g. hosted tools, allowed_tools) are already in responses format
+    return toolChoice;
+  }
+  return null;
+}
+
+/**
+ * Map chat completions response_format to /v1/responses text.format.
+ * json_schema is flattened: {type, json_schema: {name, schema, strict}} -> {type, name, schema, strict}
+ */
+function transformResponseFormat(responseFormat) {
+  if (!responseFormat || typeof responseFormat !== 'object') {
+    return null;
+  }
+
+  if (responseFormat.type === 'json_schema') {
+    const jsonSchema = responseFormat.json_schema || {};
+    const format = {
+      type: 'json_schema',
+      name: jsonSchema.name || 'response',
+      schema: jsonSchema.schema || { type: 'object' }
+    };
+    if (jsonSchema.description) {
+      format.description = jsonSchema.description;
+    }
+    if (jsonSchema.strict !== undefined) {
+      format.strict = jsonSchema.strict;
+    }
+    return format;
+  }
+
+  if (responseFormat.type === 'json_object' || responseFormat.type === 'text') {
+    return { type: responseFormat.type };
+  }
+
+  return null;
+}
+
 export function getOpenAIHeaders(authHeader, clientHeaders = {}, provider = 'openai') {
   // Generate unique IDs if not provided
   const sessionId = clientHeaders['x-session-id'] || generateUUID();
@@ -1,9 +1,83 @@
 import { logDebug } from '../logger.js';
 
+const STOP_REASON_MAPPING = {
+  'end_turn': 'stop',
+  'max_tokens': 'length',
+  'stop_sequence': 'stop',
+  'tool_use': 'tool_calls',
+  'pause_turn': 'stop',
+  'refusal': 'content_filter'
+};
+
+/**
+ * Map an Anthropic stop_reason to an OpenAI finish_reason
+ */
+export function mapAnthropicStopReason(anthropicReason) {
+  return STOP_REASON_MAPPING[anthropicReason] || 'stop';
+}
+
+/**
+ * Convert Anthropic usage to OpenAI usage.
+ * Anthropic reports cache reads/writes separately from input_tokens,
+ * OpenAI counts them as part of prompt_tokens. OpenAI has no field for cache writes, so they
+ * are reported in prompt_tokens_details.cache_write_tokens, a deliberate extension that
+ * clients can ignore and that the other facades read back (e.g. cache_creation_input_tokens).
+ */
+export function mapAnthropicUsage(usage = {}) {
+  const cacheRead = usage.cache_read_input_tokens || 0;
+  const cacheCreation = usage.cache_creation_input_tokens || 0;
+  const promptTokens = (usage.input_tokens || 0) + cacheRead + cacheCreation;
+  const completionTokens = usage.output_tokens || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    prompt_tokens_details: {
+      cached_tokens: cacheRead,
+      cache_write_tokens: cacheCreation
+    }
+  };
+}
+
+/**
+ * Convert Anthropic thinking / redacted_thinking blocks to opaque reasoning_details entries.
+ * Clients echo these back on assistant messages so transformToAnthropic can rebuild the
+ * signed blocks Anthropic requires when thinking is combined with tool use.
+ */
+export function toReasoningDetails(contentBlocks = []) {
+  const details = [];
+  for (const block of contentBlocks) {
+    if (block.type === 'thinking') {
+      details.push({ type: 'reasoning.text', text: block.thinking || '', signature: block.signature || '' });
+    } else if (block.type === 'redacted_thinking') {
+      details.push({ type: 'reasoning.encrypted', data: block.data });
+    }
+  }
+  return details;
+}
+
 export class AnthropicResponseTransformer {
-  constructor(model, requestId) {
+  /**
+   * @param {string} model - Model ID reported in chunks
+   * @param {string} requestId - Chat completion ID
+   * @param {object} options
+   * @param {string|null} options.structuredOutputTool - Name of the synthetic response_format tool
+   *   whose input is streamed as message content instead of a tool call
+   * @param {string} options.reasoningOutput - How thinking is surfaced:
+   *   'reasoning_content' (delta.reasoning_content), 'think_tags' (<think> inlined in content) or 'none'
+   * @param {boolean} options.includeUsage - Emit a final usage chunk (stream_options.include_usage)
+   */
+  constructor(model, requestId, options = {}) {
     this.model = model;
     this.requestId = requestId || `chatcmpl-${Date.now()}`;
+    this.structuredOutputTool = options.structuredOutputTool || null;
+    this.structuredOutputBlocks = new Set(); // Block indexes carrying structured output
+    this.reasoningOutput = options.reasoningOutput || 'reasoning_content';
+    this.inThinkTag = false;
+    this.thinkingBlock = null; // Current thinking block {thinking, signature} being accumulated
+    this.includeUsage = options.includeUsage === true;
+    this.usage = {}; // Anthropic usage accumulated from message_start / message_delta
     this.created = Math.floor(Date.now() / 1000);
     this.messageId = null;
     this.currentIndex = 0;
@@ -34,6 +108,7 @@ export class AnthropicResponseTransformer {
 
     if (eventType === 'message_start') {
       this.messageId = eventData.message?.id || this.requestId;
+      this.usage = { ...(eventData.message?.usage || {}) };
       return this.createOpenAIChunk('', 'assistant', false);
     }
 
@@ -42,6 +117,23 @@ export class AnthropicResponseTransformer {
       this.currentBlockIndex = eventData.index;
       this.currentBlockType = contentBlock?.type;
       
+      if (contentBlock?.type === 'thinking') {
+        this.thinkingBlock = { type: 'thinking', thinking: '', signature: '' };
+        return null;
+      }
+
+      // Redacted thinking arrives whole; pass it on opaquely so it can be echoed back
+      if (contentBlock?.type === 'redacted_thinking') {
+        return this.createDeltaChunk({ reasoning_details: toReasoningDetails([contentBlock]) });
+      }
+
+      // Structured output tool: its input becomes message content
+      if (contentBlock?.type === 'tool_use' && this.structuredOutputTool &&
+          contentBlock.name === this.structuredOutputTool) {
+        this.structuredOutputBlocks.add(this.currentBlockIndex);
+        return null;
+      }
+
       // Handle tool_use content block
       if (contentBlock?.type === 'tool_use') {
         const toolCallId = contentBlock.id || `call_${Date.now()}`;
@@ -55,7 +147,7 @@ export class AnthropicResponseTransformer {
         });
         
         // Emit initial tool call chunk with function name
-        return this.createToolCallChunk(index, toolCallId, contentBlock.name || '', '', true);
+        return this.closeThinkTag() + this.createToolCallChunk(index, toolCallId, contentBlock.name || '', '', true);
       }
       return null;
     }
@@ -64,12 +156,32 @@ export class AnthropicResponseTransformer {
       // Handle text delta
       if (eventData.delta?.type === 'text_delta') {
         const text = eventData.delta?.text || '';
-        return this.createOpenAIChunk(text, null, false);
+        return this.closeThinkTag() + this.createOpenAIChunk(text, null, false);
+      }
+
+      // Handle thinking delta
+      if (eventData.delta?.type === 'thinking_delta') {
+        const thinking = eventData.delta?.thinking || '';
+        if (this.thinkingBlock) {
+          this.thinkingBlock.thinking += thinking;
+        }
+        return this.createReasoningChunk(thinking);
+      }
+
+      // Signature is emitted with the complete block at content_block_stop
+      if (eventData.delta?.type === 'signature_delta') {
+        if (this.thinkingBlock) {
+          this.thinkingBlock.signature += eventData.delta?.signature || '';
+        }
+        return null;
       }
       
       // Handle tool_use input_json_delta
       if (eventData.delta?.type === 'input_json_delta') {
         const partialJson = eventData.delta?.partial_json || '';
+        if (this.structuredOutputBlocks.has(eventData.index)) {
+          return partialJson ? this.closeThinkTag() + this.createOpenAIChunk(partialJson, null, false) : null;
+        }
         const toolCall = this.toolCalls.get(eventData.index);
         if (toolCall) {
           toolCall.arguments += partialJson;
@@ -87,20 +199,41 @@ export class AnthropicResponseTransformer {
     }
 
     if (eventType === 'content_block_stop') {
+      const finishedThinking = this.currentBlockType === 'thinking' ? this.thinkingBlock : null;
       this.currentBlockIndex = null;
       this.currentBlockType = null;
+      this.thinkingBlock = null;
+
+      if (finishedThinking?.signature) {
+        return this.createDeltaChunk({
+          reasoning_signature: finishedThinking.signature,
+          reasoning_details: toReasoningDetails([finishedThinking])
+        });
+      }
       return null;
     }
 
     if (eventType === 'message_delta') {
+      // message_delta usage counts are cumulative
+      if (eventData.usage) {
+        this.usage = { ...this.usage, ...eventData.usage };
+      }
       const stopReason = eventData.delta?.stop_reason;
       if (stopReason) {
-        return this.createOpenAIChunk('', null, true, this.mapStopReason(stopReason));
+        let finishReason = this.mapStopReason(stopReason);
+        // Only the structured output tool was called: this is a regular answer
+        if (finishReason === 'tool_calls' && this.toolCalls.size === 0 && this.structuredOutputBlocks.size > 0) {
+          finishReason = 'stop';
+        }
+        return this.closeThinkTag() + this.createOpenAIChunk('', null, true, finishReason);
       }
       return null;
     }
 
     if (eventType === 'message_stop') {
+      if (this.includeUsage) {
+        return this.createUsageChunk(mapAnthropicUsage(this.usage)) + this.createDoneSignal();
+      }
       return this.createDoneSignal();
     }
 
@@ -111,7 +244,7 @@ export class AnthropicResponseTransformer {
     return null;
   }
 
-  createOpenAIChunk(content, role = null, finish = false, finishReason = null) {
+  createOpenAIChunk(content, role = null, finish = false, finishReason = null, reasoningContent = null) {
     const chunk = {
       id: this.requestId,
       object: 'chat.completion.chunk',
@@ -132,7 +265,72 @@ export class AnthropicResponseTransformer {
     if (content) {
       chunk.choices[0].delta.content = content;
     }
+    if (reasoningContent) {
+      chunk.choices[0].delta.reasoning_content = reasoningContent;
+    }
+
+    return this.formatChunk(chunk);
+  }
 
+  createDeltaChunk(delta) {
+    const chunk = {
+      id: this.requestId,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [
+        {
+          index: 0,
+          delta,
+          finish_reason: null
+        }
+      ]
+    };
+
+    return this.formatChunk(chunk);
+  }
+
+  // Emit thinking as delta.reasoning_content, or inline it in <think> tags for content-only clients
+  createReasoningChunk(text) {
+    if (!text || this.reasoningOutput === 'none') {
+      return null;
+    }
+    if (this.reasoningOutput === 'think_tags') {
+      const prefix = this.inThinkTag ? '' : '<think>\n';
+      this.inThinkTag = true;
+      return this.createOpenAIChunk(prefix + text, null, false);
+    }
+    return this.createOpenAIChunk('', null, false, null, text);
+  }
+
+  // Close an open <think> tag before regular content, tool calls or the finish chunk
+  closeThinkTag() {
+    if (!this.inThinkTag) {
+      return '';
+    }
+    this.inThinkTag = false;
+    return this.createOpenAIChunk('\n</think>\n\n', null, false);
+  }
+
+  // Final usage chunk: empty choices, as sent by OpenAI for stream_options.include_usage
+  createUsageChunk(usage) {
+    const chunk = {
+      id: this.requestId,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [],
+      usage
+    };
+
+    return this.formatChunk(chunk);
+  }
+
+  // With include_usage every chunk before the usage chunk carries usage: null, as OpenAI sends it
+  formatChunk(chunk) {
+    if (this.includeUsage && !('usage' in chunk)) {
+      chunk.usage = null;
+    }
     return `data: ${JSON.stringify(chunk)}\n\n`;
   }
 
@@ -141,13 +339,7 @@ export class AnthropicResponseTransformer {
   }
 
   mapStopReason(anthropicReason) {
-    const mapping = {
-      'end_turn': 'stop',
-      'max_tokens': 'length',
-      'stop_sequence': 'stop',
-      'tool_use': 'tool_calls'
-    };
-    return mapping[anthropicReason] || 'stop';
+    return mapAnthropicStopReason(anthropicReason);
   }
 
   createToolCallChunk(index, toolCallId, functionName, argumentsDelta, isFirst) {
@@ -188,7 +380,7 @@ export class AnthropicResponseTransformer {
       };
     }
 
-    return `data: ${JSON.stringify(chunk)}\n\n`;
+    return this.formatChunk(chunk);
   }
 
   async *transformStream(sourceStream) {
@@ -1,10 +1,46 @@
 import { logDebug } from '../logger.js';
 
+/**
+ * Convert /v1/responses usage to chat completions usage
+ */
+export function mapResponsesUsage(usage = {}) {
+  const promptTokens = usage.input_tokens || 0;
+  const completionTokens = usage.output_tokens || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage.total_tokens || promptTokens + completionTokens,
+    prompt_tokens_details: {
+      cached_tokens: usage.input_tokens_details?.cached_tokens || 0
+    },
+    completion_tokens_details: {
+      reasoning_tokens: usage.output_tokens_details?.reasoning_tokens || 0
+    }
+  };
+}
+
 export class OpenAIResponseTransformer {
-  constructor(model, requestId) {
+  /**
+   * @param {string} model - Model ID reported in chunks
+   * @param {string} requestId - Chat completion ID
+   * @param {object} options
+   * @param {string} options.reasoningOutput - How reasoning summaries are surfaced:
+   *   'reasoning_content' (delta.reasoning_content), 'think_tags' (<think> inlined in content) or 'none'
+   * @param {boolean} options.includeUsage - Emit a final usage chunk (stream_options.include_usage)
+   * @param {boolean} options.streamToolArguments - Emit tool call headers on response.output_item.added
+   *   and stream argument deltas, instead of one complete chunk at response.output_item.done
+   */
+  constructor(model, requestId, options = {}) {
     this.model = model;
     this.requestId = requestId || `chatcmpl-${Date.now()}`;
     this.created = Math.floor(Date.now() / 1000);
+    this.reasoningOutput = options.reasoningOutput || 'reasoning_content';
+    this.inThinkTag = false;
+    this.hasReasoning = false;
+    this.includeUsage = options.includeUsage === true;
+    this.streamToolArguments = options.streamToolArguments === true;
+    this.streamingToolCalls = new Map(); // item id / output_index -> {index, id, arguments}
     // Tool call tracking
     this.toolCallIndex = 0;
     this.hasToolCalls = false;
@@ -41,7 +77,18 @@ export class OpenAIResponseTransformer {
         eventType === 'response.text.delta' ||
         eventType === 'response.content_part.delta') {
       const text = eventData.delta || eventData.text || '';
-      return this.createOpenAIChunk(text, 'assistant', false);
+      return this.closeThinkTag() + this.createOpenAIChunk(text, 'assistant', false);
+    }
+
+    // Handle reasoning summary / reasoning text deltas
+    if (eventType === 'response.reasoning_summary_text.delta' ||
+        eventType === 'response.reasoning_text.delta') {
+      return this.createReasoningChunk(eventData.delta || '');
+    }
+
+    // Separate consecutive reasoning summary parts
+    if (eventType === 'response.reasoning_summary_part.added') {
+      return this.hasReasoning ? this.createReasoningChunk('\n\n') : null;
     }
 
     if (eventType === 'response.output_text.done' ||
@@ -61,6 +108,14 @@ export class OpenAIResponseTransformer {
       // Fall through for function_call handling below
     }
 
+    // Incremental mode: tool call header on added, arguments as they arrive
+    if (this.streamToolArguments) {
+      const streamed = this.transformToolCallEvent(eventType, eventData);
+      if (streamed !== undefined) {
+        return streamed;
+      }
+    }
+
     // Handle tool call events - only process in response.output_item.done (CLIProxyAPI approach)
     if (eventType === 'response.output_item.added' || 
         eventType === 'response.function_call_arguments.delta' ||
@@ -78,7 +133,7 @@ export class OpenAIResponseTransformer {
         this.hasToolCalls = true;
         
         // Emit complete tool call in one chunk
-        return this.createCompleteToolCallChunk(index, toolCallId, item.name || '', item.arguments || '{}');
+        return this.closeThinkTag() + this.createCompleteToolCallChunk(index, toolCallId, item.name || '', item.arguments || '{}');
       }
       return null;
     }
@@ -95,16 +150,72 @@ export class OpenAIResponseTransformer {
       }
 
       this.isDone = true;
-      const finalChunk = this.createOpenAIChunk('', null, true, finishReason);
+      const finalChunk = this.closeThinkTag() + this.createOpenAIChunk('', null, true, finishReason);
+      const usage = eventData.response?.usage;
+      const usageChunk = this.includeUsage && usage ? this.createUsageChunk(mapResponsesUsage(usage)) : '';
       const done = this.createDoneSignal();
-      return finalChunk + done;
+      return finalChunk + usageChunk + done;
     }
 
     // Ignore other events silently
     return null;
   }
 
-  createOpenAIChunk(content, role = null, finish = false, finishReason = null) {
+  /**
+   * Handle function call events in incremental mode, mirroring AnthropicResponseTransformer's
+   * input_json_delta handling. Returns undefined for events this mode does not handle.
+   */
+  transformToolCallEvent(eventType, eventData) {
+    if (eventType === 'response.output_item.added') {
+      const item = eventData.item;
+      if (!item || item.type !== 'function_call') {
+        return undefined;
+      }
+      const toolCall = {
+        index: this.toolCallIndex++,
+        id: item.call_id || item.id || `call_${Date.now()}`,
+        arguments: ''
+      };
+      this.streamingToolCalls.set(item.id ?? eventData.output_index, toolCall);
+      this.hasToolCalls = true;
+      return this.closeThinkTag() + this.createToolCallChunk(toolCall.index, toolCall.id, item.name || '', '', true);
+    }
+
+    if (eventType === 'response.function_call_arguments.delta') {
+      const toolCall = this.streamingToolCalls.get(eventData.item_id ?? eventData.output_index);
+      if (!toolCall || !eventData.delta) {
+        return null;
+      }
+      toolCall.arguments += eventData.delta;
+      return this.createToolCallChunk(toolCall.index, toolCall.id, null, eventData.delta, false);
+    }
+
+    if (eventType === 'response.function_call_arguments.done') {
+      return null;
+    }
+
+    if (eventType === 'response.output_item.done') {
+      const item = eventData.item;
+      const toolCall = item?.type === 'function_call'
+        ? this.streamingToolCalls.get(item.id ?? eventData.output_index)
+        : null;
+      if (!toolCall) {
+        return undefined;
+      }
+      // Flush whatever part of the final arguments was not streamed as deltas
+      const finalArgs = item.arguments || '';
+      if (finalArgs.length > toolCall.arguments.length && finalArgs.startsWith(toolCall.arguments)) {
+        const remaining = finalArgs.slice(toolCall.arguments.length);
+        toolCall.arguments = finalArgs;
+        return this.createToolCallChunk(toolCall.index, toolCall.id, null, remaining, false);
+      }
+      return null;
+    }
+
+    return undefined;
+  }
+
+  createOpenAIChunk(content, role = null, finish = false, finishReason = null, reasoningContent = null) {
     const chunk = {
       id: this.requestId,
       object: 'chat.completion.chunk',
@@ -125,7 +236,55 @@ export class OpenAIResponseTransformer {
     if (content) {
       chunk.choices[0].delta.content = content;
     }
+    if (reasoningContent) {
+      chunk.choices[0].delta.reasoning_content = reasoningContent;
+    }
+
+    return this.formatChunk(chunk);
+  }
+
+  // Emit reasoning as delta.reasoning_content, or inline it in <think> tags for content-only clients
+  createReasoningChunk(text) {
+    if (!text || this.reasoningOutput === 'none') {
+      return null;
+    }
+    this.hasReasoning = true;
+    if (this.reasoningOutput === 'think_tags') {
+      const prefix = this.inThinkTag ? '' : '<think>\n';
+      this.inThinkTag = true;
+      return this.createOpenAIChunk(prefix + text, null, false);
+    }
+    return this.createOpenAIChunk('', null, false, null, text);
+  }
 
+  // Close an open <think> tag before regular content, tool calls or the finish chunk
+  closeThinkTag() {
+    if (!this.inThinkTag) {
+      return '';
+    }
+    this.inThinkTag = false;
+    return this.createOpenAIChunk('\n</think>\n\n', null, false);
+  }
+
+  // Final usage chunk: empty choices, as sent by OpenAI for stream_options.include_usage
+  createUsageChunk(usage) {
+    const chunk = {
+      id: this.requestId,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [],
+      usage
+    };
+
+    return this.formatChunk(chunk);
+  }
+
+  // With include_usage every chunk before the usage chunk carries usage: null, as OpenAI sends it
+  formatChunk(chunk) {
+    if (this.includeUsage && !('usage' in chunk)) {
+      chunk.usage = null;
+    }
     return `data: ${JSON.stringify(chunk)}\n\n`;
   }
 
@@ -171,7 +330,7 @@ export class OpenAIResponseTransformer {
       };
     }
 
-    return `data: ${JSON.stringify(chunk)}\n\n`;
+    return this.formatChunk(chunk);
   }
 
   // Create a complete tool call chunk (for response.output_item.done event)
@@ -204,7 +363,7 @@ export class OpenAIResponseTransformer {
       ]
     };
 
-    return `data: ${JSON.stringify(chunk)}\n\n`;
+    return this.formatChunk(chunk);
   }
 
   async *transformStream(sourceStream) {
@@ -238,7 +397,7 @@ export class OpenAIResponseTransformer {
 
       // Ensure DONE signal is sent if stream ended without response.done
       if (!this.isDone) {
-        yield this.createOpenAIChunk('', null, true, 'stop');
+        yield this.closeThinkTag() + this.createOpenAIChunk('', null, true, 'stop');
         yield this.createDoneSignal();
       }
     } catch (error) {
@@ -0,0 +1,298 @@
+import { logDebug } from '../logger.js';
+
+const FINISH_REASON_MAPPING = {
+  'stop': 'end_turn',
+  'length': 'max_tokens',
+  'tool_calls': 'tool_use',
+  'function_call': 'tool_use',
+  'content_filter': 'refusal'
+};
+
+const ERROR_TYPE_MAPPING = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error'
+};
+
+/**
+ * Map an OpenAI finish_reason to an Anthropic stop_reason
+ */
+export function mapFinishReason(finishReason) {
+  return FINISH_REASON_MAPPING[finishReason] || 'end_turn';
+}
+
+/**
+ * Anthropic error body ({type: "error", error: {type, message}}) for an HTTP status
+ */
+export function createAnthropicError(status, message) {
+  const type = ERROR_TYPE_MAPPING[status] || (status >= 500 ? 'api_error' : 'invalid_request_error');
+  return { type: 'error', error: { type, message } };
+}
+
+/**
+ * Convert chat completions usage to Anthropic usage (cached tokens are reported separately)
+ */
+export function mapChatUsage(usage = {}) {
+  const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+  const cacheWriteTokens = usage.prompt_tokens_details?.cache_write_tokens || 0;
+  return {
+    input_tokens: Math.max(0, (usage.prompt_tokens || 0) - cachedTokens - cacheWriteTokens),
+    output_tokens: usage.completion_tokens || 0,
+    cache_read_input_tokens: cachedTokens,
+    cache_creation_input_tokens: cacheWriteTokens
+  };
+}
+
+function parseToolArguments(args) {
+  if (!args) {
+    return {};
+  }
+  try {
+    return JSON.parse(args);
+  } catch (e) {
+    logDebug('Failed to parse tool call arguments, returning raw string');
+    return { raw_arguments: args };
+  }
+}
+
+/**
+ * Thinking blocks for an assistant message. reasoning_details (or reasoning_signature) keep the
+ * upstream's signatures so clients can send the blocks back; plain reasoning gets an empty one.
+ */
+function convertReasoningToThinkingBlocks(message) {
+  const blocks = [];
+  for (const detail of Array.isArray(message.reasoning_details) ? message.reasoning_details : []) {
+    if (detail?.type === 'reasoning.text') {
+      blocks.push({ type: 'thinking', thinking: detail.text || '', signature: detail.signature || '' });
+    } else if (detail?.type === 'reasoning.encrypted' && detail.data) {
+      blocks.push({ type: 'redacted_thinking', data: detail.data });
+    }
+  }
+  if (blocks.length === 0 && message.reasoning_content) {
+    blocks.push({ type: 'thinking', thinking: message.reasoning_content, signature: message.reasoning_signature || '' });
+  }
+  return blocks;
+}
+
+/**
+ * Convert a non-streaming chat completion to an Anthropic message
+ */
+export function convertChatCompletionToAnthropic(chatCompletion, model) {
+  const choice = chatCompletion?.choices?.[0];
+  if (!choice) {
+    throw new Error('Invalid chat completion object');
+  }
+
+  const message = choice.message || {};
+  const content = convertReasoningToThinkingBlocks(message);
+
+  if (typeof message.content === 'string' && message.content) {
+    content.push({ type: 'text', text: message.content });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id,
+      name: toolCall.function?.name || '',
+      input: parseToolArguments(toolCall.function?.arguments)
+    });
+  }
+
+  return {
+    id: chatCompletion.id ? chatCompletion.id.replace(/^chatcmpl-/, 'msg_') : `msg_${Date.now()}`,
+    type: 'message',
+    role: 'assistant',
+    model: model || chatCompletion.model,
+    content,
+    stop_reason: mapFinishReason(choice.finish_reason),
+    stop_sequence: null,
+    usage: mapChatUsage(chatCompletion.usage)
+  };
+}
+
+/**
+ * Transforms a /v1/chat/completions SSE stream into Anthropic /v1/messages SSE events
+ * (message_start, content_block_start/delta/stop, message_delta, message_stop).
+ */
+export class AnthropicStreamTransformer {
+  constructor(model, messageId) {
+    this.model = model;
+    this.messageId = messageId || `msg_${Date.now()}`;
+    this.started = false;
+    this.finished = false;
+    this.blockIndex = -1;
+    this.openBlockType = null; // 'text' | 'thinking' | 'tool_use'
+    this.toolBlocks = new Map(); // chat tool call index -> content block index
+    this.stopReason = null;
+    this.usage = null;
+  }
+
+  createEvent(eventType, data) {
+    return `event: ${eventType}\ndata: ${JSON.stringify({ type: eventType, ...data })}\n\n`;
+  }
+
+  startMessage() {
+    if (this.started) {
+      return '';
+    }
+    this.started = true;
+    // Input tokens are only known here when the upstream reports usage before any content
+    const usage = mapChatUsage(this.usage || {});
+    return this.createEvent('message_start', {
+      message: {
+        id: this.messageId,
+        type: 'message',
+        role: 'assistant',
+        model: this.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { ...usage, output_tokens: 0 }
+      }
+    });
+  }
+
+  closeBlock() {
+    if (!this.openBlockType) {
+      return '';
+    }
+    this.openBlockType = null;
+    return this.createEvent('content_block_stop', { index: this.blockIndex });
+  }
+
+  openBlock(blockType, contentBlock) {
+    let out = this.closeBlock();
+    this.blockIndex++;
+    this.openBlockType = blockType;
+    out += this.createEvent('content_block_start', { index: this.blockIndex, content_block: contentBlock });
+    return out;
+  }
+
+  transformChunk(chunk) {
+    if (chunk.usage) {
+      this.usage = chunk.usage;
+    }
+
+    let out = this.startMessage();
+
+    const choice = chunk.choices?.[0];
+    if (!choice) {
+      return out;
+    }
+    const delta = choice.delta || {};
+
+    if (delta.reasoning_content) {
+      if (this.openBlockType !== 'thinking') {
+        out += this.openBlock('thinking', { type: 'thinking', thinking: '' });
+      }
+      out += this.createEvent('content_block_delta', {
+        index: this.blockIndex,
+        delta: { type: 'thinking_delta', thinking: delta.reasoning_content }
+      });
+    }
+    if (delta.reasoning_signature && this.openBlockType === 'thinking') {
+      out += this.createEvent('content_block_delta', {
+        index: this.blockIndex,
+        delta: { type: 'signature_delta', signature: delta.reasoning_signature }
+      });
+    }
+
+    if (delta.content) {
+      if (this.openBlockType !== 'text') {
+        out += this.openBlock('text', { type: 'text', text: '' });
+      }
+      out += this.createEvent('content_block_delta', {
+        index: this.blockIndex,
+        delta: { type: 'text_delta', text: delta.content }
+      });
+    }
+
+    for (const toolCall of delta.tool_calls || []) {
+      const toolIndex = toolCall.index ?? 0;
+      if (!this.toolBlocks.has(toolIndex)) {
+        out += this.openBlock('tool_use', {
+          type: 'tool_use',
+          id: toolCall.id || `toolu_${Date.now()}_${toolIndex}`,
+          name: toolCall.function?.name || '',
+          input: {}
+        });
+        this.toolBlocks.set(toolIndex, this.blockIndex);
+      }
+
+      const args = toolCall.function?.arguments;
+      // Argument deltas for a block that is already closed cannot be delivered
+      if (args && this.toolBlocks.get(toolIndex) === this.blockIndex) {
+        out += this.createEvent('content_block_delta', {
+          index: this.blockIndex,
+          delta: { type: 'input_json_delta', partial_json: args }
+        });
+      }
+    }
+
+    if (choice.finish_reason) {
+      this.stopReason = mapFinishReason(choice.finish_reason);
+    }
+
+    return out;
+  }
+
+  finish() {
+    if (this.finished) {
+      return '';
+    }
+    this.finished = true;
+
+    let out = this.startMessage();
+    out += this.closeBlock();
+    const usage = mapChatUsage(this.usage || {});
+    out += this.createEvent('message_delta', {
+      delta: { stop_reason: this.stopReason || 'end_turn', stop_sequence: null },
+      usage
+    });
+    out += this.createEvent('message_stop', {});
+    return out;
+  }
+
+  async *transformStream(sourceStream) {
+    let buffer = '';
+
+    try {
+      for await (const chunk of sourceStream) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+
+          const dataStr = line.slice(5).trim();
+          if (dataStr === '[DONE]') {
+            continue;
+          }
+
+          let parsed;
+          try {
+            parsed = JSON.parse(dataStr);
+          } catch (e) {
+            logDebug('Skipping unparsable chat completion chunk');
+            continue;
+          }
+
+          const transformed = this.transformChunk(parsed);
+          if (transformed) {
+            yield transformed;
+          }
+        }
+      }
+
+      yield this.finish();
+    } catch (error) {
+      logDebug('Error in Anthropic stream transformation', error);
+      throw error;
+    }
+  }
+}
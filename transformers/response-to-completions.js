@@ -0,0 +1,204 @@
+import { logDebug } from '../logger.js';
+
+/**
+ * Cut text at the first stop sequence. The Responses API has no stop parameter,
+ * so stop sequences are also enforced locally.
+ * @returns {{text: string, stopped: boolean}}
+ */
+export function applyStopSequences(text, stop = []) {
+  let cutAt = -1;
+  for (const sequence of stop) {
+    const position = text.indexOf(sequence);
+    if (position !== -1 && (cutAt === -1 || position < cutAt)) {
+      cutAt = position;
+    }
+  }
+  return cutAt === -1 ? { text, stopped: false } : { text: text.slice(0, cutAt), stopped: true };
+}
+
+/**
+ * Sum chat completions usage objects (one per upstream request).
+ * Cached and reasoning token details are kept when any upstream reported them.
+ */
+export function sumUsage(usages) {
+  const total = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  for (const usage of usages) {
+    if (!usage) continue;
+    total.prompt_tokens += usage.prompt_tokens || 0;
+    total.completion_tokens += usage.completion_tokens || 0;
+    total.total_tokens += usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+
+    const cachedTokens = usage.prompt_tokens_details?.cached_tokens;
+    if (cachedTokens !== undefined) {
+      total.prompt_tokens_details = {
+        ...total.prompt_tokens_details,
+        cached_tokens: (total.prompt_tokens_details?.cached_tokens || 0) + cachedTokens
+      };
+    }
+    const cacheWriteTokens = usage.prompt_tokens_details?.cache_write_tokens;
+    if (cacheWriteTokens !== undefined) {
+      total.prompt_tokens_details = {
+        ...total.prompt_tokens_details,
+        cache_write_tokens: (total.prompt_tokens_details?.cache_write_tokens || 0) + cacheWriteTokens
+      };
+    }
+    const reasoningTokens = usage.completion_tokens_details?.reasoning_tokens;
+    if (reasoningTokens !== undefined) {
+      total.completion_tokens_details = {
+        reasoning_tokens: (total.completion_tokens_details?.reasoning_tokens || 0) + reasoningTokens
+      };
+    }
+  }
+  return total;
+}
+
+/**
+ * Build a legacy text_completion object (or streaming chunk)
+ */
+export function createTextCompletion(id, model, choices, usage) {
+  const completion = {
+    id,
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices
+  };
+  if (usage !== undefined) {
+    completion.usage = usage;
+  }
+  return completion;
+}
+
+/**
+ * Convert a non-streaming chat completion into one legacy completion choice
+ * @param {object} options - {prompt, echo, stop}
+ */
+export function convertChatCompletionToTextChoice(chatCompletion, index, options = {}) {
+  const choice = chatCompletion?.choices?.[0];
+  if (!choice) {
+    throw new Error('Invalid chat completion object');
+  }
+
+  const content = typeof choice.message?.content === 'string' ? choice.message.content : '';
+  const { text, stopped } = applyStopSequences(content, options.stop);
+
+  return {
+    text: options.echo ? options.prompt + text : text,
+    index,
+    logprobs: null,
+    finish_reason: stopped ? 'stop' : (choice.finish_reason || 'stop')
+  };
+}
+
+/**
+ * Transforms a /v1/chat/completions SSE stream into legacy text_completion chunks for one choice.
+ * data: [DONE] is left to the caller, which may stream several choices in one response.
+ */
+export class TextCompletionStreamTransformer {
+  constructor(id, model, options = {}) {
+    this.id = id;
+    this.model = model;
+    this.index = options.index || 0;
+    this.prompt = options.prompt || '';
+    this.echo = options.echo === true;
+    this.stop = options.stop || [];
+    // Text that could still be the start of a stop sequence is held back
+    this.holdback = this.stop.reduce((max, sequence) => Math.max(max, sequence.length - 1), 0);
+    this.pending = '';
+    this.stopped = false;
+    this.finishReason = null;
+    this.usage = null;
+  }
+
+  createChunk(text, finishReason = null) {
+    return `data: ${JSON.stringify(createTextCompletion(this.id, this.model, [{
+      text,
+      index: this.index,
+      logprobs: null,
+      finish_reason: finishReason
+    }]))}\n\n`;
+  }
+
+  transformChunk(chunk) {
+    if (chunk.usage) {
+      this.usage = chunk.usage;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice || this.stopped) {
+      return '';
+    }
+    if (choice.finish_reason) {
+      this.finishReason = choice.finish_reason;
+    }
+
+    const content = choice.delta?.content;
+    if (!content) {
+      return '';
+    }
+
+    this.pending += content;
+    const { text, stopped } = applyStopSequences(this.pending, this.stop);
+    if (stopped) {
+      this.stopped = true;
+      this.finishReason = 'stop';
+      this.pending = '';
+      return text ? this.createChunk(text) : '';
+    }
+
+    const emitLength = this.pending.length - this.holdback;
+    if (emitLength <= 0) {
+      return '';
+    }
+    const emitted = this.pending.slice(0, emitLength);
+    this.pending = this.pending.slice(emitLength);
+    return this.createChunk(emitted);
+  }
+
+  async *transformStream(sourceStream) {
+    let buffer = '';
+
+    if (this.echo && this.prompt) {
+      yield this.createChunk(this.prompt);
+    }
+
+    try {
+      for await (const chunk of sourceStream) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+
+          const dataStr = line.slice(5).trim();
+          if (dataStr === '[DONE]') {
+            continue;
+          }
+
+          let parsed;
+          try {
+            parsed = JSON.parse(dataStr);
+          } catch (e) {
+            logDebug('Skipping unparsable chat completion chunk');
+            continue;
+          }
+
+          const transformed = this.transformChunk(parsed);
+          if (transformed) {
+            yield transformed;
+          }
+        }
+      }
+
+      if (this.pending) {
+        yield this.createChunk(this.pending);
+        this.pending = '';
+      }
+      yield this.createChunk('', this.finishReason || 'stop');
+    } catch (error) {
+      logDebug('Error in text completion stream transformation', error);
+      throw error;
+    }
+  }
+}
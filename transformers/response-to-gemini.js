@@ -0,0 +1,253 @@
+import { logDebug } from '../logger.js';
+
+const FINISH_REASON_MAPPING = {
+  'stop': 'STOP',
+  'tool_calls': 'STOP',
+  'function_call': 'STOP',
+  'length': 'MAX_TOKENS',
+  'content_filter': 'SAFETY'
+};
+
+const ERROR_STATUS_MAPPING = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  501: 'NOT_IMPLEMENTED',
+  503: 'UNAVAILABLE',
+  504: 'DEADLINE_EXCEEDED'
+};
+
+/**
+ * Map an OpenAI finish_reason to a Gemini finishReason
+ */
+export function mapFinishReason(finishReason) {
+  return FINISH_REASON_MAPPING[finishReason] || 'STOP';
+}
+
+/**
+ * Google API error body ({error: {code, message, status}}) for an HTTP status
+ */
+export function createGeminiError(code, message) {
+  const status = ERROR_STATUS_MAPPING[code] || (code >= 500 ? 'INTERNAL' : 'INVALID_ARGUMENT');
+  return { error: { code, message, status } };
+}
+
+/**
+ * Convert chat completions usage to Gemini usageMetadata
+ */
+export function mapChatUsage(usage = {}) {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const usageMetadata = {
+    promptTokenCount: promptTokens,
+    candidatesTokenCount: completionTokens,
+    totalTokenCount: usage.total_tokens || promptTokens + completionTokens
+  };
+  const cachedTokens = usage.prompt_tokens_details?.cached_tokens;
+  if (cachedTokens) {
+    usageMetadata.cachedContentTokenCount = cachedTokens;
+  }
+  const reasoningTokens = usage.completion_tokens_details?.reasoning_tokens;
+  if (reasoningTokens) {
+    usageMetadata.thoughtsTokenCount = reasoningTokens;
+  }
+  return usageMetadata;
+}
+
+function parseToolArguments(args) {
+  if (!args) {
+    return {};
+  }
+  try {
+    return JSON.parse(args);
+  } catch (e) {
+    logDebug('Failed to parse tool call arguments, returning raw string');
+    return { raw_arguments: args };
+  }
+}
+
+function toFunctionCallPart(toolCall) {
+  return {
+    functionCall: {
+      id: toolCall.id,
+      name: toolCall.function?.name || '',
+      args: parseToolArguments(toolCall.function?.arguments)
+    }
+  };
+}
+
+function createResponse(responseId, model, parts, finishReason, usage) {
+  const candidate = {
+    content: { role: 'model', parts },
+    index: 0
+  };
+  if (finishReason) {
+    candidate.finishReason = finishReason;
+  }
+
+  const response = {
+    candidates: [candidate],
+    modelVersion: model,
+    responseId
+  };
+  if (usage) {
+    response.usageMetadata = mapChatUsage(usage);
+  }
+  return response;
+}
+
+/**
+ * Convert a non-streaming chat completion to a Gemini GenerateContentResponse
+ */
+export function convertChatCompletionToGemini(chatCompletion, model) {
+  const choice = chatCompletion?.choices?.[0];
+  if (!choice) {
+    throw new Error('Invalid chat completion object');
+  }
+
+  const message = choice.message || {};
+  const parts = [];
+
+  if (message.reasoning_content) {
+    parts.push({ text: message.reasoning_content, thought: true });
+  }
+  if (typeof message.content === 'string' && message.content) {
+    parts.push({ text: message.content });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    parts.push(toFunctionCallPart(toolCall));
+  }
+
+  return createResponse(
+    chatCompletion.id || `gemini-${Date.now()}`,
+    model || chatCompletion.model,
+    parts,
+    mapFinishReason(choice.finish_reason),
+    chatCompletion.usage || {}
+  );
+}
+
+/**
+ * Transforms a /v1/chat/completions SSE stream into streamGenerateContent output:
+ * SSE (alt=sse) or a streamed JSON array (the default for the Gemini REST API).
+ * Text is streamed as it arrives; function calls are sent whole, as Gemini does.
+ */
+export class GeminiStreamTransformer {
+  constructor(model, responseId, options = {}) {
+    this.model = model;
+    this.responseId = responseId || `gemini-${Date.now()}`;
+    this.sse = options.sse !== false;
+    this.sentCount = 0;
+    this.toolCalls = new Map(); // chat tool call index -> {id, function: {name, arguments}}
+    this.finishReason = null;
+    this.usage = null;
+  }
+
+  format(response) {
+    const json = JSON.stringify(response);
+    if (this.sse) {
+      return `data: ${json}\r\n\r\n`;
+    }
+    return (this.sentCount++ === 0 ? '[' : ',\r\n') + json;
+  }
+
+  transformChunk(chunk) {
+    if (chunk.usage) {
+      this.usage = chunk.usage;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) {
+      return '';
+    }
+    const delta = choice.delta || {};
+    const parts = [];
+
+    if (delta.reasoning_content) {
+      parts.push({ text: delta.reasoning_content, thought: true });
+    }
+    if (delta.content) {
+      parts.push({ text: delta.content });
+    }
+
+    for (const toolCall of delta.tool_calls || []) {
+      const toolIndex = toolCall.index ?? 0;
+      if (!this.toolCalls.has(toolIndex)) {
+        this.toolCalls.set(toolIndex, {
+          id: toolCall.id || `call_${Date.now()}_${toolIndex}`,
+          function: { name: toolCall.function?.name || '', arguments: '' }
+        });
+      }
+      if (toolCall.function?.arguments) {
+        this.toolCalls.get(toolIndex).function.arguments += toolCall.function.arguments;
+      }
+    }
+
+    if (choice.finish_reason) {
+      this.finishReason = choice.finish_reason;
+    }
+
+    return parts.length > 0 ? this.format(createResponse(this.responseId, this.model, parts)) : '';
+  }
+
+  finish() {
+    const parts = [...this.toolCalls.values()].map(toFunctionCallPart);
+    // Gemini requires at least one part in the final candidate
+    if (parts.length === 0) {
+      parts.push({ text: '' });
+    }
+    let out = this.format(createResponse(
+      this.responseId,
+      this.model,
+      parts,
+      mapFinishReason(this.finishReason),
+      this.usage || {}
+    ));
+    if (!this.sse) {
+      out += ']';
+    }
+    return out;
+  }
+
+  async *transformStream(sourceStream) {
+    let buffer = '';
+
+    try {
+      for await (const chunk of sourceStream) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+
+          const dataStr = line.slice(5).trim();
+          if (dataStr === '[DONE]') {
+            continue;
+          }
+
+          let parsed;
+          try {
+            parsed = JSON.parse(dataStr);
+          } catch (e) {
+            logDebug('Skipping unparsable chat completion chunk');
+            continue;
+          }
+
+          const transformed = this.transformChunk(parsed);
+          if (transformed) {
+            yield transformed;
+          }
+        }
+      }
+
+      yield this.finish();
+    } catch (error) {
+      logDebug('Error in Gemini stream transformation', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,204 @@
+import { logDebug } from '../logger.js';
+
+/**
+ * Map an OpenAI finish_reason to an Ollama done_reason
+ */
+export function mapDoneReason(finishReason) {
+  return finishReason === 'length' ? 'length' : 'stop';
+}
+
+function parseToolArguments(args) {
+  if (!args) {
+    return {};
+  }
+  try {
+    return JSON.parse(args);
+  } catch (e) {
+    logDebug('Failed to parse tool call arguments, returning raw string');
+    return { raw_arguments: args };
+  }
+}
+
+function toOllamaToolCall(toolCall) {
+  return {
+    function: {
+      name: toolCall.function?.name || '',
+      arguments: parseToolArguments(toolCall.function?.arguments)
+    }
+  };
+}
+
+/**
+ * Final statistics fields of an Ollama response (durations are nanoseconds)
+ */
+function doneFields(finishReason, usage, startTime) {
+  const totalDuration = Math.max(0, Date.now() - startTime) * 1e6;
+  return {
+    done: true,
+    done_reason: mapDoneReason(finishReason),
+    total_duration: totalDuration,
+    load_duration: 0,
+    prompt_eval_count: usage?.prompt_tokens || 0,
+    prompt_eval_duration: 0,
+    eval_count: usage?.completion_tokens || 0,
+    eval_duration: totalDuration
+  };
+}
+
+/**
+ * Build one Ollama response object. mode 'chat' (/api/chat) nests output in message,
+ * mode 'generate' (/api/generate) uses response/thinking at the top level.
+ */
+function createOllamaObject(mode, model, { content = '', thinking, toolCalls }) {
+  const object = { model, created_at: new Date().toISOString() };
+  if (mode === 'chat') {
+    object.message = { role: 'assistant', content };
+    if (thinking) {
+      object.message.thinking = thinking;
+    }
+    if (toolCalls && toolCalls.length > 0) {
+      object.message.tool_calls = toolCalls;
+    }
+  } else {
+    object.response = content;
+    if (thinking) {
+      object.thinking = thinking;
+    }
+  }
+  return object;
+}
+
+/**
+ * Convert a non-streaming chat completion to an Ollama /api/chat or /api/generate response
+ */
+export function convertChatCompletionToOllama(chatCompletion, model, mode, startTime = Date.now()) {
+  const choice = chatCompletion?.choices?.[0];
+  if (!choice) {
+    throw new Error('Invalid chat completion object');
+  }
+
+  const message = choice.message || {};
+  const object = createOllamaObject(mode, model, {
+    content: typeof message.content === 'string' ? message.content : '',
+    thinking: message.reasoning_content,
+    toolCalls: (message.tool_calls || []).map(toOllamaToolCall)
+  });
+  if (mode === 'generate') {
+    object.context = [];
+  }
+  return { ...object, ...doneFields(choice.finish_reason, chatCompletion.usage, startTime) };
+}
+
+/**
+ * Transforms a /v1/chat/completions SSE stream into Ollama newline-delimited JSON.
+ * Tool calls are sent whole once their arguments are complete, as Ollama does.
+ */
+export class OllamaStreamTransformer {
+  constructor(model, mode, startTime = Date.now()) {
+    this.model = model;
+    this.mode = mode;
+    this.startTime = startTime;
+    this.toolCalls = new Map(); // chat tool call index -> {function: {name, arguments}}
+    this.finishReason = null;
+    this.usage = null;
+  }
+
+  createLine(object) {
+    return JSON.stringify(object) + '\n';
+  }
+
+  transformChunk(chunk) {
+    if (chunk.usage) {
+      this.usage = chunk.usage;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) {
+      return '';
+    }
+    const delta = choice.delta || {};
+
+    for (const toolCall of delta.tool_calls || []) {
+      const toolIndex = toolCall.index ?? 0;
+      if (!this.toolCalls.has(toolIndex)) {
+        this.toolCalls.set(toolIndex, { function: { name: toolCall.function?.name || '', arguments: '' } });
+      }
+      if (toolCall.function?.arguments) {
+        this.toolCalls.get(toolIndex).function.arguments += toolCall.function.arguments;
+      }
+    }
+
+    if (choice.finish_reason) {
+      this.finishReason = choice.finish_reason;
+    }
+
+    if (!delta.content && !delta.reasoning_content) {
+      return '';
+    }
+    return this.createLine({
+      ...createOllamaObject(this.mode, this.model, {
+        content: delta.content || '',
+        thinking: delta.reasoning_content
+      }),
+      done: false
+    });
+  }
+
+  finish() {
+    let out = '';
+    if (this.toolCalls.size > 0 && this.mode === 'chat') {
+      out += this.createLine({
+        ...createOllamaObject(this.mode, this.model, {
+          toolCalls: [...this.toolCalls.values()].map(toOllamaToolCall)
+        }),
+        done: false
+      });
+    }
+
+    const last = createOllamaObject(this.mode, this.model, {});
+    if (this.mode === 'generate') {
+      last.context = [];
+    }
+    out += this.createLine({ ...last, ...doneFields(this.finishReason, this.usage, this.startTime) });
+    return out;
+  }
+
+  async *transformStream(sourceStream) {
+    let buffer = '';
+
+    try {
+      for await (const chunk of sourceStream) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+
+          const dataStr = line.slice(5).trim();
+          if (dataStr === '[DONE]') {
+            continue;
+          }
+
+          let parsed;
+          try {
+            parsed = JSON.parse(dataStr);
+          } catch (e) {
+            logDebug('Skipping unparsable chat completion chunk');
+            continue;
+          }
+
+          const transformed = this.transformChunk(parsed);
+          if (transformed) {
+            yield transformed;
+          }
+        }
+      }
+
+      yield this.finish();
+    } catch (error) {
+      logDebug('Error in Ollama stream transformation', error);
+      throw error;
+    }
+  }
+}
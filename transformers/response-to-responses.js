@@ -0,0 +1,371 @@
+import { logDebug } from '../logger.js';
+
+/**
+ * Stash reasoning_details (signed Anthropic thinking) in a reasoning item's encrypted_content.
+ * Clients send the item back unchanged and transformFromResponses decodes it again.
+ */
+function encodeReasoningDetails(details) {
+  if (!Array.isArray(details) || details.length === 0) {
+    return undefined;
+  }
+  return Buffer.from(JSON.stringify(details), 'utf-8').toString('base64');
+}
+
+function randomId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Convert chat completions usage to /v1/responses usage
+ */
+export function mapChatUsageToResponses(usage = {}) {
+  const inputTokens = usage.prompt_tokens || 0;
+  const outputTokens = usage.completion_tokens || 0;
+  return {
+    input_tokens: inputTokens,
+    input_tokens_details: {
+      cached_tokens: usage.prompt_tokens_details?.cached_tokens || 0
+    },
+    output_tokens: outputTokens,
+    output_tokens_details: {
+      reasoning_tokens: usage.completion_tokens_details?.reasoning_tokens || 0
+    },
+    total_tokens: usage.total_tokens || inputTokens + outputTokens
+  };
+}
+
+/**
+ * Build a /v1/responses response object
+ */
+function buildResponse({ id, model, createdAt, status, output, usage, finishReason }) {
+  const response = {
+    id,
+    object: 'response',
+    created_at: createdAt,
+    status,
+    model,
+    output,
+    parallel_tool_calls: true,
+    tool_choice: 'auto',
+    tools: [],
+    usage: usage ? mapChatUsageToResponses(usage) : null
+  };
+  if (status === 'incomplete') {
+    response.incomplete_details = {
+      reason: finishReason === 'content_filter' ? 'content_filter' : 'max_output_tokens'
+    };
+  }
+  return response;
+}
+
+function statusFromFinishReason(finishReason) {
+  return finishReason === 'length' || finishReason === 'content_filter' ? 'incomplete' : 'completed';
+}
+
+function reasoningItem(text, details) {
+  const item = {
+    id: randomId('rs'),
+    type: 'reasoning',
+    summary: text ? [{ type: 'summary_text', text }] : []
+  };
+  const encrypted = encodeReasoningDetails(details);
+  if (encrypted) {
+    item.encrypted_content = encrypted;
+  }
+  return item;
+}
+
+/**
+ * Convert a non-streaming chat completion to a /v1/responses response object
+ */
+export function convertChatCompletionToResponse(chatCompletion, model) {
+  const choice = chatCompletion?.choices?.[0];
+  if (!choice) {
+    throw new Error('Invalid chat completion object');
+  }
+
+  const message = choice.message || {};
+  const output = [];
+
+  if (message.reasoning_content || message.reasoning_details) {
+    output.push(reasoningItem(message.reasoning_content, message.reasoning_details));
+  }
+  if (typeof message.content === 'string' && message.content) {
+    output.push({
+      id: randomId('msg'),
+      type: 'message',
+      status: 'completed',
+      role: 'assistant',
+      content: [{ type: 'output_text', text: message.content, annotations: [] }]
+    });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    output.push({
+      id: randomId('fc'),
+      type: 'function_call',
+      status: 'completed',
+      call_id: toolCall.id,
+      name: toolCall.function?.name || '',
+      arguments: toolCall.function?.arguments || '{}'
+    });
+  }
+
+  return buildResponse({
+    id: chatCompletion.id ? chatCompletion.id.replace(/^chatcmpl-/, 'resp_') : randomId('resp'),
+    model: model || chatCompletion.model,
+    createdAt: chatCompletion.created || Math.floor(Date.now() / 1000),
+    status: statusFromFinishReason(choice.finish_reason),
+    output,
+    usage: chatCompletion.usage,
+    finishReason: choice.finish_reason
+  });
+}
+
+/**
+ * Transforms a /v1/chat/completions SSE stream into /v1/responses SSE events
+ * (response.created, response.output_item.added, response.output_text.delta, ..., response.completed).
+ */
+export class ResponsesStreamTransformer {
+  constructor(model, responseId) {
+    this.model = model;
+    this.responseId = responseId || randomId('resp');
+    this.createdAt = Math.floor(Date.now() / 1000);
+    this.sequenceNumber = 0;
+    this.started = false;
+    this.finished = false;
+    this.output = []; // Completed output items
+    this.current = null; // Open output item: {item, outputIndex, text, details}
+    this.toolItems = new Map(); // chat tool call index -> open function_call state
+    this.finishReason = null;
+    this.usage = null;
+  }
+
+  createEvent(eventType, data) {
+    const payload = { type: eventType, sequence_number: this.sequenceNumber++, ...data };
+    return `event: ${eventType}\ndata: ${JSON.stringify(payload)}\n\n`;
+  }
+
+  snapshot(status) {
+    return buildResponse({
+      id: this.responseId,
+      model: this.model,
+      createdAt: this.createdAt,
+      status,
+      output: this.output,
+      usage: status === 'in_progress' ? null : this.usage,
+      finishReason: this.finishReason
+    });
+  }
+
+  start() {
+    if (this.started) {
+      return '';
+    }
+    this.started = true;
+    const response = this.snapshot('in_progress');
+    return this.createEvent('response.created', { response }) +
+      this.createEvent('response.in_progress', { response });
+  }
+
+  // Close the open output item, emitting its done events
+  closeItem() {
+    const current = this.current;
+    if (!current) {
+      return '';
+    }
+    this.current = null;
+
+    const { item, outputIndex } = current;
+    let out = '';
+
+    if (item.type === 'reasoning') {
+      const encrypted = encodeReasoningDetails(current.details);
+      if (encrypted) {
+        item.encrypted_content = encrypted;
+      }
+      if (current.text) {
+        const part = { type: 'summary_text', text: current.text };
+        item.summary = [part];
+        out += this.createEvent('response.reasoning_summary_text.done', {
+          item_id: item.id, output_index: outputIndex, summary_index: 0, text: current.text
+        });
+        out += this.createEvent('response.reasoning_summary_part.done', {
+          item_id: item.id, output_index: outputIndex, summary_index: 0, part
+        });
+      }
+    } else if (item.type === 'message') {
+      const part = { type: 'output_text', text: current.text, annotations: [] };
+      item.content = [part];
+      item.status = 'completed';
+      out += this.createEvent('response.output_text.done', {
+        item_id: item.id, output_index: outputIndex, content_index: 0, text: current.text
+      });
+      out += this.createEvent('response.content_part.done', {
+        item_id: item.id, output_index: outputIndex, content_index: 0, part
+      });
+    } else if (item.type === 'function_call') {
+      item.status = 'completed';
+      out += this.createEvent('response.function_call_arguments.done', {
+        item_id: item.id, output_index: outputIndex, arguments: item.arguments
+      });
+    }
+
+    this.output.push(item);
+    out += this.createEvent('response.output_item.done', { output_index: outputIndex, item });
+    return out;
+  }
+
+  openItem(item) {
+    let out = this.closeItem();
+    const outputIndex = this.output.length;
+    this.current = { item, outputIndex, text: '', details: null };
+    out += this.createEvent('response.output_item.added', { output_index: outputIndex, item });
+    return out;
+  }
+
+  transformChunk(chunk) {
+    let out = this.start();
+
+    if (chunk.usage) {
+      this.usage = chunk.usage;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) {
+      return out;
+    }
+    const delta = choice.delta || {};
+
+    if (delta.reasoning_content) {
+      if (this.current?.item.type !== 'reasoning') {
+        out += this.openItem({ id: randomId('rs'), type: 'reasoning', summary: [] });
+        out += this.createEvent('response.reasoning_summary_part.added', {
+          item_id: this.current.item.id,
+          output_index: this.current.outputIndex,
+          summary_index: 0,
+          part: { type: 'summary_text', text: '' }
+        });
+      }
+      this.current.text += delta.reasoning_content;
+      out += this.createEvent('response.reasoning_summary_text.delta', {
+        item_id: this.current.item.id,
+        output_index: this.current.outputIndex,
+        summary_index: 0,
+        delta: delta.reasoning_content
+      });
+    }
+
+    // Signed thinking arrives after the thinking text (or alone for redacted thinking)
+    if (Array.isArray(delta.reasoning_details)) {
+      if (this.current?.item.type !== 'reasoning') {
+        out += this.openItem({ id: randomId('rs'), type: 'reasoning', summary: [] });
+      }
+      this.current.details = [...(this.current.details || []), ...delta.reasoning_details];
+    }
+
+    if (delta.content) {
+      if (this.current?.item.type !== 'message') {
+        out += this.openItem({ id: randomId('msg'), type: 'message', status: 'in_progress', role: 'assistant', content: [] });
+        out += this.createEvent('response.content_part.added', {
+          item_id: this.current.item.id,
+          output_index: this.current.outputIndex,
+          content_index: 0,
+          part: { type: 'output_text', text: '', annotations: [] }
+        });
+      }
+      this.current.text += delta.content;
+      out += this.createEvent('response.output_text.delta', {
+        item_id: this.current.item.id,
+        output_index: this.current.outputIndex,
+        content_index: 0,
+        delta: delta.content
+      });
+    }
+
+    for (const toolCall of delta.tool_calls || []) {
+      const toolIndex = toolCall.index ?? 0;
+      if (!this.toolItems.has(toolIndex)) {
+        out += this.openItem({
+          id: randomId('fc'),
+          type: 'function_call',
+          status: 'in_progress',
+          call_id: toolCall.id || randomId('call'),
+          name: toolCall.function?.name || '',
+          arguments: ''
+        });
+        this.toolItems.set(toolIndex, this.current);
+      }
+
+      const state = this.toolItems.get(toolIndex);
+      const args = toolCall.function?.arguments;
+      // Argument deltas for an item that is already closed cannot be delivered
+      if (args && state === this.current) {
+        state.item.arguments += args;
+        out += this.createEvent('response.function_call_arguments.delta', {
+          item_id: state.item.id,
+          output_index: state.outputIndex,
+          delta: args
+        });
+      }
+    }
+
+    if (choice.finish_reason) {
+      this.finishReason = choice.finish_reason;
+    }
+
+    return out;
+  }
+
+  finish() {
+    if (this.finished) {
+      return '';
+    }
+    this.finished = true;
+
+    let out = this.start();
+    out += this.closeItem();
+    const status = statusFromFinishReason(this.finishReason);
+    const eventType = status === 'incomplete' ? 'response.incomplete' : 'response.completed';
+    out += this.createEvent(eventType, { response: this.snapshot(status) });
+    return out;
+  }
+
+  async *transformStream(sourceStream) {
+    let buffer = '';
+
+    try {
+      for await (const chunk of sourceStream) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+
+          const dataStr = line.slice(5).trim();
+          if (dataStr === '[DONE]') {
+            continue;
+          }
+
+          let parsed;
+          try {
+            parsed = JSON.parse(dataStr);
+          } catch (e) {
+            logDebug('Skipping unparsable chat completion chunk');
+            continue;
+          }
+
+          const transformed = this.transformChunk(parsed);
+          if (transformed) {
+            yield transformed;
+          }
+        }
+      }
+
+      yield this.finish();
+    } catch (error) {
+      logDebug('Error in Responses stream transformation', error);
+      throw error;
+    }
+  }
+}